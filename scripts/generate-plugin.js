@@ -135,10 +135,6 @@ function generatePluginFiles(config) {
 function generateManifestFile(config) {
   const configSchema = generateConfigSchema(config);
 
-  // Transform configSchema properties to settings format for manifest
-  // (They are essentially the same, but we want to be explicit)
-  const settings = configSchema.properties;
-
   const manifest = {
     id: config.id,
     name: config.name,
@@ -156,7 +152,7 @@ function generateManifestFile(config) {
     matches: config.matches,
     core: config.isCore,
     defaultEnabled: config.isCore || config.defaultEnabled,
-    settings: settings
+    configSchema: configSchema
   };
 
   return JSON.stringify(manifest, null, 2);
@@ -242,14 +238,7 @@ function generateIndexFile(config) {
 import manifest from './manifest.json';
 
 const ${toCamelCase(config.id)}Plugin = {
-  manifest: {
-    ...manifest,
-    // Ensure configSchema is available for the plugin loader
-    configSchema: {
-      type: 'object',
-      properties: manifest.settings
-    }
-  },
+  manifest,
 
   // Plugin state
   settings: {},
@@ -1,23 +1,73 @@
-import { getCredentials, setCredentials, isPluginEnabled, getPlugins, addPlugin, getStorage, getSettings } from '@/shared/storage';
+import { getCredentials, setCredentials, getPlugins, addPlugin, getStorage, getSettings } from '@/shared/storage';
 import { DATADOG_SITES } from '@/shared/values';
 import { createLogger } from '@/shared/logger';
-import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
-import { contentScriptManager } from '@/shared/content-script-manager';
+import { pluginLoaderV2 } from '@/shared/plugin-loader-v2';
+import { pluginLifecycleController } from '@/background/plugin-lifecycle';
+import { pluginEventDispatcher } from '@/background/plugin-event-dispatcher';
+import { externalPluginHost } from '@/background/external-plugin-host';
+import { externalContentHost } from '@/shared/external-content-host';
+import { RESTART_PLUGIN_MESSAGE } from '@/shared/plugin-lifecycle-state';
 import { messageStreams } from '@/shared/messages';
 import { validateDatadogCredentials } from '@/shared/credential-validator';
+import { migrateStoredPlugins } from '@/shared/plugin-migrations';
+import { getNetworkMonitor } from '@/plugins/apm-tracing/network-monitor';
+import { serveTraceStream } from '@/plugins/apm-tracing/trace-stream';
 
 const logger = createLogger('Background');
 
+let pluginSystemReady = null;
+
+// Plugin Chrome API listeners must be added synchronously on every service
+// worker start, or the event that woke the worker is never delivered
+pluginEventDispatcher.registerListeners();
+
+// webRequest listeners must also be added synchronously to see every request.
+// The monitor stops again if the APM Tracing plugin turns out to be disabled.
+getNetworkMonitor().start();
+getNetworkMonitor().followPluginState()
+  .catch(error => logger.error('Failed to follow the APM Tracing plugin state:', error));
+
+// Open popup and options pages follow captured traces live over a port
+serveTraceStream(getNetworkMonitor());
+
+// Imported plugins run in a sandbox whose PluginContext calls arrive as messages
+externalPluginHost.registerListeners();
+pluginLoaderV2.registerExternalModuleHost(externalPluginHost);
+
+// Imported plugins' content modules connect back over ports, and reconnect
+// after the service worker restarts
+externalContentHost.registerListeners();
+
+// Start the plugin system on every service worker start, not only on install,
+// so enabled plugins keep running and react to changes after a restart
+pluginEventDispatcher.setReady(ensurePluginSystem());
+
+// Restart requests from the Plugins page can wake the service worker, so the
+// listener is added synchronously and waits for the plugin system
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== RESTART_PLUGIN_MESSAGE) return;
+
+  ensurePluginSystem()
+    .then(() => pluginLifecycleController.restartPlugin(message.pluginId))
+    .then(sendResponse)
+    .catch(error => {
+      logger.error(`Failed to restart plugin ${message.pluginId}:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+
+  return true; // Keep channel open for async response
+});
+
 // Initialize extension
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   logger.info('Datadog Sales Engineering Toolkit installed');
-  logger.debug('LIFECYCLE', 'EXTENSION_INSTALLED', {});
+  logger.debug('LIFECYCLE', 'EXTENSION_INSTALLED', { reason: details.reason });
 
   // Initialize storage with default values
   await getStorage();
 
   // Initialize plugin system
-  await initializePluginSystem();
+  await ensurePluginSystem();
 
   logger.debug('LIFECYCLE', 'EXTENSION_READY', {});
 });
@@ -67,16 +117,17 @@ messageStreams.getRumSessionData.subscribe(async () => {
   return { success: true, data: results[0]?.result };
 });
 
-// APM traces
-messageStreams.getApmTraces.subscribe(async ([payload]) => {
-  logger.debug('PROCESSING', 'GET_APM_TRACES', { filter: payload.filter });
-  // Return empty traces for now - simplified for JavaScript conversion
-  return { success: true, traces: [] };
+// APM traces for a tab, the active tab unless the sender names one
+messageStreams.getApmTraces.subscribe(async ([payload = {}]) => {
+  logger.debug('PROCESSING', 'GET_APM_TRACES', { filter: payload.filter, tabId: payload.tabId });
+  const tabId = payload.tabId ?? (await getActiveTab())?.id ?? null;
+  const traces = await getNetworkMonitor().getTraces({ tabId, filter: payload.filter });
+  return { success: true, traces };
 });
 
-messageStreams.clearApmTraces.subscribe(async () => {
-  logger.debug('PROCESSING', 'CLEAR_APM_TRACES', {});
-  // Clear traces placeholder - simplified for JavaScript conversion
+messageStreams.clearApmTraces.subscribe(async ([payload = {}]) => {
+  logger.debug('PROCESSING', 'CLEAR_APM_TRACES', { tabId: payload.tabId });
+  await getNetworkMonitor().clearTraces(payload.tabId ?? null);
   return { success: true };
 });
 
@@ -182,6 +233,14 @@ async function sendDatadogEvent(eventData) {
   return await response.json();
 }
 
+// Initialize plugin system once per service worker lifetime
+function ensurePluginSystem() {
+  if (!pluginSystemReady) {
+    pluginSystemReady = initializePluginSystem();
+  }
+  return pluginSystemReady;
+}
+
 // Initialize plugin system
 async function initializePluginSystem() {
   try {
@@ -190,22 +249,21 @@ async function initializePluginSystem() {
     // Initialize plugin loader
     await pluginLoaderV2.initialize();
 
-    // Get all loaded plugins (manifests)
-    const plugins = pluginLoaderV2.getAllPlugins();
+    // Bring stored settings up to date with the plugin versions in this build
+    // before any plugin starts. Plugins already at their version are skipped.
+    const upgrades = await migrateStoredPlugins(pluginLoaderV2.getPluginsInLoadOrder());
+    if (upgrades.length > 0) {
+      logger.debug('LIFECYCLE', 'PLUGINS_MIGRATED', { upgrades });
+    }
+
+    // Get all loaded plugins (manifests), dependencies first
+    const plugins = pluginLoaderV2.getPluginsInLoadOrder();
     logger.info(`Found ${plugins.length} plugins`);
 
-    // Initialize core plugins first
+    // Ensure core plugins are in storage and enabled
     for (const plugin of plugins) {
       if (plugin.core) {
         try {
-          logger.info(`Initializing core plugin: ${plugin.name}`);
-          const pluginModule = await pluginLoaderV2.loadPluginForContext(plugin.id, PLUGIN_CONTEXTS.BACKGROUND);
-
-          if (pluginModule && pluginModule.initialize) {
-            await pluginModule.initialize();
-          }
-
-          // Ensure core plugin is in storage and enabled
           const existingPlugin = await getPlugins().then(p => p.find(p => p.id === plugin.id));
           if (!existingPlugin) {
             // Add new plugin to storage
@@ -225,35 +283,16 @@ async function initializePluginSystem() {
             });
           }
         } catch (error) {
-          logger.error(`Failed to initialize core plugin ${plugin.id}:`, error);
-        }
-      }
-    }
-
-    // Initialize enabled optional plugins
-    for (const plugin of plugins) {
-      if (!plugin.core) {
-        try {
-          const enabled = await isPluginEnabled(plugin.id);
-          if (enabled) {
-            logger.info(`Initializing optional plugin: ${plugin.name}`);
-            const pluginModule = await pluginLoaderV2.loadPluginForContext(plugin.id, PLUGIN_CONTEXTS.BACKGROUND);
-
-            if (pluginModule && pluginModule.initialize) {
-              await pluginModule.initialize();
-            }
-          }
-        } catch (error) {
-          logger.error(`Failed to initialize optional plugin ${plugin.id}:`, error);
+          logger.error(`Failed to register core plugin ${plugin.id}:`, error);
         }
       }
     }
 
-    // Initialize content script manager
-    await contentScriptManager.initialize();
+    // Start enabled plugins and react to enable/disable changes at runtime
+    await pluginLifecycleController.initialize();
 
     logger.info('Plugin system initialized successfully');
   } catch (error) {
     logger.error('Failed to initialize plugin system:', error);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,146 @@
+/**
+ * External Plugin Host
+ * Runs the background modules of plugins imported from bundles. MV3 forbids
+ * evaluating code in the service worker, so modules run in a sandboxed
+ * iframe inside an offscreen document; the host hands the plugin manager a
+ * proxy module whose methods are forwarded there. Calls the sandbox makes
+ * on its PluginContext come back here and run on the real context.
+ */
+
+import {
+  EXECUTOR_TARGET,
+  EXECUTOR_ACTIONS,
+  CAPABILITY_REQUEST_MESSAGE,
+  CAPABILITY_METHODS
+} from '@/shared/external-plugin-protocol';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('ExternalPluginHost');
+
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+
+class ExternalPluginHost {
+  constructor() {
+    this.contexts = new Map();
+    this.creatingExecutor = null;
+  }
+
+  /**
+   * Listen for PluginContext calls from the sandbox. Must run synchronously
+   * at service worker startup, like the other message listeners.
+   */
+  registerListeners() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message?.type !== CAPABILITY_REQUEST_MESSAGE) return;
+      if (sender.id !== chrome.runtime.id) return;
+
+      this.handleCapabilityRequest(message)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+
+      return true; // Keep channel open for async response
+    });
+  }
+
+  /**
+   * Create the offscreen document that hosts the sandbox, unless it exists
+   */
+  async ensureExecutor() {
+    const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT);
+    const existing = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [documentUrl]
+    });
+    if (existing.length > 0) return;
+
+    if (!this.creatingExecutor) {
+      this.creatingExecutor = chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['IFRAME_SCRIPTING'],
+        justification: 'Run imported plugins in a sandboxed iframe'
+      }).finally(() => {
+        this.creatingExecutor = null;
+      });
+    }
+    await this.creatingExecutor;
+  }
+
+  /**
+   * Send a request to the sandbox and return its result
+   */
+  async execute(request) {
+    await this.ensureExecutor();
+
+    const response = await chrome.runtime.sendMessage({ target: EXECUTOR_TARGET, request });
+    if (!response) {
+      throw new Error('Plugin executor did not respond');
+    }
+    if (!response.success) {
+      const error = new Error(response.error);
+      if (response.stack) error.stack = response.stack;
+      throw error;
+    }
+    return response.result;
+  }
+
+  /**
+   * Evaluate a plugin's module in the sandbox and return a proxy module for
+   * the plugin manager
+   */
+  async load(pluginId, context, source) {
+    if (!source) {
+      throw new Error(`Imported plugin ${pluginId} has no ${context} module`);
+    }
+
+    const methods = await this.execute({ action: EXECUTOR_ACTIONS.LOAD, pluginId, source });
+    logger.debug('LOAD', pluginId, { methods });
+
+    const call = (method, args) => this.execute({ action: EXECUTOR_ACTIONS.CALL, pluginId, method, args });
+    const module = {};
+
+    for (const method of methods) {
+      module[method] = (...args) => call(method, args);
+    }
+
+    // The context stays here; the sandbox gets a proxy for it
+    module.initialize = async (settings, pluginContext) => {
+      this.contexts.set(pluginId, pluginContext);
+      if (methods.includes('initialize')) {
+        await call('initialize', [settings]);
+      }
+    };
+
+    module.cleanup = async () => {
+      try {
+        if (methods.includes('cleanup')) {
+          await call('cleanup', []);
+        }
+      } finally {
+        this.contexts.delete(pluginId);
+        await this.execute({ action: EXECUTOR_ACTIONS.UNLOAD, pluginId });
+      }
+    };
+
+    return module;
+  }
+
+  /**
+   * Run a sandboxed plugin's PluginContext call on its real context
+   */
+  async handleCapabilityRequest({ pluginId, capability, method, args = [] }) {
+    const context = this.contexts.get(pluginId);
+    if (!context) {
+      throw new Error(`Plugin ${pluginId} is not running`);
+    }
+    if (!CAPABILITY_METHODS[capability]?.includes(method)) {
+      throw new Error(`Unknown capability method: ${capability}.${method}`);
+    }
+
+    logger.debug('CAPABILITY', pluginId, { capability, method });
+    return context[capability][method](...args);
+  }
+}
+
+// Export singleton instance
+export const externalPluginHost = new ExternalPluginHost();
+export default externalPluginHost;
@@ -0,0 +1,105 @@
+/**
+ * Plugin Circuit Breaker
+ * Counts errors thrown by each background plugin and trips once a plugin
+ * fails too often in a short window, so a broken plugin is suspended instead
+ * of erroring on every event forever
+ */
+
+import { getSessionValue, updateSessionValue } from '@/shared/session-storage';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginCircuitBreaker');
+
+const FAILURES_KEY = 'pluginFailures';
+
+// Suspend a plugin after this many failures within the window
+export const CRASH_THRESHOLD = 5;
+export const CRASH_WINDOW_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} PluginFailure
+ * @property {string} source - Where the error was thrown (initialize, handleMessage, onAlarm, ...)
+ * @property {string} message - Error message
+ * @property {string|null} stack - Stack trace, when the error has one
+ * @property {number} timestamp - When the error was recorded
+ */
+
+class PluginCircuitBreaker {
+  constructor() {
+    this.failures = new Map();
+  }
+
+  /**
+   * Load the failures recorded before the service worker restarted, so a
+   * plugin can't reset its count by crashing the worker
+   */
+  async restore() {
+    const stored = await getSessionValue(FAILURES_KEY, {});
+    for (const [pluginId, failures] of Object.entries(stored)) {
+      this.failures.set(pluginId, [...failures, ...(this.failures.get(pluginId) || [])]);
+    }
+  }
+
+  /**
+   * Record an error thrown by a plugin. Returns true when this failure trips
+   * the breaker.
+   */
+  recordFailure(pluginId, source, error) {
+    const now = Date.now();
+
+    /** @type {PluginFailure} */
+    const failure = {
+      source,
+      message: error?.message || String(error),
+      stack: error?.stack || null,
+      timestamp: now
+    };
+
+    const recent = (this.failures.get(pluginId) || [])
+      .filter(previous => now - previous.timestamp < CRASH_WINDOW_MS);
+    recent.push(failure);
+    this.failures.set(pluginId, recent);
+    this.persist(pluginId).catch(error => logger.error(`Failed to save failures for ${pluginId}:`, error));
+
+    logger.debug('FAILURE', pluginId, { source, count: recent.length });
+
+    return recent.length >= CRASH_THRESHOLD;
+  }
+
+  /**
+   * Get a plugin's failures within the current window, oldest first
+   */
+  getFailures(pluginId) {
+    const now = Date.now();
+    return (this.failures.get(pluginId) || [])
+      .filter(failure => now - failure.timestamp < CRASH_WINDOW_MS);
+  }
+
+  /**
+   * Get the most recent failure recorded for a plugin
+   */
+  getLastFailure(pluginId) {
+    const failures = this.failures.get(pluginId) || [];
+    return failures[failures.length - 1] || null;
+  }
+
+  /**
+   * Forget a plugin's failures, e.g. before restarting it
+   */
+  reset(pluginId) {
+    this.failures.delete(pluginId);
+    return this.persist(pluginId);
+  }
+
+  persist(pluginId) {
+    const failures = this.failures.get(pluginId);
+    return updateSessionValue(FAILURES_KEY, (stored) => {
+      const rest = Object.fromEntries(Object.entries(stored).filter(([id]) => id !== pluginId));
+      return failures?.length > 0 ? { ...rest, [pluginId]: failures } : rest;
+    }, {});
+  }
+}
+
+// Export singleton instance
+export const pluginCircuitBreaker = new PluginCircuitBreaker();
+export default pluginCircuitBreaker;
@@ -0,0 +1,236 @@
+/**
+ * Plugin Event Dispatcher
+ * Owns the single chrome.tabs, webRequest and alarms listener for each event
+ * and fans events out to the background plugins subscribed to them.
+ *
+ * MV3 only delivers the event that woke the service worker to listeners added
+ * synchronously during startup, so registerListeners() must be called at the
+ * top level of background.js. Subscriptions are persisted in session storage
+ * so an event that wakes the worker is held until the subscribed plugins have
+ * been initialized again.
+ */
+
+import { pluginLoaderV2, PLUGIN_EVENT_PERMISSIONS } from '@/shared/plugin-loader-v2';
+import { matchesPattern } from '@/shared/match-patterns';
+import { getSessionValue, updateSessionValue } from '@/shared/session-storage';
+import { measurePluginCall, TELEMETRY_OPERATIONS } from '@/shared/plugin-telemetry';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginEvents');
+
+const EVENT_REGISTRY_KEY = 'pluginEventRegistry';
+
+/**
+ * Plugin module handlers the dispatcher routes and the Chrome event that
+ * feeds each one. A plugin receives a handler's events if its manifest lists
+ * the handler in `events` and declares its permission.
+ */
+const PLUGIN_EVENTS = {
+  onTabUpdated: {
+    event: () => chrome.tabs.onUpdated
+  },
+  onTabCreated: {
+    event: () => chrome.tabs.onCreated
+  },
+  onBeforeRequest: {
+    event: () => chrome.webRequest.onBeforeRequest,
+    filter: { urls: ['<all_urls>'] },
+    // Request bodies are only read if a plugin asks for them
+    extraInfoSpec: manifests => (manifests.some(manifest => manifest.requestBody) ? ['requestBody'] : []),
+    accepts: (manifest, details) => matchesPluginUrls(manifest, details.url)
+  },
+  onCompleted: {
+    event: () => chrome.webRequest.onCompleted,
+    filter: { urls: ['<all_urls>'] },
+    accepts: (manifest, details) => matchesPluginUrls(manifest, details.url)
+  },
+  onAlarm: {
+    event: () => chrome.alarms.onAlarm,
+    // Plugins own the alarms named "<pluginId>:<name>"
+    accepts: (manifest, alarm) => alarm.name.startsWith(`${manifest.id}:`)
+  }
+};
+
+function matchesPluginUrls(manifest, url) {
+  const { matches = [] } = manifest;
+  return matches.length === 0 || matches.some(pattern => matchesPattern(pattern, url));
+}
+
+class PluginEventDispatcher {
+  constructor() {
+    this.subscriptions = new Map();
+    this.registry = null;
+    this.listeners = new Map();
+    this.listenersRegistered = false;
+    this.ready = new Promise(resolve => {
+      this.markReady = resolve;
+    });
+  }
+
+  /**
+   * Add one Chrome listener for each event the bundled plugins declare. Call
+   * synchronously at the top level of the service worker.
+   */
+  registerListeners() {
+    if (this.listenersRegistered) return;
+
+    this.listen(pluginLoaderV2.readBundledManifests());
+
+    this.listenersRegistered = true;
+    logger.debug('LISTENERS', 'REGISTERED', { events: [...this.listeners.keys()] });
+  }
+
+  /**
+   * Add the Chrome listeners for the events `manifests` declare that aren't
+   * listened for yet. Imported plugins are only known once storage is read,
+   * so their events are added when they subscribe and can't wake the worker.
+   */
+  listen(manifests) {
+    for (const [handlerName, event] of Object.entries(PLUGIN_EVENTS)) {
+      const declaring = manifests.filter(manifest => manifest.events?.includes(handlerName));
+      if (declaring.length === 0) continue;
+
+      const current = this.listeners.get(handlerName);
+      const extraInfoSpec = [...new Set([
+        ...(current?.extraInfoSpec || []),
+        ...(event.extraInfoSpec?.(declaring) || [])
+      ])];
+      if (current && extraInfoSpec.length === current.extraInfoSpec.length) continue;
+
+      try {
+        const target = event.event();
+        const listener = (...args) => {
+          this.dispatch(handlerName, args);
+        };
+
+        // Options can't be changed on a listener, so it is added again
+        if (current) {
+          target.removeListener(current.listener);
+        }
+        if (event.filter) {
+          target.addListener(listener, event.filter, extraInfoSpec);
+        } else {
+          target.addListener(listener);
+        }
+
+        this.listeners.set(handlerName, { listener, extraInfoSpec });
+      } catch (error) {
+        // The API is unavailable without its permission in the extension manifest
+        logger.warn(`Could not listen for ${handlerName}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Hold events for persisted subscribers until the plugin system has started
+   */
+  setReady(promise) {
+    Promise.resolve(promise).finally(() => this.markReady());
+  }
+
+  /**
+   * Route a module's event handlers through the dispatcher. Only handlers
+   * the plugin declares in `events`, with their permission, are subscribed.
+   * Errors thrown by a handler are passed to onError(handlerName, error).
+   */
+  async subscribe(pluginId, module, { onError = null } = {}) {
+    const manifest = pluginLoaderV2.getManifest(pluginId);
+    const handlerNames = Object.keys(PLUGIN_EVENTS).filter(handlerName => (
+      typeof module[handlerName] === 'function'
+      && manifest?.events?.includes(handlerName)
+      && manifest.permissions?.includes(PLUGIN_EVENT_PERMISSIONS[handlerName])
+    ));
+
+    if (manifest) {
+      this.listen([manifest]);
+    }
+
+    this.subscriptions.set(pluginId, {
+      manifest,
+      onError,
+      handlers: Object.fromEntries(handlerNames.map(name => [name, module[name]]))
+    });
+
+    await this.persistRegistry(pluginId, handlerNames);
+    logger.debug(`Subscribed plugin ${pluginId} to events`, handlerNames);
+  }
+
+  /**
+   * Stop routing events to a plugin
+   */
+  async unsubscribe(pluginId) {
+    this.subscriptions.delete(pluginId);
+    await this.persistRegistry(pluginId, []);
+    logger.debug(`Unsubscribed plugin ${pluginId} from events`);
+  }
+
+  /**
+   * Record which events a plugin is subscribed to
+   */
+  async persistRegistry(pluginId, handlerNames) {
+    this.registry = await updateSessionValue(EVENT_REGISTRY_KEY, (registry) => {
+      const rest = Object.fromEntries(Object.entries(registry).filter(([id]) => id !== pluginId));
+      return handlerNames.length > 0 ? { ...rest, [pluginId]: handlerNames } : rest;
+    }, {});
+  }
+
+  /**
+   * Read the persisted subscriptions, cached for the worker's lifetime
+   */
+  async getRegistry() {
+    if (!this.registry) {
+      this.registry = await getSessionValue(EVENT_REGISTRY_KEY, {});
+    }
+    return this.registry;
+  }
+
+  /**
+   * Deliver an event to every plugin subscribed to it
+   */
+  async dispatch(handlerName, args) {
+    try {
+      const registry = await this.getRegistry();
+      const persisted = Object.keys(registry)
+        .filter(pluginId => registry[pluginId].includes(handlerName));
+
+      // After a wake-up, subscribers are known before their modules reload
+      const waiting = persisted.some(pluginId => !this.subscriptions.has(pluginId));
+      if (waiting) {
+        await this.ready;
+      }
+
+      for (const [pluginId, { manifest, handlers, onError }] of this.subscriptions) {
+        const handler = handlers[handlerName];
+        if (!handler) continue;
+
+        const accepts = PLUGIN_EVENTS[handlerName].accepts;
+        if (accepts && !accepts(manifest, ...args)) continue;
+
+        try {
+          await measurePluginCall(pluginId, TELEMETRY_OPERATIONS.event(handlerName), () => handler(...args));
+        } catch (error) {
+          if (onError) {
+            onError(handlerName, error);
+          } else {
+            logger.error(`Plugin ${pluginId} ${handlerName} handler failed:`, error);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to dispatch ${handlerName}:`, error);
+    }
+  }
+
+  /**
+   * Get the events each active plugin is subscribed to
+   */
+  getSubscriptions() {
+    return Object.fromEntries(
+      Array.from(this.subscriptions, ([pluginId, { handlers }]) => [pluginId, Object.keys(handlers)])
+    );
+  }
+}
+
+// Export singleton instance
+export const pluginEventDispatcher = new PluginEventDispatcher();
+export default pluginEventDispatcher;
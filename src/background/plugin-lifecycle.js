@@ -0,0 +1,313 @@
+/**
+ * Plugin Lifecycle Controller
+ * Starts and stops plugins at runtime when their enabled state changes,
+ * without requiring the extension to be reloaded
+ */
+
+import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+import { contentScriptManager } from '@/shared/content-script-manager';
+import { backgroundPluginManager } from '@/background/plugin-manager';
+import { PLUGIN_LIFECYCLE_STATES, setPluginLifecycleState } from '@/shared/plugin-lifecycle-state';
+import { onPluginsChanged } from '@/shared/storage';
+import { recordPluginVersions } from '@/shared/plugin-migrations';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginLifecycle');
+
+class PluginLifecycleController {
+  constructor() {
+    this.pendingTransitions = new Map();
+    this.unsubscribe = null;
+    this.unwatchSettings = null;
+    this.unwatchCrashes = null;
+    this.unwatchBundles = null;
+    this.awaitingConsent = new Set();
+    this.initialized = false;
+  }
+
+  /**
+   * Start enabled plugins and begin reacting to enable/disable and
+   * settings changes
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      logger.info('Initializing Plugin Lifecycle Controller');
+
+      await pluginLoaderV2.initialize();
+      await backgroundPluginManager.initialize();
+      await contentScriptManager.initialize();
+
+      await this.reportInitialStates();
+
+      this.unsubscribe = pluginLoaderV2.onEnabledStateChange((pluginId, enabled) => {
+        this.transition(pluginId, enabled)
+          .catch(error => logger.error(`Failed to ${enabled ? 'start' : 'stop'} plugin ${pluginId}:`, error));
+      });
+
+      this.unwatchSettings = onPluginsChanged((plugins, previous) => {
+        this.handleSettingsChanges(plugins, previous);
+        recordPluginVersions(pluginLoaderV2.getAllPlugins(), plugins);
+      });
+
+      this.unwatchCrashes = backgroundPluginManager.onPluginCrashed((pluginId, crash) => {
+        this.handleCrash(pluginId, crash)
+          .catch(error => logger.error(`Failed to suspend crashed plugin ${pluginId}:`, error));
+      });
+
+      this.unwatchBundles = pluginLoaderV2.onExternalPluginUpdated((pluginId) => {
+        this.reloadPlugin(pluginId)
+          .catch(error => logger.error(`Failed to reload updated plugin ${pluginId}:`, error));
+      });
+
+      const onPermissionsChanged = () => this.handlePermissionsChange();
+      chrome.permissions.onAdded.addListener(onPermissionsChanged);
+      chrome.permissions.onRemoved.addListener(onPermissionsChanged);
+
+      this.initialized = true;
+      logger.info('Plugin lifecycle controller initialized');
+    } catch (error) {
+      logger.error('Failed to initialize plugin lifecycle controller:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the state of every plugin after the initial startup pass
+   */
+  async reportInitialStates() {
+    for (const manifest of pluginLoaderV2.getPluginsInLoadOrder()) {
+      if (!pluginLoaderV2.isPluginEnabled(manifest.id)) {
+        await setPluginLifecycleState(manifest.id, PLUGIN_LIFECYCLE_STATES.DISABLED);
+        continue;
+      }
+
+      if (!(await pluginLoaderV2.hasPluginPermissions(manifest.id))) {
+        this.awaitingConsent.add(manifest.id);
+        await setPluginLifecycleState(manifest.id, PLUGIN_LIFECYCLE_STATES.AWAITING_CONSENT);
+        continue;
+      }
+
+      const crash = backgroundPluginManager.getPluginCrash(manifest.id);
+      const failure = backgroundPluginManager.getPluginFailure(manifest.id);
+      if (crash) {
+        await setPluginLifecycleState(manifest.id, PLUGIN_LIFECYCLE_STATES.CRASHED, crash.message, crash.stack);
+      } else if (failure) {
+        await setPluginLifecycleState(manifest.id, PLUGIN_LIFECYCLE_STATES.FAILED, failure.message, failure.stack);
+      } else {
+        await setPluginLifecycleState(manifest.id, PLUGIN_LIFECYCLE_STATES.ACTIVE);
+      }
+    }
+  }
+
+  /**
+   * Queue an enable/disable transition. Transitions for the same plugin run
+   * one at a time so rapid toggles settle on the latest state. A plugin
+   * starts after its dependencies and stops after its dependents.
+   */
+  transition(pluginId, enabled) {
+    const related = enabled
+      ? pluginLoaderV2.getPluginDependencies(pluginId)
+      : pluginLoaderV2.getDependents(pluginId);
+
+    // An imported plugin's manifest goes away once its bundle is removed,
+    // which can happen before the queued deactivation runs
+    const permissionRequest = enabled ? null : this.getPermissionRequest(pluginId);
+
+    return this.enqueue(pluginId, related, () => (
+      enabled ? this.activatePlugin(pluginId) : this.deactivatePlugin(pluginId, permissionRequest)
+    ));
+  }
+
+  getPermissionRequest(pluginId) {
+    try {
+      return pluginLoaderV2.getPermissionRequest(pluginId);
+    } catch (error) {
+      logger.warn(`Cannot revoke permissions of ${pluginId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run a step for a plugin after its pending transition and those of the
+   * related plugins it has to wait for
+   */
+  enqueue(pluginId, related, step) {
+    const previous = this.pendingTransitions.get(pluginId) || Promise.resolve();
+    const blockers = related
+      .map(relatedId => this.pendingTransitions.get(relatedId))
+      .filter(Boolean);
+
+    const next = Promise.all([previous, ...blockers]).then(step);
+
+    // Later steps wait on the queue tail, which never rejects, so one failed
+    // transition doesn't fail the ones queued after it. Callers get `next`.
+    const tail = next.catch(() => {});
+    this.pendingTransitions.set(pluginId, tail);
+    tail.finally(() => {
+      if (this.pendingTransitions.get(pluginId) === tail) {
+        this.pendingTransitions.delete(pluginId);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Push settings saved from any context to running plugin modules
+   */
+  async handleSettingsChanges(plugins, previous) {
+    for (const plugin of plugins) {
+      const before = previous.find(p => p.id === plugin.id);
+      if (JSON.stringify(before?.settings || {}) === JSON.stringify(plugin.settings || {})) {
+        continue;
+      }
+
+      if (!pluginLoaderV2.isPluginEnabled(plugin.id)) continue;
+
+      try {
+        const settings = await pluginLoaderV2.getPluginSettings(plugin.id);
+        await backgroundPluginManager.updatePluginSettings(plugin.id, settings);
+        await contentScriptManager.sendSettingsToTabs(plugin.id, settings);
+        logger.debug('SETTINGS_CHANGED', plugin.id, settings);
+      } catch (error) {
+        logger.error(`Failed to apply settings for ${plugin.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start enabled plugins once the user grants the permissions they were
+   * waiting on, and stop running plugins whose permissions were revoked
+   */
+  async handlePermissionsChange() {
+    for (const pluginId of pluginLoaderV2.getEnabledPluginIds()) {
+      const granted = await pluginLoaderV2.hasPluginPermissions(pluginId);
+      if (granted === this.awaitingConsent.has(pluginId)) {
+        this.transition(pluginId, true)
+          .catch(error => logger.error(`Failed to restart plugin ${pluginId} after a permission change:`, error));
+      }
+    }
+  }
+
+  /**
+   * Tear down a plugin the circuit breaker suspended and report it as crashed
+   */
+  handleCrash(pluginId, crash) {
+    return this.enqueue(pluginId, [], async () => {
+      logger.warn(`Plugin ${pluginId} crashed in ${crash.source}: ${crash.message}`);
+      await this.stopPlugin(pluginId);
+      await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.CRASHED, crash.message, crash.stack);
+    });
+  }
+
+  /**
+   * Stop a running plugin and start it again, e.g. with a re-imported bundle
+   */
+  reloadPlugin(pluginId) {
+    return this.enqueue(pluginId, [], async () => {
+      if (!pluginLoaderV2.isPluginEnabled(pluginId)) return;
+
+      logger.info(`Reloading plugin: ${pluginId}`);
+      await this.stopPlugin(pluginId);
+      await this.activatePlugin(pluginId);
+    });
+  }
+
+  /**
+   * Clear a failed or crashed plugin's errors and start it again
+   */
+  async restartPlugin(pluginId) {
+    if (!pluginLoaderV2.isPluginEnabled(pluginId)) {
+      return { success: false, error: `Plugin ${pluginId} is not enabled` };
+    }
+
+    logger.info(`Restarting plugin: ${pluginId}`);
+    await backgroundPluginManager.resetPluginCrash(pluginId);
+    await this.transition(pluginId, true);
+    return { success: true };
+  }
+
+  /**
+   * Start a plugin's background module and inject it into matching tabs
+   */
+  async activatePlugin(pluginId) {
+    const manifest = pluginLoaderV2.getManifest(pluginId);
+    if (!manifest) {
+      logger.warn(`Cannot activate unknown plugin: ${pluginId}`);
+      return;
+    }
+
+    // Chrome can only prompt from a user gesture, so wait for the Plugins page
+    if (!(await pluginLoaderV2.hasPluginPermissions(pluginId))) {
+      logger.info(`Plugin ${pluginId} is waiting for permission consent`);
+      await this.stopPlugin(pluginId);
+      this.awaitingConsent.add(pluginId);
+      await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.AWAITING_CONSENT);
+      return;
+    }
+
+    // A crashed plugin stays suspended until it is restarted
+    if (backgroundPluginManager.getPluginCrash(pluginId)) {
+      logger.info(`Plugin ${pluginId} crashed, waiting for a restart`);
+      return;
+    }
+
+    this.awaitingConsent.delete(pluginId);
+    logger.info(`Activating plugin: ${pluginId}`);
+    await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.LOADING);
+
+    try {
+      if (manifest.contexts?.[PLUGIN_CONTEXTS.BACKGROUND]) {
+        await backgroundPluginManager.initializePlugin(pluginId);
+      }
+
+      if (manifest.contexts?.[PLUGIN_CONTEXTS.CONTENT]) {
+        // Registered scripts cover pages loaded from now on; tabs that are
+        // already open are injected directly
+        await contentScriptManager.registerPluginContentScript(pluginId);
+        await contentScriptManager.injectPluginIntoMatchingTabs(pluginId);
+      }
+
+      await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.ACTIVE);
+    } catch (error) {
+      logger.error(`Failed to activate plugin ${pluginId}:`, error);
+      await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.FAILED, error.message, error.stack);
+    }
+  }
+
+  /**
+   * Stop a disabled plugin and give back the permissions it was granted,
+   * as captured when it was disabled
+   */
+  async deactivatePlugin(pluginId, permissionRequest) {
+    logger.info(`Deactivating plugin: ${pluginId}`);
+
+    await this.stopPlugin(pluginId);
+    this.awaitingConsent.delete(pluginId);
+    await backgroundPluginManager.resetPluginCrash(pluginId);
+    if (permissionRequest) {
+      await pluginLoaderV2.revokePluginPermissions(pluginId, permissionRequest);
+    }
+
+    await setPluginLifecycleState(pluginId, PLUGIN_LIFECYCLE_STATES.DISABLED);
+  }
+
+  /**
+   * Clean up a plugin's background module and tear it down in open tabs
+   */
+  async stopPlugin(pluginId) {
+    try {
+      await backgroundPluginManager.disablePlugin(pluginId);
+      await contentScriptManager.unregisterPluginContentScript(pluginId);
+      await contentScriptManager.removePluginFromAllTabs(pluginId);
+    } catch (error) {
+      logger.error(`Failed to stop plugin ${pluginId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+export const pluginLifecycleController = new PluginLifecycleController();
+export default pluginLifecycleController;
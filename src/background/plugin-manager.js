@@ -4,14 +4,24 @@
  */
 
 import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+import { createPluginContext } from '@/shared/plugin-context';
+import { measurePluginCall, TELEMETRY_OPERATIONS } from '@/shared/plugin-telemetry';
 import { createLogger } from '@/shared/logger';
+import { pluginEventDispatcher } from '@/background/plugin-event-dispatcher';
+import { pluginCircuitBreaker, CRASH_THRESHOLD } from '@/background/plugin-circuit-breaker';
+import { getSessionValue, updateSessionValue } from '@/shared/session-storage';
 
 const logger = createLogger('BackgroundPluginManager');
 
+const CRASHED_PLUGINS_KEY = 'crashedPlugins';
+
 class BackgroundPluginManager {
   constructor() {
     this.activePlugins = new Map();
     this.messageHandlers = new Map();
+    this.failedPlugins = new Map();
+    this.crashedPlugins = new Map();
+    this.crashListeners = new Set();
     this.initialized = false;
   }
 
@@ -29,6 +39,9 @@ class BackgroundPluginManager {
       
       // Set up message routing
       this.setupMessageRouting();
+
+      // Plugins suspended before the service worker restarted stay suspended
+      await this.restoreCrashes();
       
       // Initialize plugins
       await this.initializePlugins();
@@ -48,14 +61,18 @@ class BackgroundPluginManager {
     const plugins = pluginLoaderV2.getPluginsForContext(PLUGIN_CONTEXTS.BACKGROUND);
     
     for (const plugin of plugins) {
-      if (plugin.isEnabled()) {
-        await this.initializePlugin(plugin.id);
+      if (plugin.isEnabled() && !this.crashedPlugins.has(plugin.id)) {
+        try {
+          await this.initializePlugin(plugin.id);
+        } catch {
+          // Failure is logged and recorded in failedPlugins
+        }
       }
     }
   }
 
   /**
-   * Initialize a specific plugin
+   * Initialize a specific plugin. Throws if the plugin fails to start.
    */
   async initializePlugin(pluginId) {
     try {
@@ -65,11 +82,19 @@ class BackgroundPluginManager {
         return;
       }
 
-      // Request permissions if needed
-      const hasPermissions = await pluginLoaderV2.requestPluginPermissions(pluginId);
+      this.failedPlugins.delete(pluginId);
+
+      // Don't start on top of a dependency that failed to start
+      const failedDependencies = pluginLoaderV2.getPluginDependencies(pluginId)
+        .filter(dependencyId => this.failedPlugins.has(dependencyId));
+      if (failedDependencies.length > 0) {
+        throw new Error(`Dependency failed to start: ${failedDependencies.join(', ')}`);
+      }
+
+      // Permissions are granted from the Plugins page; the background can't prompt
+      const hasPermissions = await pluginLoaderV2.hasPluginPermissions(pluginId);
       if (!hasPermissions) {
-        logger.warn(`Permission denied for plugin: ${pluginId}`);
-        return;
+        throw new Error(`Waiting for permission consent: ${pluginId}`);
       }
 
       // Load plugin module
@@ -82,9 +107,15 @@ class BackgroundPluginManager {
       // Get plugin settings
       const settings = await this.getPluginSettings(pluginId);
 
-      // Initialize plugin
+      // Initialize plugin with an API scoped to its declared permissions
+      const context = createPluginContext(pluginId, PLUGIN_CONTEXTS.BACKGROUND);
       if (module.initialize) {
-        await module.initialize(settings);
+        try {
+          await module.initialize(settings, context);
+        } catch (error) {
+          this.recordPluginError(pluginId, 'initialize', error);
+          throw error;
+        }
       }
 
       // Register message handler
@@ -92,19 +123,24 @@ class BackgroundPluginManager {
         this.messageHandlers.set(pluginId, module.handleMessage);
       }
 
-      // Set up Chrome API event handlers
-      this.setupPluginEventHandlers(pluginId, module);
+      // Route Chrome API events through the dispatcher
+      await pluginEventDispatcher.subscribe(pluginId, module, {
+        onError: (handlerName, error) => this.recordPluginError(pluginId, handlerName, error)
+      });
 
       // Store active plugin
       this.activePlugins.set(pluginId, {
         module,
         settings,
+        context,
         initialized: true
       });
 
       logger.info(`Initialized background plugin: ${pluginId}`);
     } catch (error) {
       logger.error(`Failed to initialize background plugin ${pluginId}:`, error);
+      this.failedPlugins.set(pluginId, error);
+      throw error;
     }
   }
 
@@ -112,6 +148,8 @@ class BackgroundPluginManager {
    * Cleanup and disable a plugin
    */
   async disablePlugin(pluginId) {
+    this.failedPlugins.delete(pluginId);
+
     const pluginData = this.activePlugins.get(pluginId);
     if (!pluginData) {
       logger.debug(`Plugin ${pluginId} not active`);
@@ -124,8 +162,9 @@ class BackgroundPluginManager {
         await pluginData.module.cleanup();
       }
 
-      // Remove message handler
+      // Remove message handler and event subscriptions
       this.messageHandlers.delete(pluginId);
+      await pluginEventDispatcher.unsubscribe(pluginId);
 
       // Remove from active plugins
       this.activePlugins.delete(pluginId);
@@ -157,7 +196,7 @@ class BackgroundPluginManager {
 
       logger.debug(`Updated settings for plugin: ${pluginId}`);
     } catch (error) {
-      logger.error(`Failed to update settings for ${pluginId}:`, error);
+      this.recordPluginError(pluginId, 'onSettingsChange', error);
     }
   }
 
@@ -187,116 +226,109 @@ class BackgroundPluginManager {
   async handlePluginMessage(message, sender) {
     const { pluginId, action, payload } = message;
     
+    if (this.crashedPlugins.has(pluginId)) {
+      return { success: false, error: `Plugin ${pluginId} is suspended after repeated errors` };
+    }
+
     const handler = this.messageHandlers.get(pluginId);
     if (!handler) {
       return { success: false, error: `No message handler for plugin: ${pluginId}` };
     }
 
     try {
-      const response = await handler(action, payload, sender);
+      const response = await measurePluginCall(
+        pluginId,
+        TELEMETRY_OPERATIONS.MESSAGE,
+        () => handler(action, payload, sender)
+      );
       return response || { success: true };
     } catch (error) {
-      logger.error(`Plugin ${pluginId} message handling failed:`, error);
+      this.recordPluginError(pluginId, 'handleMessage', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Set up Chrome API event handlers for plugin
+   * Count an error thrown by a plugin. A plugin that fails too often is
+   * suspended and crash listeners are notified.
    */
-  setupPluginEventHandlers(pluginId, module) {
-    const manifest = pluginLoaderV2.getManifest(pluginId);
-    
-    // Set up tab event handlers
-    if (manifest.permissions?.includes('tabs')) {
-      if (module.onTabUpdated) {
-        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-          try {
-            module.onTabUpdated(tabId, changeInfo, tab);
-          } catch (error) {
-            logger.error(`Plugin ${pluginId} tab update handler failed:`, error);
-          }
-        });
+  recordPluginError(pluginId, source, error) {
+    logger.error(`Plugin ${pluginId} ${source} failed:`, error);
+
+    if (this.crashedPlugins.has(pluginId)) return;
+    if (!pluginCircuitBreaker.recordFailure(pluginId, source, error)) return;
+
+    const crash = pluginCircuitBreaker.getLastFailure(pluginId);
+    this.crashedPlugins.set(pluginId, crash);
+    this.persistCrash(pluginId, crash)
+      .catch(persistError => logger.error(`Failed to save crash for ${pluginId}:`, persistError));
+    logger.warn(`Suspending plugin ${pluginId} after ${CRASH_THRESHOLD} failures`);
+
+    this.disablePlugin(pluginId).finally(() => {
+      for (const listener of this.crashListeners) {
+        try {
+          listener(pluginId, crash);
+        } catch (listenerError) {
+          logger.error(`Crash listener failed for ${pluginId}:`, listenerError);
+        }
       }
+    });
+  }
 
-      if (module.onTabCreated) {
-        chrome.tabs.onCreated.addListener((tab) => {
-          try {
-            module.onTabCreated(tab);
-          } catch (error) {
-            logger.error(`Plugin ${pluginId} tab created handler failed:`, error);
-          }
-        });
-      }
-    }
+  /**
+   * Subscribe to plugins being suspended by the circuit breaker. The listener
+   * is called with (pluginId, crash) and the returned function unsubscribes it.
+   */
+  onPluginCrashed(listener) {
+    this.crashListeners.add(listener);
+    return () => this.crashListeners.delete(listener);
+  }
 
-    // Set up web request handlers
-    if (manifest.permissions?.includes('webRequest')) {
-      if (module.onBeforeRequest) {
-        chrome.webRequest.onBeforeRequest.addListener(
-          (details) => {
-            try {
-              return module.onBeforeRequest(details);
-            } catch (error) {
-              logger.error(`Plugin ${pluginId} before request handler failed:`, error);
-            }
-          },
-          { urls: manifest.matches || ['<all_urls>'] },
-          ['requestBody']
-        );
-      }
+  /**
+   * Get the failure that suspended a plugin, if it crashed
+   */
+  getPluginCrash(pluginId) {
+    return this.crashedPlugins.get(pluginId) || null;
+  }
 
-      if (module.onCompleted) {
-        chrome.webRequest.onCompleted.addListener(
-          (details) => {
-            try {
-              module.onCompleted(details);
-            } catch (error) {
-              logger.error(`Plugin ${pluginId} request completed handler failed:`, error);
-            }
-          },
-          { urls: manifest.matches || ['<all_urls>'] }
-        );
-      }
-    }
+  /**
+   * Clear a plugin's crash and error count so it can be started again
+   */
+  async resetPluginCrash(pluginId) {
+    this.crashedPlugins.delete(pluginId);
+    await Promise.all([
+      this.persistCrash(pluginId, null),
+      pluginCircuitBreaker.reset(pluginId)
+    ]);
+  }
 
-    // Set up alarm handlers
-    if (manifest.permissions?.includes('alarms') && module.onAlarm) {
-      chrome.alarms.onAlarm.addListener((alarm) => {
-        if (alarm.name.startsWith(`${pluginId}:`)) {
-          try {
-            module.onAlarm(alarm);
-          } catch (error) {
-            logger.error(`Plugin ${pluginId} alarm handler failed:`, error);
-          }
-        }
-      });
+  /**
+   * Load the crashes and failure counts recorded before the worker restarted
+   */
+  async restoreCrashes() {
+    await pluginCircuitBreaker.restore();
+
+    const crashes = await getSessionValue(CRASHED_PLUGINS_KEY, {});
+    for (const [pluginId, crash] of Object.entries(crashes)) {
+      this.crashedPlugins.set(pluginId, crash);
     }
+  }
 
-    logger.debug(`Set up event handlers for plugin: ${pluginId}`);
+  /**
+   * Record or clear (crash = null) a plugin's crash in session storage
+   */
+  persistCrash(pluginId, crash) {
+    return updateSessionValue(CRASHED_PLUGINS_KEY, (crashes) => {
+      const rest = Object.fromEntries(Object.entries(crashes).filter(([id]) => id !== pluginId));
+      return crash ? { ...rest, [pluginId]: crash } : rest;
+    }, {});
   }
 
   /**
-   * Get plugin settings from storage
+   * Get plugin settings from storage, merged over configSchema defaults
    */
   async getPluginSettings(pluginId) {
-    try {
-      // TODO: Integrate with storage system
-      const manifest = pluginLoaderV2.getManifest(pluginId);
-      
-      // Return defaults from manifest for now
-      const defaults = {};
-      if (manifest.configSchema?.properties) {
-        Object.entries(manifest.configSchema.properties).forEach(([key, prop]) => {
-          defaults[key] = prop.default;
-        });
-      }
-      
-      return defaults;
-    } catch (error) {
-      logger.error(`Failed to get settings for ${pluginId}:`, error);
-      return {};
-    }
+    return pluginLoaderV2.getPluginSettings(pluginId);
   }
 
   /**
@@ -306,6 +338,20 @@ class BackgroundPluginManager {
     return this.activePlugins.get(pluginId);
   }
 
+  /**
+   * Get a plugin's recorded capability usage
+   */
+  getCapabilityUsage(pluginId) {
+    return this.activePlugins.get(pluginId)?.context.getUsage() || [];
+  }
+
+  /**
+   * Get the error that stopped a plugin from initializing, if any
+   */
+  getPluginFailure(pluginId) {
+    return this.failedPlugins.get(pluginId) || null;
+  }
+
   /**
    * Get all active plugins
    */
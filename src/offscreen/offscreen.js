@@ -0,0 +1,87 @@
+/**
+ * Plugin Executor (offscreen document)
+ * Relays requests from the background to the sandboxed iframe that runs
+ * imported plugins, and relays the plugins' PluginContext calls back to the
+ * background. The sandbox can't use chrome.* APIs itself.
+ */
+
+import {
+  EXECUTOR_TARGET,
+  CAPABILITY_REQUEST_MESSAGE,
+  SANDBOX_MESSAGES
+} from '@/shared/external-plugin-protocol';
+
+const pendingRequests = new Map();
+let nextRequestId = 0;
+
+// Created from script so the load event can't fire before it is observed
+const sandbox = document.createElement('iframe');
+const sandboxReady = new Promise((resolve) => {
+  sandbox.addEventListener('load', resolve, { once: true });
+});
+sandbox.src = 'sandbox.html';
+document.body.appendChild(sandbox);
+
+/**
+ * Forward a request to the sandbox and wait for its response
+ */
+async function sendToSandbox(request) {
+  await sandboxReady;
+  const id = nextRequestId++;
+
+  return new Promise((resolve) => {
+    pendingRequests.set(id, resolve);
+    sandbox.contentWindow.postMessage({ type: SANDBOX_MESSAGES.REQUEST, id, request }, '*');
+  });
+}
+
+/**
+ * Run a plugin's PluginContext call in the background and return the result to the sandbox
+ */
+async function forwardCapabilityRequest({ id, pluginId, capability, method, args }) {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      type: CAPABILITY_REQUEST_MESSAGE,
+      pluginId,
+      capability,
+      method,
+      args
+    });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+
+  sandbox.contentWindow.postMessage({
+    type: SANDBOX_MESSAGES.CAPABILITY_RESULT,
+    id,
+    success: Boolean(response?.success),
+    result: response?.result,
+    error: response?.error || 'No response from background'
+  }, '*');
+}
+
+window.addEventListener('message', (event) => {
+  if (event.source !== sandbox.contentWindow) return;
+
+  const message = event.data || {};
+
+  if (message.type === SANDBOX_MESSAGES.RESPONSE) {
+    const resolve = pendingRequests.get(message.id);
+    if (!resolve) return;
+
+    pendingRequests.delete(message.id);
+    resolve({ success: message.success, result: message.result, error: message.error, stack: message.stack });
+  } else if (message.type === SANDBOX_MESSAGES.CAPABILITY) {
+    forwardCapabilityRequest(message).catch(error => {
+      console.error('[PluginExecutor] Failed to forward capability request:', error);
+    });
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== EXECUTOR_TARGET) return false;
+
+  sendToSandbox(message.request).then(sendResponse);
+  return true;
+});
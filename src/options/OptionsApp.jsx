@@ -19,6 +19,7 @@ import {
   IconKey,
   IconLink,
   IconPuzzle,
+  IconActivity,
   IconSettings,
   IconBrandTabler,
   IconExternalLink,
@@ -39,6 +40,7 @@ import { DashboardPage } from '@/options/pages/DashboardPage';
 import { CredentialsPage } from '@/options/pages/CredentialsPage';
 import { LinksPage } from '@/options/pages/LinksPage';
 import { PluginsPage } from '@/options/pages/PluginsPage';
+import { DiagnosticsPage } from '@/options/pages/DiagnosticsPage';
 import { SettingsPage } from '@/options/pages/SettingsPage';
 
 export function OptionsApp() {
@@ -246,6 +248,16 @@ export function OptionsApp() {
                 navigate('/plugins');
               }}
             />
+            <NavLink
+              href="#"
+              label="Diagnostics"
+              leftSection={<IconActivity size={16} />}
+              active={location.pathname === '/diagnostics'}
+              onClick={(e) => {
+                e.preventDefault();
+                navigate('/diagnostics');
+              }}
+            />
             <NavLink
               href="#"
               label="Settings"
@@ -298,6 +310,7 @@ export function OptionsApp() {
           <Route path="/credentials" element={<CredentialsPage storageData={storageData} onRefresh={loadData} />} />
           <Route path="/links" element={<LinksPage storageData={storageData} onRefresh={loadData} />} />
           <Route path="/plugins" element={<PluginsPage storageData={storageData} onRefresh={loadData} />} />
+          <Route path="/diagnostics" element={<DiagnosticsPage />} />
           <Route path="/settings" element={<SettingsPage storageData={storageData} onRefresh={loadData} />} />
         </Routes>
       </AppShell.Main>
@@ -17,15 +17,18 @@ import {
 import { useForm } from '@mantine/form';
 import { IconPlus, IconTrash, IconInfoCircle } from '@tabler/icons-react';
 import { createLogger } from '@/shared/logger';
+import { validatePluginSettings } from '@/shared/plugin-settings';
 
 const logger = createLogger('PluginConfigForm');
 
 /**
  * Dynamic form component for plugin configuration
- * Supports: string, number, boolean, array (single values or key-value pairs)
+ * Supports: string, number, integer, boolean, object (as JSON) and array
+ * (single values or key-value pairs)
  */
 export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onCancel }) {
   const [arrayInputs, setArrayInputs] = useState({});
+  const [objectInputs, setObjectInputs] = useState({});
 
   // Initialize form with default values from schema
   const getDefaultValues = () => {
@@ -44,6 +47,7 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
               defaults[key] = '';
               break;
             case 'number':
+            case 'integer':
               defaults[key] = property.minimum || 0;
               break;
             case 'boolean':
@@ -52,6 +56,9 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
             case 'array':
               defaults[key] = [];
               break;
+            case 'object':
+              defaults[key] = {};
+              break;
             default:
               defaults[key] = '';
           }
@@ -64,47 +71,7 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
 
   const form = useForm({
     initialValues: getDefaultValues(),
-    validate: (values) => {
-      const errors = {};
-      
-      if (configSchema?.properties) {
-        Object.entries(configSchema.properties).forEach(([key, property]) => {
-          const value = values[key];
-          
-          // Check required fields
-          if (configSchema.required?.includes(key) && (!value || value === '')) {
-            errors[key] = `${property.title || key} is required`;
-          }
-          
-          // Type-specific validation
-          if (value !== '' && value !== null && value !== undefined) {
-            switch (property.type) {
-              case 'string':
-                if (property.minLength && value.length < property.minLength) {
-                  errors[key] = `Minimum length is ${property.minLength}`;
-                }
-                if (property.maxLength && value.length > property.maxLength) {
-                  errors[key] = `Maximum length is ${property.maxLength}`;
-                }
-                if (property.pattern && !new RegExp(property.pattern).test(value)) {
-                  errors[key] = 'Invalid format';
-                }
-                break;
-              case 'number':
-                if (property.minimum !== undefined && value < property.minimum) {
-                  errors[key] = `Minimum value is ${property.minimum}`;
-                }
-                if (property.maximum !== undefined && value > property.maximum) {
-                  errors[key] = `Maximum value is ${property.maximum}`;
-                }
-                break;
-            }
-          }
-        });
-      }
-      
-      return errors;
-    }
+    validate: (values) => validatePluginSettings(configSchema, values)
   });
 
   // Initialize array inputs for managing key-value pairs
@@ -125,6 +92,38 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
     setArrayInputs(arrayInputsState);
   }, [configSchema, form.values]);
 
+  // Object settings are edited as JSON text, seeded once from the initial values
+  useEffect(() => {
+    const objectInputsState = {};
+
+    if (configSchema?.properties) {
+      Object.entries(configSchema.properties).forEach(([key, property]) => {
+        if (property.type === 'object') {
+          objectInputsState[key] = JSON.stringify(form.values[key] ?? {}, null, 2);
+        }
+      });
+    }
+
+    setObjectInputs(objectInputsState);
+  }, [configSchema]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Keep the parsed object in the form; unparsable text is kept as a string
+  // so validation reports the field as not being an object
+  const updateObjectInput = (fieldKey, text) => {
+    setObjectInputs(prev => ({ ...prev, [fieldKey]: text }));
+
+    let value = text;
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        value = parsed;
+      }
+    } catch {
+      // Left as text
+    }
+    form.setFieldValue(fieldKey, value);
+  };
+
   const handleSubmit = (values) => {
     // Process array fields with key-value pairs
     const processedValues = { ...values };
@@ -213,7 +212,7 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
           <TextInput
             key={key}
             {...commonProps}
-            placeholder={property.default || ''}
+            placeholder={property.placeholder || property.default || ''}
           />
         );
       }
@@ -230,6 +229,34 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
           />
         );
 
+      case 'integer':
+        return (
+          <NumberInput
+            key={key}
+            {...commonProps}
+            min={property.minimum}
+            max={property.maximum}
+            step={property.multipleOf || 1}
+            allowDecimal={false}
+            placeholder={property.default?.toString() || '0'}
+          />
+        );
+
+      case 'object':
+        return (
+          <Textarea
+            key={key}
+            {...commonProps}
+            value={objectInputs[key] ?? ''}
+            onChange={(event) => updateObjectInput(key, event.currentTarget.value)}
+            placeholder="{}"
+            minRows={3}
+            maxRows={10}
+            autosize
+            styles={{ input: { fontFamily: 'monospace' } }}
+          />
+        );
+
       case 'boolean':
         return (
           <Checkbox
@@ -336,7 +363,7 @@ export function PluginConfigForm({ configSchema, initialValues = {}, onSave, onC
           <Alert key={key} color="yellow" icon={<IconInfoCircle size={16} />}>
             <Text size="sm">
               Unsupported field type "{property.type}" for field "{key}". 
-              Supported types: string, number, boolean, array
+              Supported types: string, number, integer, boolean, object, array
             </Text>
           </Alert>
         );
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Modal, Stack, Group, Text, Badge, Code, Button } from '@mantine/core';
+import { IconShieldLock } from '@tabler/icons-react';
+
+const PERMISSION_DESCRIPTIONS = {
+  tabs: 'Read the URL and title of your open tabs',
+  activeTab: 'Access the current tab when you use the extension',
+  scripting: 'Run scripts in pages',
+  storage: 'Store its settings and data',
+  notifications: 'Show desktop notifications',
+  alarms: 'Schedule periodic tasks',
+  webRequest: 'Observe network requests',
+  cookies: 'Read and change cookies',
+  identity: 'Sign in with your Google account',
+  background: 'Keep running after Chrome is closed'
+};
+
+/**
+ * Lists each permission and origin a plugin asks for, with the plugin's
+ * permissionRationale for it, and asks the user to grant the missing ones
+ */
+export function PluginConsentDialog({ consent, onAllow, onCancel }) {
+  const manifest = consent?.manifest;
+  const rationale = manifest?.permissionRationale || {};
+  const missing = consent?.missing || { permissions: [], origins: [] };
+
+  const items = manifest ? [
+    ...(manifest.permissions || [])
+      .filter(permission => !permission.includes('://'))
+      .map(permission => ({
+        key: permission,
+        description: PERMISSION_DESCRIPTIONS[permission],
+        granted: !missing.permissions.includes(permission)
+      })),
+    ...Array.from(new Set([
+      ...(manifest.permissions || []).filter(permission => permission.includes('://')),
+      ...(manifest.matches || [])
+    ])).map(origin => ({
+      key: origin,
+      description: 'Read and change data on matching sites',
+      granted: !missing.origins.includes(origin)
+    }))
+  ] : [];
+
+  return (
+    <Modal
+      opened={!!consent}
+      onClose={onCancel}
+      title={manifest ? `${manifest.name} needs permission` : 'Plugin permissions'}
+      centered
+    >
+      {manifest && (
+        <Stack gap="md">
+          <Group gap="xs" wrap="nowrap">
+            <IconShieldLock size={18} />
+            <Text size="sm">
+              Chrome will ask you to confirm the permissions this plugin hasn't been granted yet.
+            </Text>
+          </Group>
+
+          <Stack gap="sm">
+            {items.map(item => (
+              <Stack key={item.key} gap={2}>
+                <Group gap="xs">
+                  <Code>{item.key}</Code>
+                  <Badge color={item.granted ? 'green' : 'yellow'} variant="light" size="xs">
+                    {item.granted ? 'Granted' : 'Requested'}
+                  </Badge>
+                </Group>
+                {item.description && <Text size="xs" c="dimmed">{item.description}</Text>}
+                {rationale[item.key] && <Text size="xs">{rationale[item.key]}</Text>}
+              </Stack>
+            ))}
+          </Stack>
+
+          <Group justify="flex-end">
+            <Button variant="subtle" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button onClick={onAllow}>
+              Allow
+            </Button>
+          </Group>
+        </Stack>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Card, Stack, Group, Text, Badge, Code } from '@mantine/core';
+import { IconAlertTriangle } from '@tabler/icons-react';
+import { PLUGIN_REJECTION_REASONS } from '@/shared/plugin-loader-v2';
+
+const REASON_LABELS = {
+  [PLUGIN_REJECTION_REASONS.INVALID_MANIFEST]: 'Invalid manifest',
+  [PLUGIN_REJECTION_REASONS.INVALID_PERMISSIONS]: 'Bad permissions',
+  [PLUGIN_REJECTION_REASONS.DUPLICATE_ID]: 'Duplicate ID',
+  [PLUGIN_REJECTION_REASONS.MISSING_MODULE]: 'Missing module',
+  [PLUGIN_REJECTION_REASONS.MISSING_DEPENDENCY]: 'Missing dependency',
+  [PLUGIN_REJECTION_REASONS.DEPENDENCY_CYCLE]: 'Dependency cycle'
+};
+
+/**
+ * Lists plugins that were rejected during discovery, with the reason and
+ * validation errors for each
+ */
+export function PluginDiagnosticsPanel({ rejectedPlugins = [] }) {
+  if (rejectedPlugins.length === 0) return null;
+
+  return (
+    <Card withBorder>
+      <Stack gap="md">
+        <Group gap="xs">
+          <IconAlertTriangle size={18} color="var(--mantine-color-red-6)" />
+          <Text fw={500}>Plugin Diagnostics</Text>
+          <Badge color="red" variant="light" size="sm">
+            {rejectedPlugins.length} rejected
+          </Badge>
+        </Group>
+
+        <Text size="sm" c="dimmed">
+          These plugins were found but not loaded. Fix the issues below and reload the extension.
+        </Text>
+
+        {rejectedPlugins.map((rejected) => (
+          <Stack key={rejected.pluginId} gap={4}>
+            <Group gap="xs">
+              <Text size="sm" fw={500}>{rejected.pluginId}</Text>
+              <Badge color="red" variant="outline" size="xs">
+                {REASON_LABELS[rejected.reason] || rejected.reason}
+              </Badge>
+              {rejected.manifestPath && (
+                <Code>{`plugins/${rejected.manifestPath.replace(/^\.\//, '')}`}</Code>
+              )}
+            </Group>
+            {rejected.errors.map((error, index) => (
+              <Text key={index} size="xs" c="dimmed">{error}</Text>
+            ))}
+          </Stack>
+        ))}
+      </Stack>
+    </Card>
+  );
+}
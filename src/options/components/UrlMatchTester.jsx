@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Card, Stack, Group, Text, TextInput, Badge, Code } from '@mantine/core';
+import { IconWorldSearch } from '@tabler/icons-react';
+import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+
+const RESULT_BADGES = {
+  inject: { color: 'green', label: 'Would inject' },
+  disabled: { color: 'gray', label: 'Matches, plugin disabled' },
+  excluded: { color: 'orange', label: 'Excluded' },
+  'not-included': { color: 'orange', label: 'Not in includeGlobs' },
+  'no-match': { color: 'gray', label: 'No match' }
+};
+
+/**
+ * Test a URL against the match rules of every plugin with a content context
+ * and show which plugins would be injected into it
+ */
+export function UrlMatchTester({ manifests = [], storagePlugins = [] }) {
+  const [url, setUrl] = useState('');
+
+  const contentPlugins = manifests.filter(manifest => manifest.contexts?.[PLUGIN_CONTEXTS.CONTENT]);
+  const trimmedUrl = url.trim();
+
+  let urlError = null;
+  if (trimmedUrl) {
+    try {
+      new URL(trimmedUrl);
+    } catch {
+      urlError = 'Enter a full URL, including the scheme (https://...)';
+    }
+  }
+
+  const getResult = (manifest) => {
+    const match = pluginLoaderV2.explainUrlMatch(manifest, trimmedUrl);
+    if (match.matches) {
+      const enabled = pluginLoaderV2.resolveEnabledState(manifest.id, storagePlugins);
+      return { status: enabled ? 'inject' : 'disabled', pattern: match.pattern };
+    }
+    return { status: match.reason, pattern: match.pattern };
+  };
+
+  return (
+    <Card withBorder>
+      <Stack gap="md">
+        <Group gap="xs">
+          <IconWorldSearch size={18} />
+          <Text fw={500}>Test a URL</Text>
+        </Group>
+
+        <TextInput
+          placeholder="https://app.example.com/checkout"
+          value={url}
+          onChange={(event) => setUrl(event.currentTarget.value)}
+          error={urlError}
+        />
+
+        {trimmedUrl && !urlError && (
+          contentPlugins.length === 0 ? (
+            <Text size="sm" c="dimmed">No plugins inject content scripts.</Text>
+          ) : (
+            <Stack gap="xs">
+              {contentPlugins.map((manifest) => {
+                const result = getResult(manifest);
+                const badge = RESULT_BADGES[result.status] || RESULT_BADGES['no-match'];
+
+                return (
+                  <Group key={manifest.id} justify="space-between" wrap="nowrap">
+                    <Text size="sm">{manifest.name}</Text>
+                    <Group gap="xs" wrap="nowrap">
+                      {result.pattern && <Code>{result.pattern}</Code>}
+                      <Badge color={badge.color} variant="light" size="sm">
+                        {badge.label}
+                      </Badge>
+                    </Group>
+                  </Group>
+                );
+              })}
+            </Stack>
+          )
+        )}
+      </Stack>
+    </Card>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Container,
+  Card,
+  Title,
+  Text,
+  Stack,
+  Group,
+  Button,
+  Table,
+  Badge,
+  Alert
+} from '@mantine/core';
+import { IconActivity, IconInfoCircle, IconTrash } from '@tabler/icons-react';
+import { pluginLoaderV2 } from '@/shared/plugin-loader-v2';
+import {
+  WINDOW_MINUTES,
+  getPluginTelemetry,
+  clearPluginTelemetry,
+  onPluginTelemetryChange,
+  summarizePluginTelemetry
+} from '@/shared/plugin-telemetry';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('Diagnostics');
+
+// Error rates at or above these are highlighted
+const ERROR_RATE_WARNING = 0.05;
+const ERROR_RATE_CRITICAL = 0.25;
+
+const formatLatency = (value) => {
+  if (value === null) return '—';
+  return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${value.toFixed(1)} ms`;
+};
+
+const getErrorRateColor = (errorRate) => {
+  if (errorRate >= ERROR_RATE_CRITICAL) return 'red';
+  if (errorRate >= ERROR_RATE_WARNING) return 'yellow';
+  return 'green';
+};
+
+export function DiagnosticsPage() {
+  const [telemetry, setTelemetry] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  // Load telemetry and follow updates written by the background
+  useEffect(() => {
+    // Re-render once manifests are loaded to show plugin names
+    pluginLoaderV2.initialize()
+      .then(() => setNow(Date.now()))
+      .catch(error => logger.error('Failed to load plugin manifests:', error));
+
+    getPluginTelemetry()
+      .then(setTelemetry)
+      .catch(error => logger.error('Failed to load plugin telemetry:', error));
+
+    return onPluginTelemetryChange((updated) => {
+      setTelemetry(updated);
+      setNow(Date.now());
+    });
+  }, []);
+
+  // Let old buckets age out of the window while the page is open
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleClear = async () => {
+    try {
+      await clearPluginTelemetry();
+      setTelemetry({});
+    } catch (error) {
+      logger.error('Failed to clear plugin telemetry:', error);
+    }
+  };
+
+  const plugins = Object.entries(telemetry)
+    .map(([pluginId, operations]) => ({
+      pluginId,
+      name: pluginLoaderV2.getManifest(pluginId)?.name || pluginId,
+      operations: summarizePluginTelemetry(operations, now)
+    }))
+    .filter(plugin => plugin.operations.length > 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <Container size="lg">
+      <Stack gap="lg">
+        <Group justify="space-between">
+          <div>
+            <Title order={2} mb="xs">Diagnostics</Title>
+            <Text c="dimmed">
+              Plugin calls, latency and errors over the last {WINDOW_MINUTES} minutes
+            </Text>
+          </div>
+          <Button
+            variant="light"
+            color="red"
+            leftSection={<IconTrash size={16} />}
+            onClick={handleClear}
+            disabled={plugins.length === 0}
+          >
+            Clear
+          </Button>
+        </Group>
+
+        {plugins.length === 0 ? (
+          <Alert icon={<IconInfoCircle size={16} />} variant="light">
+            <Text size="sm">
+              No plugin activity recorded yet. Message handlers, event hooks and content
+              injections are measured as plugins run.
+            </Text>
+          </Alert>
+        ) : (
+          plugins.map(plugin => (
+            <Card key={plugin.pluginId} withBorder>
+              <Stack gap="sm">
+                <Group gap="xs">
+                  <IconActivity size={18} />
+                  <Text fw={500}>{plugin.name}</Text>
+                </Group>
+
+                <Table>
+                  <Table.Thead>
+                    <Table.Tr>
+                      <Table.Th>Operation</Table.Th>
+                      <Table.Th>Calls</Table.Th>
+                      <Table.Th>Errors</Table.Th>
+                      <Table.Th>p50</Table.Th>
+                      <Table.Th>p95</Table.Th>
+                      <Table.Th>p99</Table.Th>
+                      <Table.Th>Max</Table.Th>
+                    </Table.Tr>
+                  </Table.Thead>
+                  <Table.Tbody>
+                    {plugin.operations.map(summary => (
+                      <Table.Tr key={summary.operation}>
+                        <Table.Td>
+                          <Text size="sm" ff="monospace">{summary.operation}</Text>
+                        </Table.Td>
+                        <Table.Td>{summary.count}</Table.Td>
+                        <Table.Td>
+                          <Badge variant="light" size="sm" color={getErrorRateColor(summary.errorRate)}>
+                            {summary.errors} ({(summary.errorRate * 100).toFixed(1)}%)
+                          </Badge>
+                        </Table.Td>
+                        <Table.Td>{formatLatency(summary.p50)}</Table.Td>
+                        <Table.Td>{formatLatency(summary.p95)}</Table.Td>
+                        <Table.Td>{formatLatency(summary.p99)}</Table.Td>
+                        <Table.Td>{formatLatency(summary.max)}</Table.Td>
+                      </Table.Tr>
+                    ))}
+                  </Table.Tbody>
+                </Table>
+              </Stack>
+            </Card>
+          ))
+        )}
+      </Stack>
+    </Container>
+  );
+}
@@ -13,27 +13,74 @@ import {
   ThemeIcon,
   Loader,
   Button,
-  Modal
+  Modal,
+  Code,
+  Spoiler,
+  FileButton,
+  List
 } from '@mantine/core';
 import { useDisclosure } from '@mantine/hooks';
 import {
   IconCheck,
   IconX,
   IconInfoCircle,
-  IconSettings
+  IconSettings,
+  IconAlertTriangle,
+  IconPlugConnected,
+  IconShieldLock,
+  IconRefresh,
+  IconUpload,
+  IconTrash,
+  IconSparkles
 } from '@tabler/icons-react';
-import { updatePlugin, setPluginSettings } from '@/shared/storage';
+import { updatePlugin, setPluginSettings, saveExternalPlugin, removeExternalPlugin } from '@/shared/storage';
 import { pluginLoaderV2 } from '@/shared/plugin-loader-v2';
+import { readPluginBundle } from '@/shared/plugin-bundle';
+import { getChangelog, migrateStoredPlugin } from '@/shared/plugin-migrations';
+import {
+  PLUGIN_LIFECYCLE_STATES,
+  getPluginLifecycleStates,
+  onPluginLifecycleStatesChange,
+  requestPluginRestart,
+  waitForPluginLifecycleState
+} from '@/shared/plugin-lifecycle-state';
 import { getIcon } from '@/shared/icon-loader';
 import { createLogger } from '@/shared/logger';
 import { PluginConfigForm } from '@/options/components/PluginConfigForm';
+import { PluginDiagnosticsPanel } from '@/options/components/PluginDiagnosticsPanel';
+import { UrlMatchTester } from '@/options/components/UrlMatchTester';
+import { PluginConsentDialog } from '@/options/components/PluginConsentDialog';
 
 const logger = createLogger('Plugins');
 
+const LIFECYCLE_BADGES = {
+  [PLUGIN_LIFECYCLE_STATES.LOADING]: { color: 'blue', label: 'Loading' },
+  [PLUGIN_LIFECYCLE_STATES.ACTIVE]: { color: 'teal', label: 'Running' },
+  [PLUGIN_LIFECYCLE_STATES.FAILED]: { color: 'red', label: 'Failed' },
+  [PLUGIN_LIFECYCLE_STATES.DISABLED]: { color: 'gray', label: 'Stopped' },
+  [PLUGIN_LIFECYCLE_STATES.AWAITING_CONSENT]: { color: 'yellow', label: 'Needs permission' },
+  [PLUGIN_LIFECYCLE_STATES.CRASHED]: { color: 'red', label: 'Crashed' }
+};
+
+const STOPPED_BY_ERROR = [PLUGIN_LIFECYCLE_STATES.FAILED, PLUGIN_LIFECYCLE_STATES.CRASHED];
+
+const hasMissingPermissions = (missing) => (
+  !!missing && (missing.permissions.length > 0 || missing.origins.length > 0)
+);
+
 export function PluginsPage({ storageData, onRefresh }) {
   const [pluginManifests, setPluginManifests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedPlugin, setSelectedPlugin] = useState(null);
+  const [lifecycleStates, setLifecycleStates] = useState({});
+  const [rejectedPlugins, setRejectedPlugins] = useState([]);
+  const [pendingDisable, setPendingDisable] = useState(null);
+  const [missingPermissions, setMissingPermissions] = useState({});
+  const [pendingConsent, setPendingConsent] = useState(null);
+  const [restarting, setRestarting] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importFailure, setImportFailure] = useState(null);
+  const [pendingRemoval, setPendingRemoval] = useState(null);
   const [configModalOpened, { open: openConfigModal, close: closeConfigModal }] = useDisclosure(false);
   const { plugins: storagePlugins = [] } = storageData || {};
 
@@ -42,6 +89,37 @@ export function PluginsPage({ storageData, onRefresh }) {
     loadPluginManifests();
   }, []);
 
+  // Track runtime lifecycle state reported by the background
+  useEffect(() => {
+    getPluginLifecycleStates()
+      .then(setLifecycleStates)
+      .catch(error => logger.error('Failed to load plugin lifecycle states:', error));
+
+    return onPluginLifecycleStatesChange(setLifecycleStates);
+  }, []);
+
+  // Track which permissions each plugin still needs, so the toggle can ask
+  // for them without awaiting anything inside the click
+  useEffect(() => {
+    if (pluginManifests.length === 0) return undefined;
+
+    loadMissingPermissions();
+
+    chrome.permissions.onAdded.addListener(loadMissingPermissions);
+    chrome.permissions.onRemoved.addListener(loadMissingPermissions);
+    return () => {
+      chrome.permissions.onAdded.removeListener(loadMissingPermissions);
+      chrome.permissions.onRemoved.removeListener(loadMissingPermissions);
+    };
+  }, [pluginManifests]);
+
+  // Refresh when a plugin is enabled or disabled from another context
+  useEffect(() => {
+    return pluginLoaderV2.onEnabledStateChange(() => {
+      onRefresh();
+    });
+  }, [onRefresh]);
+
   const loadPluginManifests = async () => {
     try {
       setLoading(true);
@@ -49,10 +127,7 @@ export function PluginsPage({ storageData, onRefresh }) {
       // Initialize plugin loader if not already done
       await pluginLoaderV2.initialize();
 
-      // Get all available plugin manifests
-      const manifests = pluginLoaderV2.getAllPlugins();
-      setPluginManifests(manifests);
-
+      const manifests = refreshPluginManifests();
       logger.info(`Loaded ${manifests.length} plugin manifests`);
     } catch (error) {
       logger.error('Failed to load plugin manifests:', error);
@@ -61,6 +136,87 @@ export function PluginsPage({ storageData, onRefresh }) {
     }
   };
 
+  // Get all available plugin manifests
+  const refreshPluginManifests = () => {
+    const manifests = pluginLoaderV2.getAllPlugins();
+    setPluginManifests(manifests);
+    setRejectedPlugins(pluginLoaderV2.getRejectedPlugins());
+    return manifests;
+  };
+
+  const importPlugin = async (file) => {
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      setImportFailure(null);
+
+      // Imported plugins must pass the same checks as built-in ones
+      const bundle = await readPluginBundle(file);
+      const errors = await pluginLoaderV2.validateExternalBundle(bundle);
+      if (errors.length > 0) {
+        setImportFailure({ fileName: file.name, errors });
+        return;
+      }
+
+      await saveExternalPlugin(bundle);
+      await pluginLoaderV2.reloadExternalPlugins();
+      refreshPluginManifests();
+
+      // Re-importing a newer version upgrades the settings stored for the old one
+      const manifest = pluginLoaderV2.getManifest(bundle.manifest.id);
+      if (manifest) {
+        await migrateStoredPlugin(manifest, storagePlugins.find(p => p.id === manifest.id));
+        await onRefresh();
+      }
+      logger.info(`Imported plugin ${bundle.manifest.id} from ${file.name}`);
+    } catch (error) {
+      logger.error('Failed to import plugin:', error);
+      setImportFailure({ fileName: file.name, errors: [error.message] });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const confirmRemoval = async () => {
+    if (!pendingRemoval) return;
+
+    const { id } = pendingRemoval;
+    setPendingRemoval(null);
+
+    try {
+      // Let the background stop the plugin and revoke its permissions
+      // before its bundle, and with it the manifest, goes away
+      if (pluginLoaderV2.resolveEnabledState(id, storagePlugins)) {
+        const since = Date.now();
+        await updatePlugin(id, { enabled: false });
+        const stopped = await waitForPluginLifecycleState(id, PLUGIN_LIFECYCLE_STATES.DISABLED, { since });
+        if (!stopped) {
+          logger.warn(`Plugin ${id} didn't report stopping before removal`);
+        }
+      }
+
+      await removeExternalPlugin(id);
+      await pluginLoaderV2.reloadExternalPlugins();
+      refreshPluginManifests();
+      await onRefresh();
+      logger.info(`Removed imported plugin: ${id}`);
+    } catch (error) {
+      logger.error('Failed to remove imported plugin:', error);
+    }
+  };
+
+  const loadMissingPermissions = async () => {
+    try {
+      const entries = await Promise.all(pluginManifests.map(async manifest => (
+        [manifest.id, await pluginLoaderV2.getMissingPermissions(manifest.id)]
+      )));
+      setMissingPermissions(Object.fromEntries(entries));
+    } catch (error) {
+      logger.error('Failed to check plugin permissions:', error);
+    }
+  };
+
   const togglePlugin = async (pluginId) => {
     try {
       const manifest = pluginManifests.find(m => m.id === pluginId);
@@ -76,8 +232,30 @@ export function PluginsPage({ storageData, onRefresh }) {
       }
 
       // Find current state from storage
-      const storagePlugin = storagePlugins.find(p => p.id === pluginId);
-      const currentEnabled = storagePlugin?.enabled ?? manifest.defaultEnabled ?? false;
+      const currentEnabled = pluginLoaderV2.resolveEnabledState(pluginId, storagePlugins);
+
+      if (!currentEnabled) {
+        // Refuse to enable a plugin whose dependencies are disabled
+        const disabledDependencies = pluginLoaderV2.getDisabledDependencies(pluginId, storagePlugins);
+        if (disabledDependencies.length > 0) {
+          logger.warn(`Cannot enable ${pluginId}, dependencies are disabled:`, disabledDependencies);
+          return;
+        }
+
+        // Ask for consent before enabling a plugin that needs more permissions
+        if (hasMissingPermissions(missingPermissions[pluginId])) {
+          setPendingConsent({ manifest, missing: missingPermissions[pluginId] });
+          return;
+        }
+      } else {
+        // Disabling a plugin also disables everything that depends on it
+        const enabledDependents = pluginLoaderV2.getDependents(pluginId)
+          .filter(dependentId => pluginLoaderV2.resolveEnabledState(dependentId, storagePlugins));
+        if (enabledDependents.length > 0) {
+          setPendingDisable({ manifest, dependents: enabledDependents });
+          return;
+        }
+      }
 
       await updatePlugin(pluginId, { enabled: !currentEnabled });
       await onRefresh();
@@ -86,6 +264,79 @@ export function PluginsPage({ storageData, onRefresh }) {
     }
   };
 
+  const confirmCascadeDisable = async () => {
+    if (!pendingDisable) return;
+
+    try {
+      const { manifest, dependents } = pendingDisable;
+
+      // Disable dependents first so none of them is left enabled without its dependency
+      for (const dependentId of [...dependents].reverse()) {
+        await updatePlugin(dependentId, { enabled: false });
+      }
+      await updatePlugin(manifest.id, { enabled: false });
+
+      logger.info(`Disabled ${manifest.id} and dependents:`, dependents);
+      await onRefresh();
+    } catch (error) {
+      logger.error('Failed to disable plugin and its dependents:', error);
+    } finally {
+      setPendingDisable(null);
+    }
+  };
+
+  const confirmConsent = async () => {
+    if (!pendingConsent) return;
+
+    const { manifest } = pendingConsent;
+    setPendingConsent(null);
+
+    try {
+      // Request first: Chrome only prompts while the click's user gesture is active
+      const granted = await pluginLoaderV2.requestPluginPermissions(manifest.id);
+      await loadMissingPermissions();
+
+      if (!granted) {
+        logger.warn(`Permissions declined for plugin: ${manifest.id}`);
+        return;
+      }
+
+      if (!pluginLoaderV2.resolveEnabledState(manifest.id, storagePlugins)) {
+        await updatePlugin(manifest.id, { enabled: true });
+      }
+      await onRefresh();
+    } catch (error) {
+      logger.error('Failed to grant plugin permissions:', error);
+    }
+  };
+
+  const dismissChangelog = async (pluginId) => {
+    try {
+      await updatePlugin(pluginId, { changelogDismissed: true });
+      await onRefresh();
+    } catch (error) {
+      logger.error('Failed to dismiss changelog:', error);
+    }
+  };
+
+  const restartPlugin = async (pluginId) => {
+    try {
+      setRestarting(pluginId);
+      const response = await requestPluginRestart(pluginId);
+      if (!response?.success) {
+        logger.warn(`Failed to restart plugin ${pluginId}:`, response?.error);
+      }
+    } catch (error) {
+      logger.error('Failed to restart plugin:', error);
+    } finally {
+      setRestarting(null);
+    }
+  };
+
+  const getPluginName = (pluginId) => {
+    return pluginLoaderV2.getManifest(pluginId)?.name || pluginId;
+  };
+
   // Dynamic icon loading based on manifest icon property
   const getPluginIcon = (manifest) => {
     const iconName = manifest.icon;
@@ -121,6 +372,7 @@ export function PluginsPage({ storageData, onRefresh }) {
   const getPluginDisplayData = () => {
     return pluginManifests.map(manifest => {
       const storagePlugin = storagePlugins.find(p => p.id === manifest.id);
+      const enabled = pluginLoaderV2.resolveEnabledState(manifest.id, storagePlugins);
 
       return {
         id: manifest.id,
@@ -128,11 +380,22 @@ export function PluginsPage({ storageData, onRefresh }) {
         description: manifest.description,
         version: manifest.version,
         isCore: manifest.core,
-        enabled: storagePlugin?.enabled ?? (manifest.core || manifest.defaultEnabled || false),
+        isExternal: !!manifest.external,
+        enabled,
+        dependencies: pluginLoaderV2.getPluginDependencies(manifest.id),
+        disabledDependencies: enabled ? [] : pluginLoaderV2.getDisabledDependencies(manifest.id, storagePlugins),
         icon: getPluginIcon(manifest),
         hasConfig: !!manifest.configSchema,
         manifest: manifest,
-        settings: storagePlugin?.settings || {}
+        settings: storagePlugin?.settings || {},
+        lifecycle: lifecycleStates[manifest.id] || null,
+        upgrade: storagePlugin?.upgradedFrom && !storagePlugin.changelogDismissed
+          ? {
+              from: storagePlugin.upgradedFrom,
+              changelog: getChangelog(manifest, storagePlugin.upgradedFrom, storagePlugin.version)
+            }
+          : null,
+        missingPermissions: missingPermissions[manifest.id] || null
       };
     });
   };
@@ -151,12 +414,43 @@ export function PluginsPage({ storageData, onRefresh }) {
   return (
     <Container size="lg">
       <Stack gap="lg">
-        <div>
-          <Title order={2} mb="xs">Plugins</Title>
-          <Text c="dimmed">
-            Manage pluggable features for enhanced demonstrations
-          </Text>
-        </div>
+        <Group justify="space-between">
+          <div>
+            <Title order={2} mb="xs">Plugins</Title>
+            <Text c="dimmed">
+              Manage pluggable features for enhanced demonstrations
+            </Text>
+          </div>
+          <FileButton onChange={importPlugin} accept=".zip,.json,application/zip,application/json">
+            {(props) => (
+              <Button
+                {...props}
+                variant="light"
+                leftSection={<IconUpload size={16} />}
+                loading={importing}
+              >
+                Import plugin
+              </Button>
+            )}
+          </FileButton>
+        </Group>
+
+        {importFailure && (
+          <Alert
+            color="red"
+            variant="light"
+            icon={<IconAlertTriangle size={16} />}
+            title={`Could not import ${importFailure.fileName}`}
+            withCloseButton
+            onClose={() => setImportFailure(null)}
+          >
+            <List size="sm">
+              {importFailure.errors.map(error => (
+                <List.Item key={error}>{error}</List.Item>
+              ))}
+            </List>
+          </Alert>
+        )}
 
         <Alert icon={<IconInfoCircle size={16} />} variant="light">
           <Text size="sm">
@@ -164,6 +458,10 @@ export function PluginsPage({ storageData, onRefresh }) {
           </Text>
         </Alert>
 
+        <PluginDiagnosticsPanel rejectedPlugins={rejectedPlugins} />
+
+        <UrlMatchTester manifests={pluginManifests} storagePlugins={storagePlugins} />
+
         <SimpleGrid cols={{ base: 1, sm: 2, lg: 3 }} spacing="lg">
           {getPluginDisplayData().map((plugin) => {
             return (
@@ -182,7 +480,8 @@ export function PluginsPage({ storageData, onRefresh }) {
                     <Switch
                       checked={plugin.enabled}
                       onChange={() => togglePlugin(plugin.id)}
-                      disabled={plugin.isCore} // Core plugins cannot be toggled
+                      // Core plugins cannot be toggled, and plugins can't be enabled without their dependencies
+                      disabled={plugin.isCore || plugin.disabledDependencies.length > 0}
                     />
                   </Group>
 
@@ -203,8 +502,106 @@ export function PluginsPage({ storageData, onRefresh }) {
                         Core Plugin
                       </Badge>
                     )}
+                    {plugin.isExternal && (
+                      <Badge variant="light" color="orange" size="sm">
+                        Imported
+                      </Badge>
+                    )}
+                    {plugin.lifecycle && LIFECYCLE_BADGES[plugin.lifecycle.state] && (
+                      <Badge
+                        variant="dot"
+                        size="sm"
+                        color={LIFECYCLE_BADGES[plugin.lifecycle.state].color}
+                      >
+                        {LIFECYCLE_BADGES[plugin.lifecycle.state].label}
+                      </Badge>
+                    )}
                   </Group>
 
+                  {plugin.upgrade && (
+                    <Alert
+                      color="blue"
+                      variant="light"
+                      icon={<IconSparkles size={16} />}
+                      title={`Updated from ${plugin.upgrade.from}`}
+                      withCloseButton
+                      onClose={() => dismissChangelog(plugin.id)}
+                    >
+                      {plugin.upgrade.changelog.length > 0 ? (
+                        <Stack gap={4}>
+                          {plugin.upgrade.changelog.map(entry => (
+                            <Text key={entry.version} size="xs">
+                              <Text span size="xs" fw={500}>{entry.version}</Text> {entry.notes}
+                            </Text>
+                          ))}
+                        </Stack>
+                      ) : (
+                        <Text size="xs">Settings were migrated to version {plugin.version}.</Text>
+                      )}
+                    </Alert>
+                  )}
+
+                  {plugin.dependencies.length > 0 && (
+                    <Group gap="xs">
+                      <IconPlugConnected size={14} />
+                      <Text size="xs" c="dimmed">
+                        Requires {plugin.dependencies.map(getPluginName).join(', ')}
+                      </Text>
+                    </Group>
+                  )}
+
+                  {plugin.disabledDependencies.length > 0 && (
+                    <Alert color="yellow" variant="light">
+                      <Text size="xs">
+                        Enable {plugin.disabledDependencies.map(getPluginName).join(', ')} to use this plugin.
+                      </Text>
+                    </Alert>
+                  )}
+
+                  {plugin.enabled && STOPPED_BY_ERROR.includes(plugin.lifecycle?.state) && (
+                    <Alert color="red" variant="light" icon={<IconAlertTriangle size={16} />}>
+                      <Stack gap="xs">
+                        {plugin.lifecycle.state === PLUGIN_LIFECYCLE_STATES.CRASHED && (
+                          <Text size="xs" fw={500}>
+                            Suspended after repeated errors.
+                          </Text>
+                        )}
+                        <Text size="xs">
+                          {plugin.lifecycle.error || 'Plugin failed to start.'}
+                        </Text>
+                        {plugin.lifecycle.stack && (
+                          <Spoiler maxHeight={0} showLabel="Show stack trace" hideLabel="Hide stack trace" fz="xs">
+                            <Code block fz="xs">{plugin.lifecycle.stack}</Code>
+                          </Spoiler>
+                        )}
+                        <Group>
+                          <Button
+                            size="xs"
+                            variant="light"
+                            color="red"
+                            leftSection={<IconRefresh size={14} />}
+                            loading={restarting === plugin.id}
+                            onClick={() => restartPlugin(plugin.id)}
+                          >
+                            Restart
+                          </Button>
+                        </Group>
+                      </Stack>
+                    </Alert>
+                  )}
+
+                  {plugin.enabled && hasMissingPermissions(plugin.missingPermissions) && (
+                    <Button
+                      variant="light"
+                      color="yellow"
+                      size="sm"
+                      leftSection={<IconShieldLock size={16} />}
+                      onClick={() => setPendingConsent({ manifest: plugin.manifest, missing: plugin.missingPermissions })}
+                    >
+                      Review permissions
+                    </Button>
+                  )}
+
                   {plugin.hasConfig && (
                     <Button
                       variant="light"
@@ -217,6 +614,18 @@ export function PluginsPage({ storageData, onRefresh }) {
                     </Button>
                   )}
 
+                  {plugin.isExternal && (
+                    <Button
+                      variant="subtle"
+                      color="red"
+                      size="sm"
+                      leftSection={<IconTrash size={16} />}
+                      onClick={() => setPendingRemoval(plugin.manifest)}
+                    >
+                      Remove
+                    </Button>
+                  )}
+
                   {plugin.isCore && (
                     <Alert color="violet" variant="light">
                       <Text size="xs">
@@ -230,6 +639,67 @@ export function PluginsPage({ storageData, onRefresh }) {
           })}
         </SimpleGrid>
 
+        {/* Cascade Disable Confirmation */}
+        <Modal
+          opened={!!pendingDisable}
+          onClose={() => setPendingDisable(null)}
+          title={pendingDisable ? `Disable ${pendingDisable.manifest.name}?` : 'Disable plugin?'}
+          centered
+        >
+          {pendingDisable && (
+            <Stack gap="md">
+              <Text size="sm">
+                The following plugins depend on {pendingDisable.manifest.name} and will also be disabled:
+              </Text>
+              <Stack gap={4}>
+                {pendingDisable.dependents.map(dependentId => (
+                  <Text key={dependentId} size="sm" fw={500}>{getPluginName(dependentId)}</Text>
+                ))}
+              </Stack>
+              <Group justify="flex-end">
+                <Button variant="subtle" onClick={() => setPendingDisable(null)}>
+                  Cancel
+                </Button>
+                <Button color="red" onClick={confirmCascadeDisable}>
+                  Disable all
+                </Button>
+              </Group>
+            </Stack>
+          )}
+        </Modal>
+
+        {/* Imported Plugin Removal Confirmation */}
+        <Modal
+          opened={!!pendingRemoval}
+          onClose={() => setPendingRemoval(null)}
+          title={pendingRemoval ? `Remove ${pendingRemoval.name}?` : 'Remove plugin?'}
+          centered
+        >
+          {pendingRemoval && (
+            <Stack gap="md">
+              <Text size="sm">
+                The plugin will be stopped and its bundle and settings deleted. Import the
+                bundle again to restore it.
+              </Text>
+              <Group justify="flex-end">
+                <Button variant="subtle" onClick={() => setPendingRemoval(null)}>
+                  Cancel
+                </Button>
+                <Button color="red" onClick={confirmRemoval}>
+                  Remove
+                </Button>
+              </Group>
+            </Stack>
+          )}
+        </Modal>
+
+        {/* Permission Consent */}
+        <PluginConsentDialog
+          consent={pendingConsent}
+          onAllow={confirmConsent}
+          onCancel={() => setPendingConsent(null)}
+        />
+
         {/* Configuration Modal */}
         <Modal
           opened={configModalOpened}
@@ -20,6 +20,8 @@ import {
   Title,
   ScrollArea,
   NumberInput,
+  Menu,
+  FileButton,
 } from '@mantine/core';
 import { useForm } from '@mantine/form';
 import { notifications } from '@mantine/notifications';
@@ -35,16 +37,32 @@ import {
   IconClock,
   IconGlobe,
   IconActivity,
+  IconTimeline,
+  IconFileExport,
+  IconFileImport,
+  IconArrowBackUp,
 } from '@tabler/icons-react';
 import { DEFAULT_APM_SETTINGS } from './config';
 import { 
-  generateTraceUrl, 
+  generateCapturedTraceUrl,
   filterTracesByStatus, 
   formatDuration, 
   formatTimestamp, 
   getStatusColor, 
   truncateUrl 
 } from './config';
+import { sendMessage } from '@/shared/messages';
+import { TraceDetailDrawer } from './trace-detail-drawer';
+import { TraceWaterfall } from './trace-waterfall';
+import { connectTraceStream, applyTraceEvent } from './trace-stream';
+import { EXPORT_FORMATS, selectTraces, exportTraces, fromHar, downloadExport } from './trace-export';
+
+const EXPORT_RANGES = [
+  { value: 'all', label: 'Any time', ms: null },
+  { value: '15m', label: 'Last 15 minutes', ms: 15 * 60 * 1000 },
+  { value: '1h', label: 'Last hour', ms: 60 * 60 * 1000 },
+  { value: '24h', label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+];
 
 /**
  * @typedef {Object} APMTracingComponentProps
@@ -56,6 +74,12 @@ export const APMTracingComponent = ({ context }) => {
   const [traces, setTraces] = useState([]);
   const [activeTab, setActiveTab] = useState('traces');
   const [refreshing, setRefreshing] = useState(false);
+  const [selectedTrace, setSelectedTrace] = useState(null);
+  const [streamKey, setStreamKey] = useState(0);
+  const [live, setLive] = useState(false);
+  const [importedTraces, setImportedTraces] = useState(null);
+  const [exportTab, setExportTab] = useState('all');
+  const [exportRange, setExportRange] = useState('all');
 
   // Get current plugin settings
   const currentPlugin = context.storage.plugins.find(p => p.id === 'apm-tracing');
@@ -76,28 +100,30 @@ export const APMTracingComponent = ({ context }) => {
     },
   });
 
-  // Load traces on component mount
+  // Follow traces live from the background; each (re)connect starts with a snapshot
   useEffect(() => {
-    loadTraces();
-  }, []);
+    setRefreshing(true);
 
-  // Load traces from background script
-  const loadTraces = async () => {
-    try {
-      setRefreshing(true);
-      const response = await chrome.runtime.sendMessage({
-        type: 'GET_APM_TRACES',
-        filter: form.values.filterByStatus,
-      });
-
-      if (response.success) {
-        setTraces(response.traces || []);
+    const disconnect = connectTraceStream((event) => {
+      if (event.type === 'snapshot') {
+        setRefreshing(false);
+        setLive(true);
       }
-    } catch (error) {
-      console.error('Failed to load traces:', error);
-    } finally {
-      setRefreshing(false);
-    }
+      setTraces(current => applyTraceEvent(current, event, {
+        maxTraces: pluginSettings.maxTraces,
+        retentionHours: pluginSettings.traceRetentionHours
+      }));
+    });
+
+    return () => {
+      setLive(false);
+      disconnect();
+    };
+  }, [streamKey]);
+
+  // Reconnect to get a fresh snapshot
+  const loadTraces = () => {
+    setStreamKey(key => key + 1);
   };
 
   // Handle form submission (save settings)
@@ -144,7 +170,10 @@ export const APMTracingComponent = ({ context }) => {
   const handleClearTraces = async () => {
     try {
       setIsLoading(true);
-      await chrome.runtime.sendMessage({ type: 'CLEAR_APM_TRACES' });
+      const response = await sendMessage('CLEAR_APM_TRACES');
+      if (!response?.success) {
+        throw new Error(response?.error || 'Background did not clear traces');
+      }
       setTraces([]);
       
       notifications.show({
@@ -167,8 +196,8 @@ export const APMTracingComponent = ({ context }) => {
   };
 
   // Open trace in Datadog
-  const handleOpenTrace = (traceId) => {
-    const traceUrl = generateTraceUrl(traceId, context.credentials.site);
+  const handleOpenTrace = (trace) => {
+    const traceUrl = generateCapturedTraceUrl(trace, context.credentials.site);
     
     if (form.values.autoOpenTraces) {
       chrome.tabs.create({ url: traceUrl });
@@ -177,8 +206,60 @@ export const APMTracingComponent = ({ context }) => {
     }
   };
 
+  // Export the listed traces, narrowed to the chosen tab and time range
+  const handleExport = (format) => {
+    const range = EXPORT_RANGES.find(option => option.value === exportRange);
+    const selected = selectTraces(shownTraces, {
+      tabId: exportTab === 'all' ? undefined : (exportTab === 'null' ? null : Number(exportTab)),
+      from: range.ms ? Date.now() - range.ms : null,
+      status: form.values.filterByStatus,
+    });
+
+    if (selected.length === 0) {
+      notifications.show({
+        title: 'Nothing to Export',
+        message: 'No traces match the current tab, time range and status filter',
+        color: 'yellow',
+        icon: <IconInfoCircle />,
+      });
+      return;
+    }
+
+    downloadExport(exportTraces(selected, format), format);
+  };
+
+  // Replay a previously exported HAR in place of the live traces
+  const handleImport = async (file) => {
+    if (!file) return;
+
+    try {
+      const { traces: imported, skipped } = fromHar(JSON.parse(await file.text()));
+      setImportedTraces({ name: file.name, traces: imported });
+
+      notifications.show({
+        title: 'HAR Imported',
+        message: `Loaded ${imported.length} traces from ${file.name}`
+          + (skipped > 0 ? ` (${skipped} requests without trace headers skipped)` : ''),
+        color: 'green',
+        icon: <IconCheck />,
+      });
+    } catch (error) {
+      notifications.show({
+        title: 'Error',
+        message: `Failed to import ${file.name}: ${error.message}`,
+        color: 'red',
+        icon: <IconX />,
+      });
+      console.error('Failed to import HAR:', error);
+    }
+  };
+
+  // Imported traces replace the live ones until the user goes back
+  const shownTraces = importedTraces ? importedTraces.traces : traces;
+
   // Filter traces based on current filter setting
-  const filteredTraces = filterTracesByStatus(traces, form.values.filterByStatus);
+  const filteredTraces = filterTracesByStatus(shownTraces, form.values.filterByStatus);
+  const traceTabIds = [...new Set(shownTraces.map(trace => trace.tabId))];
 
   return (
     <Container size="lg" px={0}>
@@ -211,7 +292,7 @@ export const APMTracingComponent = ({ context }) => {
             <Group gap="xs">
               <IconActivity size={16} />
               <Text size="sm">
-                Total: <Text span fw={500}>{traces.length}</Text>
+                Total: <Text span fw={500}>{shownTraces.length}</Text>
               </Text>
             </Group>
           </Paper>
@@ -219,7 +300,7 @@ export const APMTracingComponent = ({ context }) => {
             <Group gap="xs">
               <IconClock size={16} />
               <Text size="sm">
-                Recent: <Text span fw={500}>{traces.filter(t => Date.now() - t.timestamp < 3600000).length}</Text>
+                Recent: <Text span fw={500}>{shownTraces.filter(t => Date.now() - t.timestamp < 3600000).length}</Text>
               </Text>
             </Group>
           </Paper>
@@ -231,6 +312,9 @@ export const APMTracingComponent = ({ context }) => {
             <Tabs.Tab value="traces" leftSection={<IconEye size={16} />}>
               Traces
             </Tabs.Tab>
+            <Tabs.Tab value="waterfall" leftSection={<IconTimeline size={16} />}>
+              Waterfall
+            </Tabs.Tab>
             <Tabs.Tab value="settings" leftSection={<IconSettings size={16} />}>
               Settings
             </Tabs.Tab>
@@ -259,12 +343,82 @@ export const APMTracingComponent = ({ context }) => {
                   size="sm"
                   leftSection={<IconClearAll size={16} />}
                   onClick={handleClearTraces}
-                  disabled={traces.length === 0}
+                  disabled={traces.length === 0 || importedTraces !== null}
                 >
                   Clear All
                 </Button>
               </Group>
 
+              {/* Export / Import */}
+              <Group align="flex-end" gap="xs">
+                <Select
+                  label="Export Tab"
+                  value={exportTab}
+                  onChange={setExportTab}
+                  allowDeselect={false}
+                  data={[
+                    { value: 'all', label: 'All tabs' },
+                    ...traceTabIds.map(id => ({
+                      value: String(id),
+                      label: id === null ? 'Closed tabs' : `Tab ${id}`,
+                    })),
+                  ]}
+                  size="sm"
+                />
+                <Select
+                  label="Time Range"
+                  value={exportRange}
+                  onChange={setExportRange}
+                  allowDeselect={false}
+                  data={EXPORT_RANGES.map(({ value, label }) => ({ value, label }))}
+                  size="sm"
+                />
+                <Menu position="bottom-end">
+                  <Menu.Target>
+                    <Button
+                      variant="light"
+                      size="sm"
+                      leftSection={<IconFileExport size={16} />}
+                      disabled={filteredTraces.length === 0}
+                    >
+                      Export
+                    </Button>
+                  </Menu.Target>
+                  <Menu.Dropdown>
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                      <Menu.Item key={format} onClick={() => handleExport(format)}>
+                        {label}
+                      </Menu.Item>
+                    ))}
+                  </Menu.Dropdown>
+                </Menu>
+                <FileButton onChange={handleImport} accept=".har,application/json">
+                  {(props) => (
+                    <Button {...props} variant="subtle" size="sm" leftSection={<IconFileImport size={16} />}>
+                      Import HAR
+                    </Button>
+                  )}
+                </FileButton>
+              </Group>
+
+              {importedTraces && (
+                <Alert color="violet" icon={<IconFileImport />}>
+                  <Group justify="space-between">
+                    <Text size="sm">
+                      Showing {importedTraces.traces.length} traces imported from {importedTraces.name}
+                    </Text>
+                    <Button
+                      variant="subtle"
+                      size="xs"
+                      leftSection={<IconArrowBackUp size={14} />}
+                      onClick={() => setImportedTraces(null)}
+                    >
+                      Back to live traces
+                    </Button>
+                  </Group>
+                </Alert>
+              )}
+
               {/* Traces List */}
               <ScrollArea h={400}>
                 <Stack gap="xs">
@@ -287,6 +441,14 @@ export const APMTracingComponent = ({ context }) => {
                               >
                                 {trace.method} {trace.status}
                               </Badge>
+                              {trace.injected && (
+                                <Badge color="orange" size="sm" variant="outline">Injected</Badge>
+                              )}
+                              {trace.sharedIds && (
+                                <Tooltip label="Other requests were sent with the same injected IDs">
+                                  <Badge color="orange" size="sm" variant="light">Shared IDs</Badge>
+                                </Tooltip>
+                              )}
                               <Text size="sm" fw={500}>
                                 {truncateUrl(trace.url)}
                               </Text>
@@ -314,15 +476,24 @@ export const APMTracingComponent = ({ context }) => {
                             )}
                           </Stack>
                           
-                          <Tooltip label="Open in Datadog">
-                            <ActionIcon
-                              variant="subtle"
-                              color="violet"
-                              onClick={() => handleOpenTrace(trace.traceId)}
-                            >
-                              <IconExternalLink size={16} />
-                            </ActionIcon>
-                          </Tooltip>
+                          <Group gap={4}>
+                            {form.values.showRequestDetails && (
+                              <Tooltip label="Request details">
+                                <ActionIcon variant="subtle" onClick={() => setSelectedTrace(trace)}>
+                                  <IconEye size={16} />
+                                </ActionIcon>
+                              </Tooltip>
+                            )}
+                            <Tooltip label="Open in Datadog">
+                              <ActionIcon
+                                variant="subtle"
+                                color="violet"
+                                onClick={() => handleOpenTrace(trace)}
+                              >
+                                <IconExternalLink size={16} />
+                              </ActionIcon>
+                            </Tooltip>
+                          </Group>
                         </Group>
                       </Card>
                     ))
@@ -332,6 +503,17 @@ export const APMTracingComponent = ({ context }) => {
             </Stack>
           </Tabs.Panel>
 
+          <Tabs.Panel value="waterfall" pt="md">
+            <ScrollArea h={480}>
+              <TraceWaterfall
+                traces={shownTraces}
+                live={live && importedTraces === null}
+                onOpenTrace={(trace) => handleOpenTrace(trace)}
+                onSelectTrace={form.values.showRequestDetails ? setSelectedTrace : undefined}
+              />
+            </ScrollArea>
+          </Tabs.Panel>
+
           <Tabs.Panel value="settings" pt="md">
             <form onSubmit={form.onSubmit(handleSaveSettings)}>
               <Stack gap="md">
@@ -400,6 +582,32 @@ export const APMTracingComponent = ({ context }) => {
                   </Stack>
                 </Card>
 
+                <Card withBorder>
+                  <Stack gap="md">
+                    <Text fw={500}>Header Injection</Text>
+
+                    <Select
+                      label="Inject Trace Headers"
+                      description="Add trace headers to fetch/XHR requests for front ends that don't propagate context. Replaces trace headers the page already sends, and parallel requests can share IDs."
+                      data={[
+                        { value: 'off', label: 'Off' },
+                        { value: 'datadog', label: 'Datadog (x-datadog-*)' },
+                        { value: 'tracecontext', label: 'W3C (traceparent)' },
+                        { value: 'both', label: 'Datadog and W3C' },
+                      ]}
+                      {...form.getInputProps('injectTraceHeaders')}
+                    />
+
+                    <TextInput
+                      label="Injection Domains"
+                      description="Comma-separated list of domains to inject into, subdomains included. Required for injection."
+                      placeholder="api.example.com"
+                      disabled={!form.values.injectTraceHeaders || form.values.injectTraceHeaders === 'off'}
+                      {...form.getInputProps('injectDomains')}
+                    />
+                  </Stack>
+                </Card>
+
                 <Alert color="blue" icon={<IconInfoCircle />}>
                   APM tracing monitors network requests for Datadog trace headers. Only requests with valid trace headers will be captured and displayed.
                 </Alert>
@@ -414,6 +622,13 @@ export const APMTracingComponent = ({ context }) => {
           </Tabs.Panel>
         </Tabs>
       </Stack>
+
+      <TraceDetailDrawer
+        trace={selectedTrace}
+        opened={selectedTrace !== null}
+        onClose={() => setSelectedTrace(null)}
+        onOpenTrace={(trace) => handleOpenTrace(trace)}
+      />
     </Container>
   );
 };
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { getTraceUrl, timeWindowAround } from '@/shared/datadog-links';
+import { toDatadogTraceId } from './trace-context';
+
 // APM Plugin Configuration
 export const APM_PLUGIN_CONFIG = {
   id: 'apm-tracing',
@@ -17,9 +20,43 @@ export const DEFAULT_APM_SETTINGS = {
 };
 
 // Utility functions for APM tracing
-export function generateTraceUrl(traceId, site = 'us1') {
-  const domain = site === 'us1' ? 'app.datadoghq.com' : `app.datadoghq.${site}`;
-  return `https://${domain}/apm/trace/${traceId}`;
+/**
+ * Link to a trace in Datadog APM. Options are getTraceUrl's: spanId, from, to.
+ */
+export function generateTraceUrl(traceId, site = 'us1', options = {}) {
+  // W3C and B3 trace IDs are hex; Datadog links use the decimal 64-bit form
+  return getTraceUrl(toDatadogTraceId(traceId) ?? traceId, { ...options, site });
+}
+
+/**
+ * Link to a captured trace, opening on its span around when it was captured
+ */
+export function generateCapturedTraceUrl(trace, site = 'us1') {
+  return generateTraceUrl(trace.traceId, site, {
+    spanId: trace.spanId,
+    ...timeWindowAround(trace.timestamp)
+  });
+}
+
+/**
+ * Parse a comma-separated monitorDomains setting into a list of hostnames
+ */
+export function parseMonitorDomains(value) {
+  return String(value || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a hostname is one of the monitored domains or a subdomain
+ * of one. An empty list monitors every domain.
+ */
+export function isMonitoredDomain(hostname, domains) {
+  if (domains.length === 0) return true;
+
+  const host = hostname.toLowerCase();
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
 }
 
 export function formatTimestamp(timestamp) {
@@ -36,4 +73,15 @@ export function getStatusColor(status) {
 export function truncateUrl(url, maxLength = 50) {
   if (url.length <= maxLength) return url;
   return url.substring(0, maxLength) + '...';
-}
\ No newline at end of file
+}
+
+export function formatDuration(duration) {
+  if (duration < 1000) return `${Math.round(duration)}ms`;
+  return `${(duration / 1000).toFixed(2)}s`;
+}
+
+export function filterTracesByStatus(traces, filter = 'all') {
+  if (filter === 'all') return traces;
+  const statusClass = Number.parseInt(filter, 10);
+  return traces.filter(trace => Math.floor(trace.status / 100) === statusClass);
+}
@@ -0,0 +1,245 @@
+/**
+ * APM Header Injection
+ * Adds trace headers to a demo site's requests when its front end doesn't
+ * propagate context, so backend traces still start from the browser. A
+ * declarativeNetRequest dynamic rule sets the headers on fetch and XHR
+ * requests to the configured domains (and their subdomains).
+ *
+ * This doesn't generate IDs per request. A rule's header values are fixed,
+ * so the IDs are replaced after each request seen carrying them, and
+ * requests sent before the rule is updated, such as a burst of parallel
+ * calls, share the same IDs; Datadog merges those into one trace. claim()
+ * counts the requests sent with each header set so shared IDs can be
+ * flagged. The rule sets the headers, so on a front end that is already
+ * instrumented it replaces the page's own trace headers.
+ */
+
+import { createLogger } from '@/shared/logger';
+import { TRACE_HEADERS, normalizeHexIds } from './trace-context';
+import { isMonitoredDomain } from './config';
+
+const logger = createLogger('ApmHeaderInjection');
+
+/**
+ * Header sets that can be injected
+ */
+export const INJECTION_MODES = {
+  OFF: 'off',
+  DATADOG: 'datadog',
+  TRACECONTEXT: 'tracecontext',
+  BOTH: 'both'
+};
+
+// Dynamic rules are shared by the whole extension; this ID is the plugin's
+export const INJECTION_RULE_ID = 7100;
+
+const INJECTED_RESOURCE_TYPES = ['xmlhttprequest'];
+
+// Header sets of recent rule versions, which requests already sent may carry
+const MAX_ISSUED_HEADER_SETS = 20;
+
+// USER_KEEP, so injected traces are kept whatever the backend's sampling rate
+const SAMPLING_PRIORITY = '2';
+
+function randomHex(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  // Keep IDs within 63 bits, which every Datadog tracer accepts
+  values[0] &= 0x7f;
+  return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate IDs for one request the way dd-trace does: a 128-bit trace ID
+ * whose upper 64 bits start with the time in seconds, and a random span ID
+ */
+export function generateTraceIds() {
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+
+  let ids = null;
+  while (!ids) {
+    ids = normalizeHexIds(`${seconds}00000000${randomHex(8)}`, randomHex(8));
+  }
+  return ids;
+}
+
+/**
+ * Build the headers to inject for a mode, keyed by lowercase name
+ */
+export function buildInjectedHeaders(ids, mode) {
+  const headers = {};
+
+  if (mode === INJECTION_MODES.DATADOG || mode === INJECTION_MODES.BOTH) {
+    headers[TRACE_HEADERS.DATADOG_TRACE_ID] = ids.traceId;
+    headers[TRACE_HEADERS.DATADOG_PARENT_ID] = ids.spanId;
+    headers[TRACE_HEADERS.DATADOG_SAMPLING_PRIORITY] = SAMPLING_PRIORITY;
+    // Upper 64 bits of the trace ID, so 128-bit IDs survive
+    headers[TRACE_HEADERS.DATADOG_TAGS] = `_dd.p.tid=${ids.traceIdHex.slice(0, 16)}`;
+  }
+
+  if (mode === INJECTION_MODES.TRACECONTEXT || mode === INJECTION_MODES.BOTH) {
+    headers[TRACE_HEADERS.TRACEPARENT] = `00-${ids.traceIdHex}-${ids.spanIdHex}-01`;
+    headers[TRACE_HEADERS.TRACESTATE] = `dd=s:${SAMPLING_PRIORITY}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Build the dynamic rule that sets `headers` on requests to `domains`
+ * @returns {chrome.declarativeNetRequest.Rule}
+ */
+export function buildInjectionRule(headers, domains) {
+  return {
+    id: INJECTION_RULE_ID,
+    priority: 1,
+    action: {
+      type: 'modifyHeaders',
+      requestHeaders: Object.entries(headers).map(([header, value]) => ({
+        header,
+        operation: 'set',
+        value
+      }))
+    },
+    condition: {
+      requestDomains: domains,
+      resourceTypes: INJECTED_RESOURCE_TYPES
+    }
+  };
+}
+
+class HeaderInjector {
+  constructor() {
+    this.config = null;
+    this.active = null;
+    this.issued = [];
+    this.rotating = false;
+    this.updates = Promise.resolve();
+  }
+
+  /**
+   * Start injecting `mode` headers on requests to `domains`, or stop when
+   * the mode is off or there are no domains. Injecting on every domain isn't
+   * supported, since it would add headers to third-party requests.
+   */
+  configure({ mode = INJECTION_MODES.OFF, domains = [] } = {}) {
+    if (mode === INJECTION_MODES.OFF || domains.length === 0) {
+      return this.disable();
+    }
+
+    if (!chrome.declarativeNetRequest) {
+      logger.warn('declarativeNetRequest API not available, trace headers will not be injected');
+      return Promise.resolve();
+    }
+
+    // Settings are re-applied on any plugin change; keep the current IDs if these didn't change
+    if (this.config?.mode === mode && this.config.domains.join() === domains.join()) {
+      return this.updates;
+    }
+
+    this.config = { mode, domains };
+    return this.install(generateTraceIds());
+  }
+
+  /**
+   * Remove the injection rule
+   */
+  disable() {
+    const wasActive = this.config !== null;
+    this.config = null;
+
+    return this.enqueue(async () => {
+      this.active = null;
+      this.issued = [];
+      if (!chrome.declarativeNetRequest) return;
+
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [INJECTION_RULE_ID] });
+      if (wasActive) {
+        logger.debug('INJECTION', 'DISABLED', {});
+      }
+    });
+  }
+
+  /**
+   * Check whether a request seen in onSendHeaders carries headers the rule
+   * set, by comparing its trace headers with those of recent rule versions.
+   * If it carries the current ones, the rule moves on to new IDs.
+   * Returns how many requests have now been seen with the same headers:
+   * 0 if the rule didn't set them, more than 1 if their IDs are shared.
+   * @param {Object} details - onSendHeaders details
+   * @param {Object} traceHeaders - The request's trace headers, keyed by lowercase name
+   * @returns {number}
+   */
+  claim(details, traceHeaders) {
+    if (!this.active || !INJECTED_RESOURCE_TYPES.includes(details.type)) return 0;
+
+    let hostname;
+    try {
+      hostname = new URL(details.url).hostname;
+    } catch {
+      return 0;
+    }
+    if (!isMonitoredDomain(hostname, this.active.domains)) return 0;
+
+    const carried = this.findIssued(traceHeaders);
+    if (!carried) return 0;
+
+    carried.claims += 1;
+    if (carried.headers === this.active.headers) {
+      this.rotate();
+    }
+    return carried.claims;
+  }
+
+  /**
+   * How many requests have been seen with the same injected headers as these
+   */
+  countClaims(traceHeaders) {
+    return this.findIssued(traceHeaders)?.claims ?? 0;
+  }
+
+  findIssued(traceHeaders) {
+    return this.issued.find(({ headers }) => (
+      Object.entries(headers).every(([header, value]) => traceHeaders[header] === value)
+    ));
+  }
+
+  rotate() {
+    if (this.rotating || !this.config) return;
+
+    this.rotating = true;
+    this.install(generateTraceIds())
+      .finally(() => {
+        this.rotating = false;
+      });
+  }
+
+  install(ids) {
+    return this.enqueue(async () => {
+      // Disabled while queued
+      if (!this.config) return;
+
+      const { mode, domains } = this.config;
+      const headers = buildInjectedHeaders(ids, mode);
+
+      await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: [INJECTION_RULE_ID],
+        addRules: [buildInjectionRule(headers, domains)]
+      });
+
+      this.active = { headers, domains };
+      this.issued = [...this.issued, { headers, claims: 0 }].slice(-MAX_ISSUED_HEADER_SETS);
+      logger.debug('INJECTION', 'RULE_UPDATED', { mode, domains, traceId: ids.traceId });
+    });
+  }
+
+  // Rule updates run one at a time, in order
+  enqueue(update) {
+    this.updates = this.updates
+      .then(update)
+      .catch(error => logger.error('Failed to update trace header injection rule:', error));
+    return this.updates;
+  }
+}
+
+export const headerInjector = new HeaderInjector();
+export default headerInjector;
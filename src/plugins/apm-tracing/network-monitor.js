@@ -1,12 +1,490 @@
-// Simplified network monitor for JavaScript version
+/**
+ * APM Network Monitor
+ * Captures requests carrying Datadog, W3C Trace Context or B3 headers with
+ * chrome.webRequest and stores them as TraceData in the trace store, so the
+ * popup's APM tab can list them. The store's capacity and retention follow
+ * the plugin's maxTraces and traceRetentionHours settings.
+ *
+ * When header injection is configured, the monitor also keeps the injection
+ * rule in step with the settings and records the requests it applied to.
+ */
+
+import { pluginLoaderV2 } from '@/shared/plugin-loader-v2';
+import { onPluginsChanged } from '@/shared/storage';
+import { getSessionValue, updateSessionValue } from '@/shared/session-storage';
+import { createLogger } from '@/shared/logger';
+import { TRACE_HEADERS, decodeTraceContext, extractTraceHeaders } from './trace-context';
+import { traceStore, RETENTION_ALARM, DEFAULT_MAX_TRACES, DEFAULT_RETENTION_HOURS } from './trace-store';
+import { redactHeaders } from './request-details';
+import { parseMonitorDomains, isMonitoredDomain, filterTracesByStatus } from './config';
+import { headerInjector, INJECTION_MODES } from './header-injection';
+
+const logger = createLogger('ApmNetworkMonitor');
+
+const PLUGIN_ID = 'apm-tracing';
+
+// Last page navigation per tab, kept across service worker restarts
+const NAVIGATIONS_KEY = 'apmTabNavigations';
+
+export { TRACE_HEADERS, extractTraceHeaders, parseMonitorDomains, isMonitoredDomain };
+
+// Requests whose headers have been seen but that haven't finished yet
+const MAX_PENDING_REQUESTS = 500;
+
+/**
+ * Check whether captured headers identify a trace in any propagation style
+ */
+export function hasTraceContext(headers) {
+  return decodeTraceContext(headers) !== null;
+}
+
+class NetworkMonitor {
+  constructor() {
+    this.pendingRequests = new Map();
+    this.requestStarts = new Map();
+    this.tabNavigations = new Map();
+    this.traceListeners = new Set();
+    this.settings = null;
+    this.running = false;
+    this.unwatchSettings = null;
+    this.unwatchPluginState = null;
+
+    this.handleBeforeRequest = this.handleBeforeRequest.bind(this);
+    this.handleSendHeaders = this.handleSendHeaders.bind(this);
+    this.handleHeadersReceived = this.handleHeadersReceived.bind(this);
+    this.handleResponseStarted = this.handleResponseStarted.bind(this);
+    this.handleCompleted = this.handleCompleted.bind(this);
+    this.handleErrorOccurred = this.handleErrorOccurred.bind(this);
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleAlarm = this.handleAlarm.bind(this);
+    this.handleBrowserStartup = this.handleBrowserStartup.bind(this);
+  }
+
+  /**
+   * Add the webRequest listeners. Runs synchronously so it can be called at
+   * service worker startup and catch the requests that woke the worker.
+   */
+  start() {
+    if (this.running) return;
+
+    if (!chrome.webRequest) {
+      logger.warn('webRequest API not available, APM traces will not be captured');
+      return;
+    }
+
+    const filter = { urls: ['<all_urls>'] };
+    chrome.webRequest.onBeforeRequest.addListener(this.handleBeforeRequest, filter);
+    // extraHeaders, so the headers set by the injection rule are listed
+    chrome.webRequest.onSendHeaders.addListener(this.handleSendHeaders, filter, ['requestHeaders', 'extraHeaders']);
+    chrome.webRequest.onHeadersReceived.addListener(this.handleHeadersReceived, filter, ['responseHeaders']);
+    chrome.webRequest.onResponseStarted.addListener(this.handleResponseStarted, filter);
+    chrome.webRequest.onCompleted.addListener(this.handleCompleted, filter);
+    chrome.webRequest.onErrorOccurred.addListener(this.handleErrorOccurred, filter);
+    chrome.tabs.onRemoved.addListener(this.handleTabRemoved);
+    chrome.alarms.onAlarm.addListener(this.handleAlarm);
+    chrome.runtime.onStartup.addListener(this.handleBrowserStartup);
+
+    // Settings may have lowered maxTraces or traceRetentionHours, changed
+    // header injection or disabled the plugin
+    this.unwatchSettings = onPluginsChanged(() => {
+      this.settings = null;
+      this.applyRetention();
+      this.applyInjection();
+    });
+
+    this.running = true;
+    logger.debug('MONITOR', 'STARTED', {});
+
+    this.restoreNavigations();
+
+    traceStore.scheduleRetention()
+      .catch(error => logger.error('Failed to schedule trace retention:', error));
+    this.applyRetention();
+    this.applyInjection();
+  }
+
+  /**
+   * Remove the listeners and drop requests still in flight
+   */
+  stop() {
+    if (!this.running) return;
+
+    chrome.webRequest.onBeforeRequest.removeListener(this.handleBeforeRequest);
+    chrome.webRequest.onSendHeaders.removeListener(this.handleSendHeaders);
+    chrome.webRequest.onHeadersReceived.removeListener(this.handleHeadersReceived);
+    chrome.webRequest.onResponseStarted.removeListener(this.handleResponseStarted);
+    chrome.webRequest.onCompleted.removeListener(this.handleCompleted);
+    chrome.webRequest.onErrorOccurred.removeListener(this.handleErrorOccurred);
+    chrome.tabs.onRemoved.removeListener(this.handleTabRemoved);
+    chrome.alarms.onAlarm.removeListener(this.handleAlarm);
+    chrome.runtime.onStartup.removeListener(this.handleBrowserStartup);
+
+    this.unwatchSettings?.();
+    this.unwatchSettings = null;
+    headerInjector.disable();
+    this.pendingRequests.clear();
+    this.requestStarts.clear();
+    this.tabNavigations.clear();
+    this.running = false;
+    logger.debug('MONITOR', 'STOPPED', {});
+  }
+
+  /**
+   * Run only while the plugin is enabled. start() is called before the
+   * enabled state has been read, so the monitor stops once the loader
+   * reports the plugin disabled, and starts or stops as it's toggled.
+   */
+  async followPluginState() {
+    if (this.unwatchPluginState) return;
+
+    this.unwatchPluginState = pluginLoaderV2.onEnabledStateChange((pluginId, enabled) => {
+      if (pluginId !== PLUGIN_ID) return;
+
+      if (enabled) {
+        this.start();
+      } else {
+        this.stop();
+      }
+    });
+
+    await pluginLoaderV2.initialize();
+    if (!pluginLoaderV2.isPluginEnabled(PLUGIN_ID)) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Get the plugin's settings, cached until stored plugins change
+   */
+  async getSettings() {
+    if (!this.settings) {
+      await pluginLoaderV2.initialize();
+      this.settings = await pluginLoaderV2.getPluginSettings(PLUGIN_ID);
+    }
+    return this.settings;
+  }
+
+  // Trace headers are only visible from onSendHeaders, so every tab request's
+  // start time is noted until then for the timing breakdown
+  handleBeforeRequest(details) {
+    if (details.tabId < 0 || this.requestStarts.has(details.requestId)) return;
+
+    if (details.type === 'main_frame') {
+      this.recordNavigation(details);
+    }
+
+    if (this.requestStarts.size >= MAX_PENDING_REQUESTS) {
+      const oldest = this.requestStarts.keys().next().value;
+      this.requestStarts.delete(oldest);
+    }
+    this.requestStarts.set(details.requestId, details.timeStamp);
+  }
+
+  handleSendHeaders(details) {
+    if (details.tabId < 0) return;
+
+    const startTime = this.requestStarts.get(details.requestId) ?? details.timeStamp;
+    this.requestStarts.delete(details.requestId);
+
+    const traceHeaders = extractTraceHeaders(details.requestHeaders);
+    if (!hasTraceContext(traceHeaders)) return;
+
+    const claims = headerInjector.claim(details, traceHeaders);
+    if (claims > 1) {
+      this.markSharedIds(traceHeaders);
+    }
+
+    // Bound memory if completion events never arrive
+    if (this.pendingRequests.size >= MAX_PENDING_REQUESTS) {
+      const oldest = this.pendingRequests.keys().next().value;
+      this.pendingRequests.delete(oldest);
+    }
+
+    this.pendingRequests.set(details.requestId, {
+      tabId: details.tabId,
+      url: details.url,
+      method: details.method,
+      startTime,
+      navigation: this.tabNavigations.get(details.tabId) || null,
+      timing: { startTime, sendHeaders: details.timeStamp },
+      initiator: {
+        tabId: details.tabId,
+        frameId: details.frameId,
+        parentFrameId: details.parentFrameId,
+        frameType: details.frameType || null,
+        documentId: details.documentId || null,
+        origin: details.initiator || null,
+        resourceType: details.type
+      },
+      traceHeaders,
+      injected: claims > 0,
+      sharedIds: claims > 1,
+      responseTraceHeaders: {},
+      requestHeaders: redactHeaders(details.requestHeaders),
+      responseHeaders: []
+    });
+  }
+
+  /**
+   * Flag the earlier requests sent with the same injected headers, whether
+   * still in flight or already stored
+   */
+  markSharedIds(traceHeaders) {
+    const { traceId } = decodeTraceContext(traceHeaders);
+
+    for (const pending of this.pendingRequests.values()) {
+      if (pending.injected && decodeTraceContext(pending.traceHeaders).traceId === traceId) {
+        pending.sharedIds = true;
+      }
+    }
+
+    traceStore.markSharedIds(traceId)
+      .then(traces => traces.forEach(trace => this.emitTraceEvent({ type: 'updated', trace })))
+      .catch(error => logger.error('Failed to flag traces with shared IDs:', error));
+  }
+
+  handleHeadersReceived(details) {
+    const pending = this.pendingRequests.get(details.requestId);
+    if (!pending) return;
+
+    pending.timing.headersReceived = details.timeStamp;
+    pending.responseTraceHeaders = extractTraceHeaders(details.responseHeaders);
+    pending.responseHeaders = redactHeaders(details.responseHeaders);
+  }
+
+  handleResponseStarted(details) {
+    const pending = this.pendingRequests.get(details.requestId);
+    if (!pending) return;
+
+    pending.timing.responseStarted = details.timeStamp;
+    pending.statusLine = details.statusLine || null;
+    pending.ip = details.ip || null;
+    pending.fromCache = Boolean(details.fromCache);
+  }
+
+  handleCompleted(details) {
+    this.finishRequest(details, details.statusCode, null);
+  }
+
+  handleErrorOccurred(details) {
+    this.finishRequest(details, 0, details.error);
+  }
+
+  handleTabRemoved(tabId) {
+    this.tabNavigations.delete(tabId);
+    updateSessionValue(NAVIGATIONS_KEY, (navigations) => {
+      return Object.fromEntries(Object.entries(navigations).filter(([id]) => id !== String(tabId)));
+    }, {}).catch(error => logger.error(`Failed to forget navigation for tab ${tabId}:`, error));
+
+    // Keep the tab's traces for export; capacity and retention remove them
+    this.detachTraces(tabId);
+  }
+
+  /**
+   * Note a tab's top-level page load, so its traces can be grouped by the
+   * page that made them. In-page (history API) navigations aren't seen.
+   */
+  recordNavigation(details) {
+    const navigation = {
+      id: `${details.tabId}-${Math.round(details.timeStamp)}`,
+      url: details.url,
+      startTime: details.timeStamp
+    };
+
+    this.tabNavigations.set(details.tabId, navigation);
+    updateSessionValue(NAVIGATIONS_KEY, (navigations) => ({ ...navigations, [details.tabId]: navigation }), {})
+      .catch(error => logger.error('Failed to store tab navigation:', error));
+  }
+
+  /**
+   * Reload navigations recorded before the service worker restarted,
+   * keeping any seen since
+   */
+  restoreNavigations() {
+    getSessionValue(NAVIGATIONS_KEY, {})
+      .then((navigations) => {
+        for (const [tabId, navigation] of Object.entries(navigations)) {
+          if (!this.tabNavigations.has(Number(tabId))) {
+            this.tabNavigations.set(Number(tabId), navigation);
+          }
+        }
+      })
+      .catch(error => logger.error('Failed to restore tab navigations:', error));
+  }
+
+  /**
+   * Listen for trace store changes. The listener receives
+   * { type: 'captured', trace }, { type: 'updated', trace },
+   * { type: 'cleared', tabId }, { type: 'detached', tabId } or
+   * { type: 'purged' }. Returns a function that removes it.
+   */
+  onTraceEvent(listener) {
+    this.traceListeners.add(listener);
+    return () => this.traceListeners.delete(listener);
+  }
+
+  emitTraceEvent(event) {
+    for (const listener of this.traceListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('Trace event listener failed:', error);
+      }
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name === RETENTION_ALARM) {
+      this.applyRetention();
+    }
+  }
+
+  handleBrowserStartup() {
+    this.detachTraces(null);
+  }
+
+  /**
+   * Detach stored traces from a closed tab, or from every tab
+   */
+  detachTraces(tabId) {
+    traceStore.detachTabs(tabId)
+      .then(() => this.emitTraceEvent({ type: 'detached', tabId }))
+      .catch(error => logger.error('Failed to detach traces from tabs:', error));
+  }
+
+  /**
+   * Evict traces beyond maxTraces and purge those older than traceRetentionHours
+   */
+  applyRetention() {
+    return this.getSettings()
+      .then(async (settings) => {
+        await traceStore.enforceCapacity(settings.maxTraces || DEFAULT_MAX_TRACES);
+        const removed = await traceStore.purgeExpired(settings.traceRetentionHours || DEFAULT_RETENTION_HOURS);
+        if (removed > 0) {
+          this.emitTraceEvent({ type: 'purged' });
+        }
+      })
+      .catch(error => logger.error('Failed to apply trace retention:', error));
+  }
+
+  /**
+   * Install, update or remove the header injection rule to match the
+   * settings. The rule is removed while the plugin is disabled.
+   */
+  applyInjection() {
+    return this.getSettings()
+      .then((settings) => {
+        if (!pluginLoaderV2.isPluginEnabled(PLUGIN_ID)) {
+          return headerInjector.disable();
+        }
+
+        return headerInjector.configure({
+          mode: settings.injectTraceHeaders || INJECTION_MODES.OFF,
+          domains: parseMonitorDomains(settings.injectDomains)
+        });
+      })
+      .catch(error => logger.error('Failed to apply trace header injection:', error));
+  }
+
+  finishRequest(details, status, error) {
+    this.requestStarts.delete(details.requestId);
+
+    const pending = this.pendingRequests.get(details.requestId);
+    if (!pending) return;
+
+    this.pendingRequests.delete(details.requestId);
+    this.recordTrace(pending, details.timeStamp, status, error)
+      .catch(recordError => logger.error('Failed to record APM trace:', recordError));
+  }
+
+  /**
+   * Build a TraceData entry for a finished request and store it for its tab
+   */
+  async recordTrace(pending, endTime, status, error) {
+    const settings = await this.getSettings();
+    if (!pluginLoaderV2.isPluginEnabled(PLUGIN_ID)) return;
+
+    // Injected requests are always kept, so their backend traces can be opened
+    const { hostname } = new URL(pending.url);
+    if (!pending.injected && !isMonitoredDomain(hostname, parseMonitorDomains(settings.monitorDomains))) return;
+
+    // Request headers are what the page sent; responses may echo or add context
+    const headers = { ...pending.responseTraceHeaders, ...pending.traceHeaders };
+    const context = decodeTraceContext(pending.traceHeaders);
+
+    /** @type {import('./types').TraceData} */
+    const trace = {
+      id: `${pending.tabId}-${pending.startTime}-${Math.random().toString(36).slice(2, 8)}`,
+      tabId: pending.tabId,
+      traceId: context.traceId,
+      traceIdHex: context.traceIdHex,
+      spanId: context.spanId,
+      spanIdHex: context.spanIdHex,
+      propagationStyle: context.style,
+      propagationStyles: context.styles,
+      sampled: context.sampled,
+      origin: context.origin,
+      injected: pending.injected,
+      // A request sent with the same headers may have been seen since this one finished
+      sharedIds: pending.sharedIds || (pending.injected && headerInjector.countClaims(pending.traceHeaders) > 1),
+      datadogTracestate: context.tracestate?.datadog || null,
+      traceparent: headers[TRACE_HEADERS.TRACEPARENT] || null,
+      tracestate: headers[TRACE_HEADERS.TRACESTATE] || null,
+      url: pending.url,
+      method: pending.method,
+      status,
+      error,
+      timestamp: Math.round(pending.startTime),
+      duration: Math.round((endTime - pending.startTime) * 100) / 100,
+      domain: hostname,
+      headers,
+      requestHeaders: pending.requestHeaders,
+      responseHeaders: pending.responseHeaders,
+      statusLine: pending.statusLine || null,
+      ip: pending.ip || null,
+      fromCache: pending.fromCache || false,
+      timing: { ...pending.timing, endTime },
+      initiator: pending.initiator,
+      navigation: pending.navigation
+    };
+
+    await traceStore.add(trace, settings.maxTraces || DEFAULT_MAX_TRACES);
+    this.emitTraceEvent({ type: 'captured', trace });
+
+    logger.debug('TRACE', 'CAPTURED', { tabId: trace.tabId, traceId: trace.traceId, style: trace.propagationStyle, injected: trace.injected, status });
+  }
+
+  /**
+   * Get stored traces, newest first. Pass a tab ID to get one tab's traces
+   * and a status filter ('all', '2xx', '4xx', '5xx') to narrow them down.
+   * @returns {Promise<import('./types').TraceData[]>}
+   */
+  async getTraces({ tabId = null, filter = 'all' } = {}) {
+    const traces = await traceStore.getAll();
+    const selected = tabId === null ? traces : traces.filter(trace => trace.tabId === tabId);
+    return filterTracesByStatus(selected, filter);
+  }
+
+  /**
+   * Forget stored traces for one tab, or for every tab
+   */
+  async clearTraces(tabId = null) {
+    await traceStore.clear(tabId);
+    this.emitTraceEvent({ type: 'cleared', tabId });
+    logger.debug('TRACES', 'CLEARED', { tabId });
+  }
+}
+
+const networkMonitor = new NetworkMonitor();
+
+/**
+ * Get the shared network monitor
+ * @returns {NetworkMonitor}
+ */
 export function getNetworkMonitor() {
-  return {
-    start: async () => {},
-    getTraces: async () => [],
-    clearTraces: async () => {}
-  };
+  return networkMonitor;
 }
 
 export async function stopNetworkMonitor() {
-  // Placeholder
-}
\ No newline at end of file
+  networkMonitor.stop();
+}
@@ -0,0 +1,107 @@
+/**
+ * Request Details
+ * Helpers for inspecting a captured request: header redaction, the timing
+ * breakdown derived from webRequest timestamps, and copy-as-cURL.
+ */
+
+export const REDACTED_VALUE = '[REDACTED]';
+
+// Headers that carry credentials, redacted before traces are stored
+const SENSITIVE_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'dd-api-key',
+  'dd-application-key',
+  'x-csrf-token',
+  'x-xsrf-token',
+  'x-amz-security-token'
+]);
+
+const SENSITIVE_HEADER_PATTERN = /(?:^|-)(?:token|secret|password|api-?key|session-?id)(?:$|-)/i;
+
+/**
+ * Check whether a header may carry credentials
+ */
+export function isSensitiveHeader(name) {
+  const key = String(name).toLowerCase();
+  return SENSITIVE_HEADERS.has(key) || SENSITIVE_HEADER_PATTERN.test(key);
+}
+
+/**
+ * Copy a webRequest header list, replacing credential values with REDACTED_VALUE
+ * @param {{name: string, value?: string}[]} headers
+ * @returns {{name: string, value: string}[]}
+ */
+export function redactHeaders(headers = []) {
+  return headers.map(({ name, value = '' }) => ({
+    name,
+    value: isSensitiveHeader(name) ? REDACTED_VALUE : value
+  }));
+}
+
+/**
+ * Request phases, each measured between two webRequest timestamps
+ * - queued:  onBeforeRequest to onSendHeaders (blocking, proxies, service workers)
+ * - waiting: onSendHeaders to onResponseStarted (server time to first byte)
+ * - download: onResponseStarted to completion
+ */
+export const TIMING_PHASES = [
+  { phase: 'queued', label: 'Queued', from: 'startTime', to: 'sendHeaders' },
+  { phase: 'waiting', label: 'Waiting (TTFB)', from: 'sendHeaders', to: 'responseStarted' },
+  { phase: 'download', label: 'Download', from: 'responseStarted', to: 'endTime' }
+];
+
+const roundMs = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Break a trace's timing into phases with start offsets and durations in
+ * milliseconds. Phases whose timestamps weren't recorded are left out.
+ */
+export function getTimingBreakdown(trace) {
+  const timing = trace?.timing;
+  if (!timing?.startTime) return [];
+
+  // Older traces lack responseStarted; headersReceived is the next best mark
+  const marks = { ...timing, responseStarted: timing.responseStarted ?? timing.headersReceived };
+
+  return TIMING_PHASES
+    .filter(({ from, to }) => typeof marks[from] === 'number' && typeof marks[to] === 'number')
+    .map(({ phase, label, from, to }) => ({
+      phase,
+      label,
+      start: roundMs(marks[from] - timing.startTime),
+      duration: roundMs(Math.max(0, marks[to] - marks[from]))
+    }));
+}
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+// Set by the browser or by curl itself
+const CURL_SKIPPED_HEADERS = new Set(['host', 'content-length', 'connection']);
+
+/**
+ * Build a cURL command that repeats a captured request. Redacted headers
+ * keep their placeholder so it's clear they need filling in. Request
+ * bodies aren't captured, so none is included.
+ */
+export function buildCurlCommand(trace) {
+  const parts = [`curl ${shellQuote(trace.url)}`];
+
+  if (trace.method && trace.method !== 'GET') {
+    parts.push(`-X ${shellQuote(trace.method)}`);
+  }
+
+  const headers = trace.requestHeaders
+    || Object.entries(trace.headers || {}).map(([name, value]) => ({ name, value }));
+
+  for (const { name, value } of headers) {
+    if (!CURL_SKIPPED_HEADERS.has(name.toLowerCase())) {
+      parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    }
+  }
+
+  return parts.join(' \\\n  ');
+}
@@ -0,0 +1,358 @@
+/**
+ * Trace Context Decoding
+ * Reads the trace and span IDs a request propagates, whichever tracer sent
+ * them: Datadog (dd-trace), W3C Trace Context (OpenTelemetry) or B3
+ * (Zipkin). IDs are normalized to Datadog's forms: decimal for the lower 64
+ * bits, which APM links use, and zero-padded hex for the full ID.
+ */
+
+/**
+ * Propagation styles, named as in dd-trace's propagation style settings
+ */
+export const PROPAGATION_STYLES = {
+  DATADOG: 'datadog',
+  TRACECONTEXT: 'tracecontext',
+  B3_MULTI: 'b3multi',
+  B3_SINGLE: 'b3'
+};
+
+/**
+ * Short labels for each style, for badges
+ */
+export const PROPAGATION_STYLE_LABELS = {
+  [PROPAGATION_STYLES.DATADOG]: 'Datadog',
+  [PROPAGATION_STYLES.TRACECONTEXT]: 'W3C',
+  [PROPAGATION_STYLES.B3_MULTI]: 'B3 multi',
+  [PROPAGATION_STYLES.B3_SINGLE]: 'B3'
+};
+
+// Headers that carry trace context, in any propagation style
+export const TRACE_HEADERS = {
+  DATADOG_TRACE_ID: 'x-datadog-trace-id',
+  DATADOG_PARENT_ID: 'x-datadog-parent-id',
+  DATADOG_SAMPLING_PRIORITY: 'x-datadog-sampling-priority',
+  DATADOG_ORIGIN: 'x-datadog-origin',
+  DATADOG_TAGS: 'x-datadog-tags',
+  TRACEPARENT: 'traceparent',
+  TRACESTATE: 'tracestate',
+  B3: 'b3',
+  B3_TRACE_ID: 'x-b3-traceid',
+  B3_SPAN_ID: 'x-b3-spanid',
+  B3_PARENT_SPAN_ID: 'x-b3-parentspanid',
+  B3_SAMPLED: 'x-b3-sampled',
+  B3_FLAGS: 'x-b3-flags'
+};
+
+const CAPTURED_HEADERS = Object.values(TRACE_HEADERS);
+
+/**
+ * Pick the trace headers out of a webRequest header list, keyed by lowercase name
+ */
+export function extractTraceHeaders(headers = []) {
+  const captured = {};
+
+  for (const { name, value } of headers) {
+    const key = name.toLowerCase();
+    if (CAPTURED_HEADERS.includes(key) && value !== undefined) {
+      captured[key] = value;
+    }
+  }
+
+  return captured;
+}
+
+// Checked in this order; the first style with a valid trace ID wins.
+// Matches dd-trace's default extraction order.
+const EXTRACTION_ORDER = [
+  PROPAGATION_STYLES.DATADOG,
+  PROPAGATION_STYLES.TRACECONTEXT,
+  PROPAGATION_STYLES.B3_MULTI,
+  PROPAGATION_STYLES.B3_SINGLE
+];
+
+const UINT64_MAX = BigInt('0xffffffffffffffff');
+const HEX_ID_PATTERN = /^(?:[0-9a-f]{16}|[0-9a-f]{32})$/;
+const DECIMAL_ID_PATTERN = /^\d{1,20}$/;
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(?:-.*)?$/;
+
+/**
+ * @typedef {Object} TraceIds
+ * @property {string} traceId - Lower 64 bits of the trace ID, in decimal
+ * @property {string} traceIdHex - Full trace ID as 32 hex characters
+ * @property {string} spanId - Span ID in decimal
+ * @property {string} spanIdHex - Span ID as 16 hex characters
+ */
+
+/**
+ * @typedef {Object} DatadogTracestate
+ * @property {number|null} samplingPriority - `s:` sampling priority
+ * @property {string|null} origin - `o:` origin, e.g. "rum" or "synthetics"
+ * @property {string|null} lastParentId - `p:` ID of the last Datadog span, in hex
+ * @property {Object<string, string>} tags - `t.*` propagated tags, keyed without the prefix
+ */
+
+/**
+ * @typedef {Object} DecodedTraceContext
+ * @property {string} style - Style the IDs were taken from (PROPAGATION_STYLES)
+ * @property {string[]} styles - Every style present on the request
+ * @property {string} traceId - Lower 64 bits of the trace ID, in decimal
+ * @property {string} traceIdHex - Full trace ID as 32 hex characters
+ * @property {string} spanId - Span ID in decimal
+ * @property {string} spanIdHex - Span ID as 16 hex characters
+ * @property {boolean|null} sampled - Sampling decision, null when not propagated
+ * @property {string|null} origin - Datadog origin, when propagated
+ * @property {{ members: {key: string, value: string}[], datadog: DatadogTracestate|null }|null} tracestate
+ */
+
+/**
+ * Build normalized IDs from a hex trace ID (64 or 128 bits) and a hex span ID.
+ * Returns null for malformed or all-zero IDs.
+ */
+export function normalizeHexIds(traceIdHex, spanIdHex) {
+  const traceHex = String(traceIdHex || '').toLowerCase();
+  const spanHex = String(spanIdHex || '').toLowerCase();
+  if (!HEX_ID_PATTERN.test(traceHex) || !/^[0-9a-f]{16}$/.test(spanHex)) return null;
+
+  const trace = BigInt(`0x${traceHex}`);
+  const span = BigInt(`0x${spanHex}`);
+  if (trace === BigInt(0) || span === BigInt(0)) return null;
+
+  return {
+    traceId: (trace & UINT64_MAX).toString(),
+    traceIdHex: traceHex.padStart(32, '0'),
+    spanId: span.toString(),
+    spanIdHex: spanHex
+  };
+}
+
+/**
+ * Parse a decimal unsigned 64-bit ID, as sent in x-datadog-* headers.
+ * Returns a BigInt, or null if the value isn't a valid non-zero ID.
+ */
+function parseDecimalId(value) {
+  const text = String(value ?? '').trim();
+  if (!DECIMAL_ID_PATTERN.test(text)) return null;
+
+  const id = BigInt(text);
+  return id > BigInt(0) && id <= UINT64_MAX ? id : null;
+}
+
+const toHex64 = (id) => id.toString(16).padStart(16, '0');
+
+/**
+ * Convert a trace ID in any propagated form to the decimal ID Datadog
+ * links expect. Decimal IDs pass through; 64- and 128-bit hex IDs are
+ * reduced to their lower 64 bits. Returns null if the ID isn't recognized.
+ */
+export function toDatadogTraceId(traceId) {
+  const text = String(traceId ?? '').trim().toLowerCase();
+
+  const decimal = parseDecimalId(text);
+  if (decimal !== null) return decimal.toString();
+
+  if (!HEX_ID_PATTERN.test(text)) return null;
+  const lower = BigInt(`0x${text}`) & UINT64_MAX;
+  return lower > BigInt(0) ? lower.toString() : null;
+}
+
+/**
+ * Parse x-datadog-tags (comma-separated key=value pairs) into an object
+ */
+export function parseDatadogTags(value) {
+  const tags = {};
+
+  for (const pair of String(value || '').split(',')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      tags[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Parse a W3C traceparent header. Returns null unless it is well formed.
+ */
+export function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, parentId, flags] = match;
+  // Version ff is invalid; later versions may append fields, which are ignored
+  if (version === 'ff' || (version === '00' && match[0].length !== 55)) return null;
+
+  const ids = normalizeHexIds(traceId, parentId);
+  if (!ids) return null;
+
+  return {
+    version,
+    flags,
+    sampled: (parseInt(flags, 16) & 1) === 1,
+    ...ids
+  };
+}
+
+/**
+ * Parse the Datadog `dd=` tracestate member value, e.g. "s:1;o:rum;p:00f067aa0ba902b7;t.dm:-4"
+ * @returns {DatadogTracestate}
+ */
+export function parseDatadogTracestate(value) {
+  const datadog = { samplingPriority: null, origin: null, lastParentId: null, tags: {} };
+
+  for (const field of String(value || '').split(';')) {
+    const separator = field.indexOf(':');
+    if (separator <= 0) continue;
+
+    const key = field.slice(0, separator);
+    const fieldValue = field.slice(separator + 1);
+
+    if (key === 's') {
+      const priority = Number.parseInt(fieldValue, 10);
+      datadog.samplingPriority = Number.isNaN(priority) ? null : priority;
+    } else if (key === 'o') {
+      // Origin encodes "=" as "~" since "=" separates list members
+      datadog.origin = fieldValue.replace(/~/g, '=');
+    } else if (key === 'p') {
+      datadog.lastParentId = fieldValue.toLowerCase();
+    } else if (key.startsWith('t.')) {
+      datadog.tags[key.slice(2)] = fieldValue.replace(/~/g, '=');
+    }
+  }
+
+  return datadog;
+}
+
+/**
+ * Parse a W3C tracestate header into its members, and decode the Datadog
+ * member if there is one
+ */
+export function parseTracestate(value) {
+  if (!value) return null;
+
+  const members = String(value)
+    .split(',')
+    .map(member => member.trim())
+    .filter(Boolean)
+    .map(member => {
+      const separator = member.indexOf('=');
+      return separator > 0
+        ? { key: member.slice(0, separator), value: member.slice(separator + 1) }
+        : null;
+    })
+    .filter(Boolean);
+
+  const datadogMember = members.find(member => member.key === 'dd');
+
+  return {
+    members,
+    datadog: datadogMember ? parseDatadogTracestate(datadogMember.value) : null
+  };
+}
+
+/**
+ * Parse a B3 single header: {traceId}-{spanId}[-{sampled}[-{parentSpanId}]].
+ * A header carrying only a sampling decision ("0", "1", "d") has no IDs and
+ * returns null.
+ */
+export function parseB3Single(value) {
+  const [traceId, spanId, sampling] = String(value || '').trim().toLowerCase().split('-');
+  const ids = normalizeHexIds(traceId, spanId);
+  if (!ids) return null;
+
+  return { ...ids, sampled: parseB3Sampling(sampling) };
+}
+
+function parseB3Sampling(value, flags = null) {
+  if (flags === '1' || value === 'd') return true;
+  if (value === '1' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  return null;
+}
+
+/**
+ * Decode the trace context carried by one style of headers. `headers` is
+ * keyed by lowercase header name. Returns null if the style is absent or
+ * its IDs are invalid.
+ */
+export function decodeStyle(style, headers) {
+  switch (style) {
+    case PROPAGATION_STYLES.DATADOG: {
+      const traceId = parseDecimalId(headers['x-datadog-trace-id']);
+      const spanId = parseDecimalId(headers['x-datadog-parent-id']);
+      if (traceId === null || spanId === null) return null;
+
+      // 128-bit trace IDs carry their upper 64 bits in the _dd.p.tid tag
+      const tags = parseDatadogTags(headers['x-datadog-tags']);
+      const upper = /^[0-9a-f]{16}$/.test(tags['_dd.p.tid'] || '') ? tags['_dd.p.tid'] : '';
+      const ids = normalizeHexIds(`${upper}${toHex64(traceId)}`, toHex64(spanId));
+      if (!ids) return null;
+
+      const priority = Number.parseInt(headers['x-datadog-sampling-priority'], 10);
+      return {
+        ...ids,
+        sampled: Number.isNaN(priority) ? null : priority > 0,
+        origin: headers['x-datadog-origin'] || null
+      };
+    }
+
+    case PROPAGATION_STYLES.TRACECONTEXT: {
+      const traceparent = parseTraceparent(headers.traceparent);
+      if (!traceparent) return null;
+
+      const tracestate = parseTracestate(headers.tracestate);
+      return {
+        traceId: traceparent.traceId,
+        traceIdHex: traceparent.traceIdHex,
+        spanId: traceparent.spanId,
+        spanIdHex: traceparent.spanIdHex,
+        sampled: traceparent.sampled,
+        origin: tracestate?.datadog?.origin || null,
+        tracestate
+      };
+    }
+
+    case PROPAGATION_STYLES.B3_MULTI: {
+      const ids = normalizeHexIds(headers['x-b3-traceid'], headers['x-b3-spanid']);
+      if (!ids) return null;
+
+      return {
+        ...ids,
+        sampled: parseB3Sampling(String(headers['x-b3-sampled'] ?? '').toLowerCase(), headers['x-b3-flags'] ?? null)
+      };
+    }
+
+    case PROPAGATION_STYLES.B3_SINGLE:
+      return parseB3Single(headers.b3);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Decode a request's trace context from its headers, keyed by lowercase
+ * name. When several styles are present (tracers often inject more than
+ * one), IDs come from the first valid style in dd-trace's extraction order.
+ * @returns {DecodedTraceContext|null}
+ */
+export function decodeTraceContext(headers = {}) {
+  const decoded = EXTRACTION_ORDER
+    .map(style => ({ style, context: decodeStyle(style, headers) }))
+    .filter(({ context }) => context !== null);
+
+  if (decoded.length === 0) return null;
+
+  const [{ style, context }] = decoded;
+  return {
+    style,
+    styles: decoded.map(entry => entry.style),
+    traceId: context.traceId,
+    traceIdHex: context.traceIdHex,
+    spanId: context.spanId,
+    spanIdHex: context.spanIdHex,
+    sampled: context.sampled ?? null,
+    origin: context.origin ?? null,
+    tracestate: context.tracestate ?? parseTracestate(headers.tracestate)
+  };
+}
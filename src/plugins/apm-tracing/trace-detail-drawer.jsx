@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Drawer,
+  Stack,
+  Group,
+  Text,
+  Badge,
+  Button,
+  Code,
+  CopyButton,
+  Table,
+  Progress,
+  Divider
+} from '@mantine/core';
+import { IconCopy, IconCheck, IconTerminal2, IconExternalLink } from '@tabler/icons-react';
+import { getStatusColor, formatDuration, formatTimestamp } from './config';
+import { PROPAGATION_STYLE_LABELS } from './trace-context';
+import { REDACTED_VALUE, getTimingBreakdown, buildCurlCommand } from './request-details';
+
+const PHASE_COLORS = {
+  queued: 'gray',
+  waiting: 'violet',
+  download: 'blue'
+};
+
+function Section({ title, children }) {
+  return (
+    <Stack gap={6}>
+      <Text size="sm" fw={500}>{title}</Text>
+      {children}
+    </Stack>
+  );
+}
+
+function HeaderTable({ headers }) {
+  if (!headers || headers.length === 0) {
+    return <Text size="xs" c="dimmed">Not captured</Text>;
+  }
+
+  return (
+    <Table withTableBorder fz="xs" verticalSpacing={2}>
+      <Table.Tbody>
+        {headers.map(({ name, value }, index) => (
+          <Table.Tr key={`${name}-${index}`}>
+            <Table.Td fw={500} style={{ whiteSpace: 'nowrap', verticalAlign: 'top' }}>{name}</Table.Td>
+            <Table.Td
+              c={value === REDACTED_VALUE ? 'dimmed' : undefined}
+              style={{ wordBreak: 'break-all' }}
+            >
+              {value}
+            </Table.Td>
+          </Table.Tr>
+        ))}
+      </Table.Tbody>
+    </Table>
+  );
+}
+
+function CopyAction({ value, label, icon }) {
+  return (
+    <CopyButton value={value}>
+      {({ copied, copy }) => (
+        <Button
+          size="xs"
+          variant="light"
+          color={copied ? 'green' : 'gray'}
+          leftSection={copied ? <IconCheck size={14} /> : icon}
+          onClick={copy}
+        >
+          {copied ? 'Copied' : label}
+        </Button>
+      )}
+    </CopyButton>
+  );
+}
+
+/**
+ * Drawer showing everything captured for one trace: IDs, timing breakdown,
+ * initiator, propagation headers and redacted request/response headers
+ */
+export function TraceDetailDrawer({ trace, opened, onClose, onOpenTrace, position = 'right', size = 'lg' }) {
+  const [initiatorTab, setInitiatorTab] = useState(null);
+
+  // Look up the initiating tab for its title; it may have closed since
+  useEffect(() => {
+    setInitiatorTab(null);
+    if (!opened || typeof trace?.tabId !== 'number') return;
+
+    chrome.tabs.get(trace.tabId)
+      .then(setInitiatorTab)
+      .catch(() => setInitiatorTab(null));
+  }, [opened, trace?.tabId]);
+
+  if (!trace) return null;
+
+  const timing = getTimingBreakdown(trace);
+  const totalDuration = trace.duration || timing.reduce((total, phase) => total + phase.duration, 0);
+  const initiator = trace.initiator || {};
+  const propagationHeaders = Object.entries(trace.headers || {});
+
+  return (
+    <Drawer
+      opened={opened}
+      onClose={onClose}
+      position={position}
+      size={size}
+      title={
+        <Group gap="xs">
+          <Badge color={getStatusColor(trace.status)} variant="light">
+            {trace.method} {trace.status || 'failed'}
+          </Badge>
+          {trace.propagationStyle && (
+            <Badge color="violet" variant="outline">
+              {PROPAGATION_STYLE_LABELS[trace.propagationStyle] || trace.propagationStyle}
+            </Badge>
+          )}
+          {trace.injected && (
+            <Badge color="orange" variant="outline">Injected</Badge>
+          )}
+          {trace.sharedIds && (
+            <Badge color="orange" variant="light">Shared IDs</Badge>
+          )}
+        </Group>
+      }
+    >
+      <Stack gap="md">
+        <Code block style={{ wordBreak: 'break-all', whiteSpace: 'pre-wrap' }}>{trace.url}</Code>
+
+        <Group gap="xs">
+          <CopyAction value={trace.traceId} label="Copy trace ID" icon={<IconCopy size={14} />} />
+          <CopyAction value={buildCurlCommand(trace)} label="Copy as cURL" icon={<IconTerminal2 size={14} />} />
+          {onOpenTrace && (
+            <Button
+              size="xs"
+              variant="light"
+              color="violet"
+              leftSection={<IconExternalLink size={14} />}
+              onClick={() => onOpenTrace(trace)}
+            >
+              Open in Datadog
+            </Button>
+          )}
+        </Group>
+
+        {trace.error && (
+          <Text size="sm" c="red">{trace.error}</Text>
+        )}
+
+        {trace.sharedIds && (
+          <Text size="sm" c="orange">
+            Other requests were sent with the same injected IDs, so Datadog shows them as one trace.
+          </Text>
+        )}
+
+        <Section title="Trace">
+          <Table fz="xs" verticalSpacing={2}>
+            <Table.Tbody>
+              <Table.Tr><Table.Td>Trace ID</Table.Td><Table.Td>{trace.traceId}</Table.Td></Table.Tr>
+              {trace.traceIdHex && (
+                <Table.Tr><Table.Td>Trace ID (hex)</Table.Td><Table.Td>{trace.traceIdHex}</Table.Td></Table.Tr>
+              )}
+              <Table.Tr><Table.Td>Span ID</Table.Td><Table.Td>{trace.spanId}</Table.Td></Table.Tr>
+              {trace.sampled !== undefined && trace.sampled !== null && (
+                <Table.Tr><Table.Td>Sampled</Table.Td><Table.Td>{trace.sampled ? 'Yes' : 'No'}</Table.Td></Table.Tr>
+              )}
+              {trace.origin && (
+                <Table.Tr><Table.Td>Origin</Table.Td><Table.Td>{trace.origin}</Table.Td></Table.Tr>
+              )}
+            </Table.Tbody>
+          </Table>
+        </Section>
+
+        <Section title={`Timing (${formatDuration(totalDuration)})`}>
+          {timing.length === 0 ? (
+            <Text size="xs" c="dimmed">Not captured</Text>
+          ) : (
+            <>
+              <Progress.Root size="lg">
+                {timing.map(phase => (
+                  <Progress.Section
+                    key={phase.phase}
+                    value={totalDuration > 0 ? (phase.duration / totalDuration) * 100 : 0}
+                    color={PHASE_COLORS[phase.phase]}
+                  />
+                ))}
+              </Progress.Root>
+              <Table fz="xs" verticalSpacing={2}>
+                <Table.Tbody>
+                  {timing.map(phase => (
+                    <Table.Tr key={phase.phase}>
+                      <Table.Td>
+                        <Badge size="xs" variant="dot" color={PHASE_COLORS[phase.phase]}>{phase.label}</Badge>
+                      </Table.Td>
+                      <Table.Td>+{formatDuration(phase.start)}</Table.Td>
+                      <Table.Td>{formatDuration(phase.duration)}</Table.Td>
+                    </Table.Tr>
+                  ))}
+                </Table.Tbody>
+              </Table>
+            </>
+          )}
+          <Text size="xs" c="dimmed">
+            Started {formatTimestamp(trace.timestamp)}
+            {trace.fromCache && ' · from cache'}
+            {trace.ip && ` · ${trace.ip}`}
+          </Text>
+        </Section>
+
+        <Section title="Initiator">
+          <Table fz="xs" verticalSpacing={2}>
+            <Table.Tbody>
+              <Table.Tr>
+                <Table.Td>Tab</Table.Td>
+                <Table.Td style={{ wordBreak: 'break-all' }}>
+                  {trace.tabId ?? 'Closed tab'}
+                  {initiatorTab?.title && ` · ${initiatorTab.title}`}
+                </Table.Td>
+              </Table.Tr>
+              {initiator.frameId !== undefined && (
+                <Table.Tr>
+                  <Table.Td>Frame</Table.Td>
+                  <Table.Td>
+                    {initiator.frameId === 0 ? 'Top frame' : `Frame ${initiator.frameId} (parent ${initiator.parentFrameId})`}
+                    {initiator.frameType && ` · ${initiator.frameType}`}
+                  </Table.Td>
+                </Table.Tr>
+              )}
+              {initiator.origin && (
+                <Table.Tr><Table.Td>Origin</Table.Td><Table.Td>{initiator.origin}</Table.Td></Table.Tr>
+              )}
+              {initiator.resourceType && (
+                <Table.Tr><Table.Td>Type</Table.Td><Table.Td>{initiator.resourceType}</Table.Td></Table.Tr>
+              )}
+            </Table.Tbody>
+          </Table>
+        </Section>
+
+        <Divider />
+
+        <Section title="Propagation headers">
+          <HeaderTable headers={propagationHeaders.map(([name, value]) => ({ name, value }))} />
+        </Section>
+
+        <Section title="Request headers">
+          <HeaderTable headers={trace.requestHeaders} />
+        </Section>
+
+        <Section title={trace.statusLine ? `Response headers · ${trace.statusLine}` : 'Response headers'}>
+          <HeaderTable headers={trace.responseHeaders} />
+        </Section>
+
+        <Text size="xs" c="dimmed">
+          Authorization, cookie and API key headers are redacted when captured.
+        </Text>
+      </Stack>
+    </Drawer>
+  );
+}
@@ -0,0 +1,353 @@
+/**
+ * APM Trace Export
+ * Exports captured traces as HAR 1.2, JSON or CSV so they can be handed to
+ * a prospect's engineers, and reads an exported HAR back into TraceData so
+ * the list can be replayed in the UI.
+ *
+ * HAR entries keep the Datadog trace context in the custom `_datadog` field
+ * (HAR custom fields start with an underscore).
+ */
+
+import { decodeTraceContext, extractTraceHeaders } from './trace-context';
+import { getTimingBreakdown, redactHeaders } from './request-details';
+import { filterTracesByStatus } from './config';
+
+export const EXPORT_FORMATS = {
+  har: { label: 'HAR 1.2', extension: 'har', mimeType: 'application/json' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const CREATOR_NAME = 'Datadog Sales Engineering Toolkit';
+
+const CSV_COLUMNS = [
+  ['timestamp', trace => new Date(trace.timestamp).toISOString()],
+  ['method', trace => trace.method],
+  ['url', trace => trace.url],
+  ['status', trace => trace.status],
+  ['duration_ms', trace => trace.duration],
+  ['trace_id', trace => trace.traceId],
+  ['trace_id_hex', trace => trace.traceIdHex],
+  ['span_id', trace => trace.spanId],
+  ['propagation_style', trace => trace.propagationStyle],
+  ['sampled', trace => trace.sampled],
+  ['domain', trace => trace.domain],
+  ['tab_id', trace => trace.tabId],
+  ['error', trace => trace.error]
+];
+
+/**
+ * Narrow traces to what should be exported: one tab (tabId; undefined for
+ * every tab), a time range (from/to in epoch ms) and a status filter
+ * ('all', '2xx', '4xx'...)
+ */
+export function selectTraces(traces, { tabId, from = null, to = null, status = 'all' } = {}) {
+  return filterTracesByStatus(traces, status).filter(trace => (
+    (tabId === undefined || trace.tabId === tabId)
+    && (from === null || trace.timestamp >= from)
+    && (to === null || trace.timestamp <= to)
+  ));
+}
+
+function getHeader(headers = [], name) {
+  return headers.find(header => header.name.toLowerCase() === name)?.value;
+}
+
+function getHttpVersion(statusLine) {
+  return statusLine?.split(' ')[0] || 'HTTP/1.1';
+}
+
+function toHarEntry(trace) {
+  const phases = Object.fromEntries(getTimingBreakdown(trace).map(phase => [phase.phase, phase.duration]));
+  const requestHeaders = trace.requestHeaders
+    || Object.entries(trace.headers || {}).map(([name, value]) => ({ name, value }));
+  const responseHeaders = trace.responseHeaders || [];
+  const url = new URL(trace.url);
+
+  return {
+    pageref: trace.navigation?.id,
+    startedDateTime: new Date(trace.timing?.startTime ?? trace.timestamp).toISOString(),
+    time: trace.duration ?? 0,
+    request: {
+      method: trace.method,
+      url: trace.url,
+      httpVersion: getHttpVersion(trace.statusLine),
+      cookies: [],
+      headers: requestHeaders,
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: trace.status,
+      statusText: trace.statusLine?.split(' ').slice(2).join(' ') || '',
+      httpVersion: getHttpVersion(trace.statusLine),
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size: 0,
+        mimeType: getHeader(responseHeaders, 'content-type') || 'x-unknown'
+      },
+      redirectURL: getHeader(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: -1,
+      _error: trace.error || undefined
+    },
+    cache: {},
+    timings: {
+      blocked: phases.queued ?? -1,
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: phases.waiting ?? trace.duration ?? 0,
+      receive: phases.download ?? 0,
+      ssl: -1
+    },
+    serverIPAddress: trace.ip || undefined,
+    _tabId: trace.tabId,
+    _datadog: {
+      traceId: trace.traceId,
+      traceIdHex: trace.traceIdHex,
+      spanId: trace.spanId,
+      spanIdHex: trace.spanIdHex,
+      propagationStyle: trace.propagationStyle,
+      propagationStyles: trace.propagationStyles,
+      sampled: trace.sampled,
+      origin: trace.origin,
+      headers: trace.headers
+    }
+  };
+}
+
+/**
+ * Build a HAR 1.2 log. Pages are the navigations the traces were made during.
+ */
+export function toHar(traces) {
+  const pages = new Map();
+  for (const trace of traces) {
+    if (trace.navigation && !pages.has(trace.navigation.id)) {
+      pages.set(trace.navigation.id, {
+        startedDateTime: new Date(trace.navigation.startTime).toISOString(),
+        id: trace.navigation.id,
+        title: trace.navigation.url,
+        pageTimings: {}
+      });
+    }
+  }
+
+  // HAR lists entries oldest first
+  const entries = [...traces]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(toHarEntry);
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: CREATOR_NAME, version: chrome.runtime?.getManifest?.().version || '' },
+      pages: [...pages.values()],
+      entries
+    }
+  };
+}
+
+/**
+ * Export traces as they're stored, with when and what they were exported from
+ */
+export function toJson(traces) {
+  return {
+    exportedAt: new Date().toISOString(),
+    source: CREATOR_NAME,
+    traces
+  };
+}
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per trace with the columns in CSV_COLUMNS
+ */
+export function toCsv(traces) {
+  const rows = traces.map(trace => CSV_COLUMNS.map(([, read]) => escapeCsv(read(trace))).join(','));
+  return [CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Serialize traces in one of EXPORT_FORMATS
+ */
+export function exportTraces(traces, format) {
+  switch (format) {
+    case 'har':
+      return JSON.stringify(toHar(traces), null, 2);
+    case 'json':
+      return JSON.stringify(toJson(traces), null, 2);
+    case 'csv':
+      return toCsv(traces);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// HTTP method token (RFC 9110)
+const METHOD_TOKEN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const isString = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = value => typeof value === 'boolean';
+
+// Exports leave unknown fields null or out
+const optional = check => value => value === undefined || value === null || check(value);
+
+// Types of the `_datadog` fields copied into TraceData
+const DATADOG_FIELD_TYPES = {
+  traceId: isString,
+  traceIdHex: isString,
+  spanId: isString,
+  spanIdHex: isString,
+  propagationStyle: isString,
+  propagationStyles: value => Array.isArray(value) && value.every(isString),
+  sampled: isBoolean,
+  origin: isString
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Imported files may come from elsewhere, so only well-formed headers are kept
+function readHarHeaders(headers) {
+  if (!Array.isArray(headers)) return [];
+  return headers.filter(header => typeof header?.name === 'string' && typeof header.value === 'string');
+}
+
+/**
+ * Check the fields of an imported entry that end up in the UI or a cURL
+ * command: the method must be a token, the other copied fields numbers,
+ * strings or booleans, and `_datadog` headers a plain object of strings
+ */
+function isValidHarEntry(entry) {
+  if (!isPlainObject(entry) || !isPlainObject(entry.request)) return false;
+  if (!isString(entry.request.method) || !METHOD_TOKEN.test(entry.request.method)) return false;
+  if (!isString(entry.request.url) || !isString(entry.startedDateTime)) return false;
+  if (!optional(isNumber)(entry.time) || !optional(Number.isInteger)(entry._tabId)) return false;
+  if (!optional(isString)(entry.serverIPAddress) || !optional(isString)(entry.pageref)) return false;
+
+  const { response = {}, timings = {}, _datadog: datadog = {} } = entry;
+  if (!isPlainObject(response) || !isPlainObject(timings) || !isPlainObject(datadog)) return false;
+  if (!optional(isNumber)(response.status) || !optional(isString)(response._error)) return false;
+  if (!Object.values(timings).every(optional(isNumber))) return false;
+
+  const validFields = Object.entries(DATADOG_FIELD_TYPES).every(([field, check]) => optional(check)(datadog[field]));
+  if (!validFields) return false;
+
+  return datadog.headers === undefined || (
+    isPlainObject(datadog.headers) && Object.values(datadog.headers).every(isString)
+  );
+}
+
+// Pages become trace navigations, shown as waterfall group titles
+function isValidHarPage(page) {
+  return isPlainObject(page) && isString(page.id) && isString(page.title)
+    && isString(page.startedDateTime) && !Number.isNaN(Date.parse(page.startedDateTime));
+}
+
+function toTraceData(entry, index, pages) {
+  if (!isValidHarEntry(entry)) return null;
+  const datadog = entry._datadog ?? {};
+
+  const harRequestHeaders = readHarHeaders(entry.request.headers);
+  const requestHeaders = redactHeaders(harRequestHeaders);
+  const headers = datadog.headers || extractTraceHeaders(harRequestHeaders);
+  const context = datadog.traceId ? null : decodeTraceContext(headers);
+  if (!datadog.traceId && !context) return null;
+
+  const startTime = Date.parse(entry.startedDateTime);
+  if (Number.isNaN(startTime) || !entry.request.url) return null;
+
+  const timings = entry.timings ?? {};
+  const sendHeaders = startTime + Math.max(timings.blocked ?? 0, 0);
+  const page = pages.get(entry.pageref);
+
+  let domain = '';
+  try {
+    domain = new URL(entry.request.url).hostname;
+  } catch {
+    return null;
+  }
+
+  return {
+    id: `imported-${index}-${startTime}`,
+    tabId: entry._tabId ?? null,
+    traceId: datadog.traceId ?? context?.traceId ?? null,
+    traceIdHex: datadog.traceIdHex ?? context?.traceIdHex ?? null,
+    spanId: datadog.spanId ?? context?.spanId ?? null,
+    spanIdHex: datadog.spanIdHex ?? context?.spanIdHex ?? null,
+    propagationStyle: datadog.propagationStyle ?? context?.style ?? null,
+    propagationStyles: datadog.propagationStyles ?? context?.styles ?? null,
+    sampled: datadog.sampled ?? context?.sampled ?? null,
+    origin: datadog.origin ?? context?.origin ?? null,
+    traceparent: headers.traceparent || null,
+    tracestate: headers.tracestate || null,
+    url: entry.request.url,
+    method: entry.request.method,
+    status: entry.response?.status ?? 0,
+    error: entry.response?._error ?? null,
+    timestamp: Math.round(startTime),
+    duration: entry.time ?? 0,
+    domain,
+    headers,
+    requestHeaders,
+    responseHeaders: redactHeaders(readHarHeaders(entry.response?.headers)),
+    ip: entry.serverIPAddress || null,
+    timing: {
+      startTime,
+      sendHeaders,
+      responseStarted: sendHeaders + Math.max(timings.send ?? 0, 0) + Math.max(timings.wait ?? 0, 0),
+      endTime: startTime + (entry.time ?? 0)
+    },
+    navigation: page
+      ? { id: page.id, url: page.title, startTime: Date.parse(page.startedDateTime) }
+      : null
+  };
+}
+
+/**
+ * Read a HAR log back into TraceData, newest first. Entries without trace
+ * context or with malformed fields are skipped, as are malformed pages;
+ * headers are redacted again
+ * in case the file came from elsewhere. Throws if the file isn't a HAR log.
+ * @returns {{ traces: import('./types').TraceData[], skipped: number }}
+ */
+export function fromHar(har) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: log.entries is missing');
+  }
+
+  const harPages = Array.isArray(har.log.pages) ? har.log.pages : [];
+  const pages = new Map(harPages.filter(isValidHarPage).map(page => [page.id, page]));
+  const traces = entries
+    .map((entry, index) => toTraceData(entry, index, pages))
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return { traces, skipped: entries.length - traces.length };
+}
+
+/**
+ * Save exported content through a download link. Call from an extension page.
+ */
+export function downloadExport(content, format, basename = 'apm-traces') {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${basename}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+  link.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,128 @@
+/**
+ * APM Trace Store
+ * Keeps captured TraceData in the plugin's storage bucket as one list,
+ * newest first. The list is a ring buffer: adding a trace past `maxTraces`
+ * evicts the oldest ones. Traces older than `traceRetentionHours` are
+ * purged on a chrome.alarms schedule.
+ */
+
+import { getPluginStorage } from '@/shared/storage';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('ApmTraceStore');
+
+const PLUGIN_ID = 'apm-tracing';
+
+// Named in the plugin's alarm namespace ("<pluginId>:<name>")
+export const RETENTION_ALARM = `${PLUGIN_ID}:trace-retention`;
+const RETENTION_CHECK_MINUTES = 60;
+
+export const DEFAULT_MAX_TRACES = 100;
+export const DEFAULT_RETENTION_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class TraceStore {
+  constructor() {
+    this.storage = getPluginStorage(PLUGIN_ID);
+  }
+
+  /**
+   * Get every stored trace, newest first
+   * @returns {Promise<import('./types').TraceData[]>}
+   */
+  async getAll() {
+    const { traces } = await this.storage.get('traces');
+    return traces || [];
+  }
+
+  /**
+   * Add a trace, evicting the oldest traces beyond maxTraces
+   */
+  async add(trace, maxTraces = DEFAULT_MAX_TRACES) {
+    await this.storage.set(({ traces = [] }) => ({
+      traces: [trace, ...traces].slice(0, maxTraces)
+    }));
+  }
+
+  /**
+   * Drop the oldest traces beyond maxTraces, e.g. after the setting is lowered
+   */
+  async enforceCapacity(maxTraces = DEFAULT_MAX_TRACES) {
+    await this.storage.set(({ traces = [] }) => ({
+      traces: traces.slice(0, maxTraces)
+    }));
+  }
+
+  /**
+   * Remove traces older than the retention window. Returns how many were removed.
+   */
+  async purgeExpired(retentionHours = DEFAULT_RETENTION_HOURS, now = Date.now()) {
+    const cutoff = now - retentionHours * HOUR_MS;
+    let removed = 0;
+
+    await this.storage.set(({ traces = [] }) => {
+      const kept = traces.filter(trace => trace.timestamp >= cutoff);
+      removed = traces.length - kept.length;
+      return { traces: kept };
+    });
+
+    if (removed > 0) {
+      logger.debug('TRACES', 'PURGED', { removed, retentionHours });
+    }
+    return removed;
+  }
+
+  /**
+   * Remove one tab's traces, or every trace when tabId is null
+   */
+  async clear(tabId = null) {
+    await this.storage.set(({ traces = [] }) => ({
+      traces: tabId === null ? [] : traces.filter(trace => trace.tabId !== tabId)
+    }));
+  }
+
+  /**
+   * Flag injected traces with the given trace ID as sharing their IDs with
+   * other requests. Returns the traces that changed.
+   */
+  async markSharedIds(traceId) {
+    let marked = [];
+
+    await this.storage.set(({ traces = [] }) => {
+      const updated = traces.map(trace => (
+        trace.injected && trace.traceId === traceId && !trace.sharedIds ? { ...trace, sharedIds: true } : trace
+      ));
+      marked = updated.filter((trace, index) => trace !== traces[index]);
+      return { traces: updated };
+    });
+
+    return marked;
+  }
+
+  /**
+   * Detach stored traces from their tab, or from every tab when tabId is
+   * null. Tab IDs are reused after a tab closes or the browser restarts,
+   * so kept traces would otherwise show up under unrelated tabs.
+   */
+  async detachTabs(tabId = null) {
+    await this.storage.set(({ traces = [] }) => ({
+      traces: traces.map(trace => (
+        trace.tabId === null || (tabId !== null && trace.tabId !== tabId) ? trace : { ...trace, tabId: null }
+      ))
+    }));
+  }
+
+  /**
+   * Create the periodic retention alarm unless it already exists
+   */
+  async scheduleRetention() {
+    const existing = await chrome.alarms.get(RETENTION_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(RETENTION_ALARM, { periodInMinutes: RETENTION_CHECK_MINUTES });
+    }
+  }
+}
+
+export const traceStore = new TraceStore();
+export default traceStore;
@@ -0,0 +1,113 @@
+/**
+ * APM Trace Stream
+ * Streams trace store changes from the background to open extension pages
+ * over a chrome.runtime port. A page connects, receives a snapshot of the
+ * stored traces, then one message per change:
+ *
+ *   { type: 'snapshot', traces }
+ *   { type: 'captured', trace }
+ *   { type: 'updated', trace }   // a stored trace changed in place
+ *   { type: 'cleared', tabId }   // tabId is null when every trace was cleared
+ *   { type: 'detached', tabId }  // the tab closed (null: browser restart); its traces now have no tab
+ *   { type: 'purged' }           // retention removed traces; refetch if needed
+ */
+
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('ApmTraceStream');
+
+export const TRACE_STREAM_PORT = 'apm-trace-stream';
+
+// The service worker may stop and drop the port; pages reconnect after this delay
+const RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Serve trace streams from the background. Call synchronously at service
+ * worker startup so pages that reconnect can wake the worker.
+ */
+export function serveTraceStream(monitor) {
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== TRACE_STREAM_PORT) return;
+
+    const unsubscribe = monitor.onTraceEvent((event) => {
+      try {
+        port.postMessage(event);
+      } catch (error) {
+        // The page closed between the event and the post
+        unsubscribe();
+      }
+    });
+
+    port.onDisconnect.addListener(unsubscribe);
+
+    monitor.getTraces()
+      .then(traces => port.postMessage({ type: 'snapshot', traces }))
+      .catch(error => logger.error('Failed to send trace snapshot:', error));
+  });
+}
+
+/**
+ * Subscribe an extension page to the trace stream. `onEvent` receives each
+ * stream message, starting with a snapshot, and again with a fresh snapshot
+ * after a reconnect. Returns a function that closes the stream.
+ */
+export function connectTraceStream(onEvent) {
+  let port = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const connect = () => {
+    port = chrome.runtime.connect({ name: TRACE_STREAM_PORT });
+    port.onMessage.addListener(onEvent);
+    port.onDisconnect.addListener(() => {
+      port = null;
+      if (!closed) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    });
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    port?.disconnect();
+  };
+}
+
+/**
+ * Apply a stream message to a page's trace list (newest first). Passing
+ * the plugin's maxTraces and retentionHours mirrors the store's eviction
+ * and purges without refetching.
+ */
+export function applyTraceEvent(traces, event, { maxTraces = null, retentionHours = null } = {}) {
+  switch (event.type) {
+    case 'snapshot':
+      return event.traces;
+
+    case 'captured':
+      return [event.trace, ...traces.filter(trace => trace.id !== event.trace.id)]
+        .slice(0, maxTraces || undefined);
+
+    case 'updated':
+      return traces.map(trace => (trace.id === event.trace.id ? event.trace : trace));
+
+    case 'cleared':
+      return event.tabId === null ? [] : traces.filter(trace => trace.tabId !== event.tabId);
+
+    case 'detached':
+      return traces.map(trace => (
+        trace.tabId === null || (event.tabId !== null && trace.tabId !== event.tabId) ? trace : { ...trace, tabId: null }
+      ));
+
+    case 'purged': {
+      if (!retentionHours) return traces;
+      const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+      return traces.filter(trace => trace.timestamp >= cutoff);
+    }
+
+    default:
+      return traces;
+  }
+}
@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Stack, Group, Text, Badge, Box, Card, Select, Tooltip, ActionIcon } from '@mantine/core';
+import { IconEye } from '@tabler/icons-react';
+import { getStatusColor, formatDuration, formatTimestamp, truncateUrl } from './config';
+
+const UNKNOWN_NAVIGATION = 'unknown';
+
+// Keep very short requests visible on long timelines
+const MIN_BAR_PERCENT = 0.75;
+
+const getStart = (trace) => trace.timing?.startTime ?? trace.timestamp;
+const getEnd = (trace) => trace.timing?.endTime ?? getStart(trace) + (trace.duration || 0);
+
+function getPath(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return `${pathname}${search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Group one tab's traces by the page navigation that made them, newest page
+ * first. Each group spans from the navigation (or its first request) to the
+ * end of its last request.
+ */
+function groupByNavigation(traces) {
+  const groups = new Map();
+
+  for (const trace of traces) {
+    const id = trace.navigation?.id ?? UNKNOWN_NAVIGATION;
+    if (!groups.has(id)) {
+      groups.set(id, { id, navigation: trace.navigation || null, traces: [] });
+    }
+    groups.get(id).traces.push(trace);
+  }
+
+  return [...groups.values()]
+    .map((group) => {
+      const sorted = [...group.traces].sort((a, b) => getStart(a) - getStart(b));
+      const start = Math.min(group.navigation?.startTime ?? Infinity, getStart(sorted[0]));
+      const end = Math.max(...sorted.map(getEnd));
+      return { ...group, traces: sorted, start, span: Math.max(end - start, 1) };
+    })
+    .sort((a, b) => b.start - a.start);
+}
+
+function getTabLabel(tabId, traces) {
+  if (tabId === null) return 'Closed tabs';
+
+  const latest = traces.find(trace => trace.tabId === tabId);
+  const page = latest?.navigation?.url || latest?.url;
+  try {
+    return `Tab ${tabId} · ${new URL(page).hostname}`;
+  } catch {
+    return `Tab ${tabId}`;
+  }
+}
+
+function WaterfallRow({ trace, group, onOpenTrace, onSelectTrace }) {
+  const offset = getStart(trace) - group.start;
+  const duration = getEnd(trace) - getStart(trace);
+  const left = (offset / group.span) * 100;
+  const width = Math.max((duration / group.span) * 100, MIN_BAR_PERCENT);
+
+  return (
+    <Group gap="xs" wrap="nowrap">
+      <Group gap={4} w="38%" wrap="nowrap">
+        {onSelectTrace && (
+          <ActionIcon size="xs" variant="subtle" onClick={() => onSelectTrace(trace)}>
+            <IconEye size={12} />
+          </ActionIcon>
+        )}
+        <Text size="xs" truncate title={trace.url}>
+          <Text span fw={500} size="xs">{trace.method}</Text> {getPath(trace.url)}
+        </Text>
+      </Group>
+
+      <Box pos="relative" h={14} style={{ flex: 1, background: 'var(--mantine-color-gray-1)', borderRadius: 2 }}>
+        <Tooltip
+          label={`${trace.status || trace.error || 'failed'} · ${formatDuration(duration)} · starts +${formatDuration(offset)} · open trace`}
+        >
+          <Box
+            pos="absolute"
+            h="100%"
+            onClick={() => onOpenTrace(trace)}
+            style={{
+              left: `${Math.min(left, 100 - width)}%`,
+              width: `${width}%`,
+              background: `var(--mantine-color-${getStatusColor(trace.status)}-6)`,
+              borderRadius: 2,
+              cursor: 'pointer'
+            }}
+          />
+        </Tooltip>
+      </Box>
+
+      <Text size="xs" c="dimmed" w={56} ta="right">{formatDuration(duration)}</Text>
+    </Group>
+  );
+}
+
+/**
+ * Timeline of captured requests for one tab, grouped by page navigation.
+ * Clicking a bar opens its trace; the eye icon opens the request details.
+ */
+export function TraceWaterfall({ traces, onOpenTrace, onSelectTrace, live = false }) {
+  const tabIds = useMemo(() => [...new Set(traces.map(trace => trace.tabId))], [traces]);
+  const [selectedTab, setSelectedTab] = useState(null);
+
+  // Default to the tab with the newest trace, and fall back to it when the
+  // picked tab's traces are cleared
+  useEffect(() => {
+    if (selectedTab === null || !tabIds.map(String).includes(selectedTab)) {
+      setSelectedTab(tabIds.length > 0 ? String(tabIds[0]) : null);
+    }
+  }, [tabIds, selectedTab]);
+
+  const tabId = selectedTab === 'null' ? null : Number(selectedTab);
+  const groups = useMemo(
+    () => groupByNavigation(traces.filter(trace => trace.tabId === tabId)),
+    [traces, tabId]
+  );
+
+  if (traces.length === 0) {
+    return (
+      <Card withBorder>
+        <Text c="dimmed" ta="center" py="xl">
+          No traces yet. Requests appear here as the page makes them.
+        </Text>
+      </Card>
+    );
+  }
+
+  return (
+    <Stack gap="md">
+      <Group justify="space-between">
+        <Select
+          size="sm"
+          value={selectedTab}
+          onChange={setSelectedTab}
+          allowDeselect={false}
+          data={tabIds.map(id => ({ value: String(id), label: getTabLabel(id, traces) }))}
+        />
+        {live && (
+          <Badge color="green" variant="dot">Live</Badge>
+        )}
+      </Group>
+
+      {groups.map(group => (
+        <Card key={group.id} withBorder padding="sm">
+          <Stack gap={6}>
+            <Group justify="space-between" wrap="nowrap">
+              <Text size="sm" fw={500} truncate title={group.navigation?.url}>
+                {group.navigation ? truncateUrl(group.navigation.url, 60) : 'Page load not recorded'}
+              </Text>
+              <Group gap="xs" wrap="nowrap">
+                <Text size="xs" c="dimmed">{formatTimestamp(group.start)}</Text>
+                <Badge size="xs" variant="light">
+                  {group.traces.length} {group.traces.length === 1 ? 'request' : 'requests'}
+                </Badge>
+              </Group>
+            </Group>
+
+            {group.traces.map(trace => (
+              <WaterfallRow
+                key={trace.id}
+                trace={trace}
+                group={group}
+                onOpenTrace={onOpenTrace}
+                onSelectTrace={onSelectTrace}
+              />
+            ))}
+
+            <Group justify="space-between">
+              <Text size="xs" c="dimmed">0ms</Text>
+              <Text size="xs" c="dimmed">{formatDuration(group.span)}</Text>
+            </Group>
+          </Stack>
+        </Card>
+      ))}
+    </Stack>
+  );
+}
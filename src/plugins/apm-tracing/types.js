@@ -3,15 +3,63 @@
 /**
  * @typedef {Object} TraceData
  * @property {string} id - Unique identifier for the trace
- * @property {string} traceId - Datadog trace ID
- * @property {string} spanId - Datadog span ID
+ * @property {number|null} tabId - Tab that made the request, null once detached when the tab closed or the browser restarted
+ * @property {string} traceId - Trace ID in Datadog's decimal form (lower 64 bits)
+ * @property {string} traceIdHex - Full trace ID as 32 hex characters
+ * @property {string} spanId - Span ID of the request, in decimal
+ * @property {string} spanIdHex - Span ID as 16 hex characters
+ * @property {string} propagationStyle - Style the IDs were decoded from: datadog, tracecontext, b3multi or b3
+ * @property {string[]} propagationStyles - Every propagation style the request carried
+ * @property {boolean|null} sampled - Propagated sampling decision, null if none
+ * @property {string|null} origin - Datadog origin (x-datadog-origin or tracestate `o:`)
+ * @property {boolean} [injected] - Whether the trace headers were added by header injection
+ * @property {boolean} [sharedIds] - Whether other requests were sent with the same injected IDs
+ * @property {import('./trace-context').DatadogTracestate|null} datadogTracestate - Decoded `dd=` tracestate member
+ * @property {string|null} traceparent - W3C traceparent header
+ * @property {string|null} tracestate - W3C tracestate header
  * @property {string} url - Request URL
  * @property {string} method - HTTP method
- * @property {number} status - HTTP status code
- * @property {number} timestamp - Timestamp when trace was captured
+ * @property {number} status - HTTP status code, 0 if the request failed
+ * @property {string|null} error - Network error for failed requests
+ * @property {number} timestamp - Timestamp when the request was sent
  * @property {string} domain - Domain of the request
- * @property {Object} [headers] - Request headers
+ * @property {Object} [headers] - Trace headers, keyed by lowercase name
  * @property {number} [duration] - Request duration in milliseconds
+ * @property {{name: string, value: string}[]} [requestHeaders] - All request headers, credentials redacted
+ * @property {{name: string, value: string}[]} [responseHeaders] - All response headers, credentials redacted
+ * @property {string|null} [statusLine] - HTTP status line of the response
+ * @property {string|null} [ip] - Server IP address the request was sent to
+ * @property {boolean} [fromCache] - Whether the response came from the disk cache
+ * @property {TraceTiming} [timing] - webRequest timestamps for the request
+ * @property {TraceInitiator} [initiator] - Tab and frame that made the request
+ * @property {TraceNavigation|null} [navigation] - Page load the request was made during
+ */
+
+/**
+ * @typedef {Object} TraceNavigation
+ * @property {string} id - Unique ID for the page load
+ * @property {string} url - URL of the page
+ * @property {number} startTime - When the page load started
+ */
+
+/**
+ * @typedef {Object} TraceTiming
+ * @property {number} startTime - onBeforeRequest (or onSendHeaders if it wasn't seen)
+ * @property {number} sendHeaders - onSendHeaders
+ * @property {number} [headersReceived] - onHeadersReceived
+ * @property {number} [responseStarted] - onResponseStarted
+ * @property {number} endTime - onCompleted or onErrorOccurred
+ */
+
+/**
+ * @typedef {Object} TraceInitiator
+ * @property {number} tabId - Tab that made the request
+ * @property {number} frameId - Frame that made the request, 0 for the top frame
+ * @property {number} parentFrameId - Parent of that frame, -1 if none
+ * @property {string|null} frameType - outermost_frame, sub_frame or fenced_frame
+ * @property {string|null} documentId - Document that made the request
+ * @property {string|null} origin - Origin the request was initiated from
+ * @property {string} resourceType - webRequest resource type, e.g. xmlhttprequest
  */
 
 /**
@@ -7,13 +7,16 @@ const helloWorldBackground = {
   // Plugin state
   intervalId: null,
   settings: {},
+  context: null,
   
   /**
    * Initialize background functionality
    */
-  initialize: async (settings) => {
+  initialize: async (settings, context) => {
     console.log('Hello World Background: Initializing with settings', settings);
     
+    helloWorldBackground.context = context;
+    
     helloWorldBackground.settings = {
       greeting: 'Hello, World!',
       showNotifications: true,
@@ -30,7 +33,7 @@ const helloWorldBackground = {
     }
     
     // Set up alarm for periodic tasks
-    await chrome.alarms.create('hello-world:check', {
+    await context.alarms.create('check', {
       periodInMinutes: 5 // Check every 5 minutes
     });
     
@@ -49,7 +52,7 @@ const helloWorldBackground = {
     }
     
     // Clear alarms
-    await chrome.alarms.clear('hello-world:check');
+    await helloWorldBackground.context.alarms.clear('check');
     
     helloWorldBackground.log('info', 'Background plugin cleaned up');
   },
@@ -74,20 +77,7 @@ const helloWorldBackground = {
         
       case 'UPDATE_SETTINGS':
         if (payload && typeof payload === 'object') {
-          const oldSettings = { ...helloWorldBackground.settings };
-          helloWorldBackground.settings = { ...helloWorldBackground.settings, ...payload };
-          
-          helloWorldBackground.log('info', 'Settings updated', {
-            old: oldSettings,
-            new: helloWorldBackground.settings
-          });
-          
-          // Restart notification timer if settings changed
-          if (oldSettings.notificationInterval !== helloWorldBackground.settings.notificationInterval ||
-              oldSettings.showNotifications !== helloWorldBackground.settings.showNotifications) {
-            helloWorldBackground.restartNotificationTimer();
-          }
-          
+          await helloWorldBackground.onSettingsChange(payload);
           return { success: true };
         }
         return { success: false, error: 'Invalid settings payload' };
@@ -111,6 +101,25 @@ const helloWorldBackground = {
     }
   },
   
+  /**
+   * Apply settings saved from the options page
+   */
+  onSettingsChange: async (newSettings) => {
+    const oldSettings = { ...helloWorldBackground.settings };
+    helloWorldBackground.settings = { ...helloWorldBackground.settings, ...newSettings };
+    
+    helloWorldBackground.log('info', 'Settings updated', {
+      old: oldSettings,
+      new: helloWorldBackground.settings
+    });
+    
+    // Restart notification timer if settings changed
+    if (oldSettings.notificationInterval !== helloWorldBackground.settings.notificationInterval ||
+        oldSettings.showNotifications !== helloWorldBackground.settings.showNotifications) {
+      helloWorldBackground.restartNotificationTimer();
+    }
+  },
+  
   /**
    * Handle tab updates
    */
@@ -163,12 +172,8 @@ const helloWorldBackground = {
   injectIntoTab: async (tabId) => {
     try {
       // Send message to content script to show greeting
-      await chrome.tabs.sendMessage(tabId, {
-        type: 'PLUGIN_MESSAGE',
-        pluginId: 'hello-world',
-        context: 'content',
-        action: 'SHOW_GREETING',
-        payload: { greeting: helloWorldBackground.settings.greeting }
+      await helloWorldBackground.context.messaging.sendToTab(tabId, 'SHOW_GREETING', {
+        greeting: helloWorldBackground.settings.greeting
       });
       
       helloWorldBackground.log('info', `Injected greeting into tab ${tabId}`);
@@ -183,9 +188,7 @@ const helloWorldBackground = {
   showNotification: async (title, message) => {
     if (helloWorldBackground.settings.showNotifications) {
       try {
-        await chrome.notifications.create({
-          type: 'basic',
-          iconUrl: '/icons/icon48.png',
+        await helloWorldBackground.context.notifications.create('greeting', {
           title,
           message
         });
@@ -235,7 +238,7 @@ const helloWorldBackground = {
     helloWorldBackground.log('debug', 'Performing periodic background check');
     
     // Example: Count active tabs
-    chrome.tabs.query({}, (tabs) => {
+    helloWorldBackground.context.tabs.query({}).then((tabs) => {
       helloWorldBackground.log('info', `Active tabs: ${tabs.length}`);
     });
   },
@@ -81,6 +81,13 @@ const helloWorldContent = {
         }
         return { success: false, error: 'CSS required' };
         
+      case 'PING':
+        return { success: true, initialized: helloWorldContent.initialized };
+        
+      case 'CLEANUP':
+        await helloWorldContent.cleanup();
+        return { success: true };
+        
       case 'UPDATE_SETTINGS':
         if (payload && typeof payload === 'object') {
           helloWorldContent.settings = { ...helloWorldContent.settings, ...payload };
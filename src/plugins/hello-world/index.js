@@ -2,6 +2,8 @@
 // This plugin demonstrates the new separated architecture
 
 import manifestData from './manifest.json';
+import { getPluginSettings } from '@/shared/storage';
+import { resolvePluginSettings } from '@/shared/plugin-settings';
 
 const helloWorldPlugin = {
   // Load manifest from external file
@@ -84,19 +86,11 @@ const helloWorldPlugin = {
     }
   },
 
-  // Get settings from storage system
+  // Get settings from storage system, merged over schema defaults
   getSettings: async () => {
     try {
-      // TODO: Integrate with storage system
-      // For now, return defaults from manifest
-      const defaults = {};
-      if (helloWorldPlugin.manifest.configSchema?.properties) {
-        Object.entries(helloWorldPlugin.manifest.configSchema.properties).forEach(([key, prop]) => {
-          defaults[key] = prop.default;
-        });
-      }
-      
-      return defaults;
+      const storedSettings = await getPluginSettings('hello-world');
+      return resolvePluginSettings(helloWorldPlugin.manifest.configSchema, storedSettings).settings;
     } catch (error) {
       console.error('Hello World Plugin (Options): Failed to get settings:', error);
       return {};
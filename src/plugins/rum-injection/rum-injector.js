@@ -8,17 +8,18 @@ export class RumInjector {
   async inject(tabId, settings) {
     console.log('Injecting RUM SDK into tab:', tabId, settings);
     
-    const rumScript = this.generateRumScript(settings);
+    const config = this.generateRumConfig(settings);
     
     try {
+      // Call DD_RUM directly in the page's world rather than adding an inline
+      // <script>, which CSP-strict sites block
       await chrome.scripting.executeScript({
         target: { tabId },
-        func: (script) => {
-          const scriptElement = document.createElement('script');
-          scriptElement.textContent = script;
-          document.head.appendChild(scriptElement);
+        world: 'MAIN',
+        func: (rumConfig) => {
+          window.DD_RUM && window.DD_RUM.init(rumConfig);
         },
-        args: [rumScript]
+        args: [config]
       });
       
       this.isInjected = true;
@@ -29,25 +30,21 @@ export class RumInjector {
     }
   }
 
-  generateRumScript(settings) {
-    return `
-      (function() {
-        window.DD_RUM && window.DD_RUM.init({
-          applicationId: '${settings.applicationId}',
-          clientToken: '${settings.clientToken}',
-          site: '${settings.site}',
-          service: '${settings.service}',
-          env: '${settings.env}',
-          version: '${settings.version}',
-          sessionSampleRate: ${settings.sessionSampleRate},
-          sessionReplaySampleRate: ${settings.sessionReplaySampleRate},
-          trackUserInteractions: ${settings.trackUserInteractions},
-          trackResources: ${settings.trackResources},
-          trackLongTasks: ${settings.trackLongTasks},
-          allowedTracingUrls: ${JSON.stringify(settings.allowedTracingUrls)}
-        });
-      })();
-    `;
+  generateRumConfig(settings) {
+    return {
+      applicationId: settings.applicationId,
+      clientToken: settings.clientToken,
+      site: settings.site,
+      service: settings.service,
+      env: settings.env,
+      version: settings.version,
+      sessionSampleRate: settings.sessionSampleRate,
+      sessionReplaySampleRate: settings.sessionReplaySampleRate,
+      trackUserInteractions: settings.trackUserInteractions,
+      trackResources: settings.trackResources,
+      trackLongTasks: settings.trackLongTasks,
+      allowedTracingUrls: settings.allowedTracingUrls
+    };
   }
 }
 
@@ -2,8 +2,8 @@
 
 const rumViewerPlugin = {
   manifest: {
-    id: 'rum-viewer',
-    name: 'RUM Viewer',
+    id: 'rum-viewer-2',
+    name: 'RUM Viewer (Classic)',
     description: 'View Real User Monitoring session data',
     version: '1.0.0',
     core: false,
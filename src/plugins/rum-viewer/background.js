@@ -143,6 +143,19 @@ const rumViewerBackground = {
     }
   },
   
+  /**
+   * Apply settings saved from any context
+   */
+  onSettingsChange: async (newSettings) => {
+    rumViewerBackground.settings = { ...rumViewerBackground.settings, ...newSettings };
+    rumViewerBackground.collector.settings = {
+      ...rumViewerBackground.collector.settings,
+      ...newSettings
+    };
+    
+    rumViewerBackground.logger.info('Settings changed', rumViewerBackground.settings);
+  },
+  
   /**
    * Inject content script into tab if not already present
    */
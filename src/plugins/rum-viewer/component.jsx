@@ -33,6 +33,8 @@ import {
   IconExternalLink,
   IconCopy
 } from '@tabler/icons-react';
+import { getCredentials } from '@/shared/storage';
+import { getRumSessionUrl, getSessionReplayUrl } from '@/shared/datadog-links';
 
 export function RumViewerComponent() {
   const [rumData, setRumData] = useState(null);
@@ -40,12 +42,21 @@ export function RumViewerComponent() {
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [detailsOpened, { toggle: toggleDetails }] = useDisclosure(false);
+  const [site, setSite] = useState(null);
 
   // Load RUM data on component mount
   useEffect(() => {
     loadRumData();
+    getCredentials()
+      .then(credentials => setSite(credentials.site || null))
+      .catch(() => setSite(null));
   }, []);
 
+  // The internal context names the session even when the SDK can't build a replay link
+  const sessionId = rumData?.context?.session_id;
+  const replayLink = rumData?.sessionReplayLink
+    || (sessionId && site ? getSessionReplayUrl(sessionId, { site, viewId: rumData.context.view?.id }) : null);
+
   /**
    * Load RUM data from background script
    */
@@ -106,7 +117,7 @@ export function RumViewerComponent() {
    * Render session replay link
    */
   const renderSessionReplay = () => {
-    if (!rumData?.sessionReplayLink) {
+    if (!replayLink) {
       return (
         <Alert color="gray" icon={<IconAlertCircle size={16} />}>
           <Text size="sm">No session replay available</Text>
@@ -122,7 +133,7 @@ export function RumViewerComponent() {
             <Text size="xs" c="dimmed">View user session recording</Text>
           </div>
           <Group gap="xs">
-            <CopyButton value={rumData.sessionReplayLink}>
+            <CopyButton value={replayLink}>
               {({ copied, copy }) => (
                 <Tooltip label={copied ? 'Copied!' : 'Copy link'}>
                   <ActionIcon
@@ -140,10 +151,24 @@ export function RumViewerComponent() {
               size="sm"
               variant="light"
               leftSection={<IconExternalLink size={16} />}
-              onClick={() => window.open(rumData.sessionReplayLink, '_blank')}
+              onClick={() => window.open(replayLink, '_blank')}
             >
               Open
             </Button>
+            {sessionId && (
+              <Tooltip label="Open the session in the RUM Explorer">
+                <Button
+                  size="sm"
+                  variant="subtle"
+                  onClick={() => window.open(
+                    getRumSessionUrl(sessionId, { site, applicationId: rumData.context.application_id }),
+                    '_blank'
+                  )}
+                >
+                  Explorer
+                </Button>
+              </Tooltip>
+            )}
           </Group>
         </Group>
       </Card>
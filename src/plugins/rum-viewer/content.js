@@ -4,12 +4,14 @@
  */
 
 import { createLogger } from '@/shared/logger';
+import { createMainWorldClient } from '@/shared/main-world-bridge';
 
 const rumViewerContent = {
   // Plugin state
   settings: {},
   initialized: false,
   logger: null,
+  mainWorld: null,
   
   /**
    * Initialize content script functionality
@@ -25,6 +27,9 @@ const rumViewerContent = {
       ...settings
     };
     
+    // DD_RUM lives in the page's world, read it through the MAIN-world module
+    rumViewerContent.mainWorld = createMainWorldClient('rum-viewer');
+    
     // Set up message listener
     chrome.runtime.onMessage.addListener(rumViewerContent.messageHandler);
     
@@ -41,6 +46,9 @@ const rumViewerContent = {
     // Remove message listener
     chrome.runtime.onMessage.removeListener(rumViewerContent.messageHandler);
     
+    rumViewerContent.mainWorld?.dispose();
+    rumViewerContent.mainWorld = null;
+    
     rumViewerContent.initialized = false;
     rumViewerContent.logger.info('RUM Viewer content script cleaned up');
   },
@@ -57,13 +65,20 @@ const rumViewerContent = {
         return { success: true, data: rumData };
         
       case 'CHECK_RUM_AVAILABILITY':
-        const isAvailable = rumViewerContent.isRumAvailable();
+        const isAvailable = await rumViewerContent.isRumAvailable();
         return { success: true, available: isAvailable };
         
       case 'GET_PAGE_INFO':
         const pageInfo = rumViewerContent.getPageInfo();
         return { success: true, data: pageInfo };
         
+      case 'PING':
+        return { success: true, initialized: rumViewerContent.initialized };
+        
+      case 'CLEANUP':
+        await rumViewerContent.cleanup();
+        return { success: true };
+        
       case 'UPDATE_SETTINGS':
         if (payload && typeof payload === 'object') {
           rumViewerContent.settings = { ...rumViewerContent.settings, ...payload };
@@ -98,112 +113,81 @@ const rumViewerContent = {
    * Get RUM data from browser, waiting up to maxWaitTime for DD_RUM to become available
    */
   getRumData: async (options = {}) => {
-    return new Promise((resolve) => {
-      const maxWaitTime = options.maxWaitTime || rumViewerContent.settings.maxWaitTime || 10000;
-      const pollingInterval = options.pollingInterval || rumViewerContent.settings.pollingInterval || 100;
-      
-      let rumData = {
-        type: 'DD_RUM_DATA',
-        sessionReplayLink: null,
-        user: null,
-        available: false,
-        timestamp: Date.now(),
-        url: window.location.href,
-        domain: window.location.hostname,
-        error: null
-      };
-      
-      let timeElapsed = 0;
-      
-      rumViewerContent.logger.debug(`Starting RUM data collection (max wait: ${maxWaitTime}ms, interval: ${pollingInterval}ms)`);
-      
-      const checkRumAvailability = setInterval(() => {
-        try {
-          // Check if DD_RUM is available and has the required functions
-          if (window?.DD_RUM) {
-            rumViewerContent.logger.debug('DD_RUM object found, extracting data');
-            
-            // Extract session replay link
-            let sessionReplayLink = null;
-            try {
-              sessionReplayLink = window.DD_RUM.getSessionReplayLink();
-              rumViewerContent.logger.debug('Session replay link:', sessionReplayLink);
-            } catch (error) {
-              rumViewerContent.logger.warn('Failed to get session replay link:', error.message);
-            }
-            
-            // Extract user data
-            let user = null;
-            try {
-              user = window.DD_RUM.getUser();
-              rumViewerContent.logger.debug('User data:', user);
-            } catch (error) {
-              rumViewerContent.logger.warn('Failed to get user data:', error.message);
-            }
-            
-            // Get additional RUM context if available
-            let rumContext = null;
-            try {
-              // Try to get internal RUM context (may not be publicly available)
-              if (typeof window.DD_RUM.getInternalContext === 'function') {
-                rumContext = window.DD_RUM.getInternalContext();
-              }
-            } catch (error) {
-              rumViewerContent.logger.debug('Internal context not available:', error.message);
-            }
-            
-            // Update the data with actual RUM information
-            rumData = {
-              type: 'DD_RUM_DATA',
-              sessionReplayLink: sessionReplayLink,
-              user: user,
-              available: true,
-              timestamp: Date.now(),
-              url: window.location.href,
-              domain: window.location.hostname,
-              context: rumContext,
-              waitTime: timeElapsed,
-              error: null
-            };
-            
-            clearInterval(checkRumAvailability);
-            rumViewerContent.logger.info('RUM data successfully collected', rumData);
-            resolve(rumData);
-          } else if (timeElapsed >= maxWaitTime) {
-            // If maximum wait time has been exceeded
-            clearInterval(checkRumAvailability);
-            
-            const errorMsg = `DD_RUM object not available within ${maxWaitTime}ms timeout`;
-            rumViewerContent.logger.warn(errorMsg);
-            
-            rumData.error = errorMsg;
-            rumData.waitTime = timeElapsed;
-            resolve(rumData);
-          }
+    const maxWaitTime = options.maxWaitTime || rumViewerContent.settings.maxWaitTime || 10000;
+    const pollingInterval = options.pollingInterval || rumViewerContent.settings.pollingInterval || 100;
+    
+    let rumData = {
+      type: 'DD_RUM_DATA',
+      sessionReplayLink: null,
+      user: null,
+      available: false,
+      timestamp: Date.now(),
+      url: window.location.href,
+      domain: window.location.hostname,
+      error: null
+    };
+    
+    let timeElapsed = 0;
+    
+    rumViewerContent.logger.debug(`Starting RUM data collection (max wait: ${maxWaitTime}ms, interval: ${pollingInterval}ms)`);
+    
+    try {
+      for (;;) {
+        // Check if DD_RUM is available in the page
+        const snapshot = await rumViewerContent.mainWorld.call('getRumSnapshot');
+        
+        if (snapshot.available) {
+          rumViewerContent.logger.debug('DD_RUM object found, extracting data');
+          snapshot.errors.forEach(message => rumViewerContent.logger.warn(message));
           
-          timeElapsed += pollingInterval;
-        } catch (error) {
-          clearInterval(checkRumAvailability);
+          // Update the data with actual RUM information
+          rumData = {
+            type: 'DD_RUM_DATA',
+            sessionReplayLink: snapshot.sessionReplayLink,
+            user: snapshot.user,
+            available: true,
+            timestamp: Date.now(),
+            url: window.location.href,
+            domain: window.location.hostname,
+            context: snapshot.context,
+            waitTime: timeElapsed,
+            error: null
+          };
           
-          const errorMsg = `Error while checking for DD_RUM: ${error.message}`;
-          rumViewerContent.logger.error(errorMsg, error);
+          rumViewerContent.logger.info('RUM data successfully collected', rumData);
+          return rumData;
+        }
+        
+        if (timeElapsed >= maxWaitTime) {
+          // If maximum wait time has been exceeded
+          const errorMsg = `DD_RUM object not available within ${maxWaitTime}ms timeout`;
+          rumViewerContent.logger.warn(errorMsg);
           
           rumData.error = errorMsg;
           rumData.waitTime = timeElapsed;
-          resolve(rumData);
+          return rumData;
         }
-      }, pollingInterval);
-    });
+        
+        await new Promise(resolve => setTimeout(resolve, pollingInterval));
+        timeElapsed += pollingInterval;
+      }
+    } catch (error) {
+      const errorMsg = `Error while checking for DD_RUM: ${error.message}`;
+      rumViewerContent.logger.error(errorMsg, error);
+      
+      rumData.error = errorMsg;
+      rumData.waitTime = timeElapsed;
+      return rumData;
+    }
   },
   
   /**
    * Check if DD_RUM is currently available
    */
-  isRumAvailable: () => {
+  isRumAvailable: async () => {
     try {
-      return !!(window?.DD_RUM && 
-                typeof window.DD_RUM.getSessionReplayLink === 'function' &&
-                typeof window.DD_RUM.getUser === 'function');
+      const methods = await rumViewerContent.mainWorld.call('getRumMethods');
+      return methods.includes('getSessionReplayLink') && methods.includes('getUser');
     } catch (error) {
       rumViewerContent.logger.debug('Error checking RUM availability:', error.message);
       return false;
@@ -213,7 +197,7 @@ const rumViewerContent = {
   /**
    * Detect RUM-related scripts on the page
    */
-  detectRumScripts: () => {
+  detectRumScripts: async () => {
     const scripts = [];
     
     try {
@@ -243,13 +227,12 @@ const rumViewerContent = {
       });
       
       // Check for DD_RUM global object
-      if (window.DD_RUM) {
+      const methods = await rumViewerContent.mainWorld.call('getRumMethods');
+      if (methods.length > 0) {
         scripts.push({
           type: 'global',
           available: true,
-          methods: Object.getOwnPropertyNames(window.DD_RUM).filter(name => 
-            typeof window.DD_RUM[name] === 'function'
-          )
+          methods
         });
       }
     } catch (error) {
@@ -262,47 +245,19 @@ const rumViewerContent = {
   /**
    * Get detailed RUM status information
    */
-  getRumStatus: () => {
-    const status = {
-      available: false,
-      initialized: false,
-      version: null,
-      config: null,
-      methods: [],
-      errors: []
-    };
-    
+  getRumStatus: async () => {
     try {
-      if (window.DD_RUM) {
-        status.available = true;
-        
-        // Get available methods
-        status.methods = Object.getOwnPropertyNames(window.DD_RUM)
-          .filter(name => typeof window.DD_RUM[name] === 'function');
-        
-        // Try to determine if initialized
-        try {
-          window.DD_RUM.getSessionReplayLink();
-          status.initialized = true;
-        } catch (error) {
-          status.errors.push(`getSessionReplayLink failed: ${error.message}`);
-        }
-        
-        // Try to get user data
-        try {
-          const user = window.DD_RUM.getUser();
-          if (user) {
-            status.hasUser = true;
-          }
-        } catch (error) {
-          status.errors.push(`getUser failed: ${error.message}`);
-        }
-      }
+      return await rumViewerContent.mainWorld.call('getRumStatus');
     } catch (error) {
-      status.errors.push(`General error: ${error.message}`);
+      return {
+        available: false,
+        initialized: false,
+        version: null,
+        config: null,
+        methods: [],
+        errors: [`General error: ${error.message}`]
+      };
     }
-    
-    return status;
   },
   
 };
@@ -0,0 +1,106 @@
+/**
+ * RUM Viewer Plugin - MAIN World Module
+ * Runs in the page's JavaScript world so it can read window.DD_RUM, which the
+ * isolated-world content script cannot see. Answers calls from content.js.
+ */
+
+import { exposeToIsolatedWorld } from '@/shared/main-world-bridge';
+
+const getRumMethods = () => {
+  if (!window.DD_RUM) return [];
+  return Object.getOwnPropertyNames(window.DD_RUM)
+    .filter(name => typeof window.DD_RUM[name] === 'function');
+};
+
+const rumViewerMainWorld = {
+  /**
+   * Read the current RUM session details from the page
+   */
+  getRumSnapshot: () => {
+    const snapshot = {
+      available: !!window.DD_RUM,
+      sessionReplayLink: null,
+      user: null,
+      context: null,
+      errors: []
+    };
+
+    if (!window.DD_RUM) return snapshot;
+
+    try {
+      snapshot.sessionReplayLink = window.DD_RUM.getSessionReplayLink();
+    } catch (error) {
+      snapshot.errors.push(`getSessionReplayLink failed: ${error.message}`);
+    }
+
+    try {
+      snapshot.user = window.DD_RUM.getUser();
+    } catch (error) {
+      snapshot.errors.push(`getUser failed: ${error.message}`);
+    }
+
+    try {
+      // Internal context may not be publicly available
+      if (typeof window.DD_RUM.getInternalContext === 'function') {
+        snapshot.context = window.DD_RUM.getInternalContext();
+      }
+    } catch (error) {
+      snapshot.errors.push(`getInternalContext failed: ${error.message}`);
+    }
+
+    return snapshot;
+  },
+
+  /**
+   * List the functions exposed on window.DD_RUM
+   */
+  getRumMethods,
+
+  /**
+   * Get detailed RUM status information
+   */
+  getRumStatus: () => {
+    const status = {
+      available: false,
+      initialized: false,
+      version: null,
+      config: null,
+      methods: [],
+      errors: []
+    };
+
+    try {
+      if (window.DD_RUM) {
+        status.available = true;
+        status.version = window.DD_RUM.version || null;
+        status.methods = getRumMethods();
+
+        // Try to determine if initialized
+        try {
+          window.DD_RUM.getSessionReplayLink();
+          status.initialized = true;
+        } catch (error) {
+          status.errors.push(`getSessionReplayLink failed: ${error.message}`);
+        }
+
+        // Try to get user data
+        try {
+          const user = window.DD_RUM.getUser();
+          if (user) {
+            status.hasUser = true;
+          }
+        } catch (error) {
+          status.errors.push(`getUser failed: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      status.errors.push(`General error: ${error.message}`);
+    }
+
+    return status;
+  }
+};
+
+exposeToIsolatedWorld('rum-viewer', rumViewerMainWorld);
+
+export default rumViewerMainWorld;
@@ -35,7 +35,11 @@ import {
   IconBell
 } from '@tabler/icons-react';
 import { getStorage } from '../shared/storage';
-import { generateTraceUrl, formatTimestamp, getStatusColor, truncateUrl } from '../plugins/apm-tracing/config';
+import { generateCapturedTraceUrl, formatTimestamp, getStatusColor, truncateUrl } from '../plugins/apm-tracing/config';
+import { getHomeUrl, getRumSessionUrl } from '../shared/datadog-links';
+import { PROPAGATION_STYLE_LABELS } from '../plugins/apm-tracing/trace-context';
+import { TraceDetailDrawer } from '../plugins/apm-tracing/trace-detail-drawer';
+import { connectTraceStream } from '../plugins/apm-tracing/trace-stream';
 import { sendMessage } from '../shared/messages';
 import { createLogger } from '../shared/logger';
 
@@ -55,6 +59,7 @@ export function PopupApp() {
   const [activeTab, setActiveTab] = useState('rum');
   const [rumSessionData, setRumSessionData] = useState({ isActive: false });
   const [apmTraces, setApmTraces] = useState([]);
+  const [selectedTrace, setSelectedTrace] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [refreshingRum, setRefreshingRum] = useState(false);
   const [refreshingApm, setRefreshingApm] = useState(false);
@@ -66,6 +71,13 @@ export function PopupApp() {
     loadApmTraces();
   });
 
+  // Refresh the active tab's traces as the background captures or clears them
+  useEffect(() => connectTraceStream((event) => {
+    if (event.type !== 'snapshot') {
+      loadApmTraces();
+    }
+  }), []);
+
   const loadStorageData = async () => {
     try {
       const data = await getStorage();
@@ -113,12 +125,16 @@ export function PopupApp() {
     chrome.runtime.openOptionsPage();
   };
 
-  const openTraceInDatadog = (traceId) => {
-    const site = storageData?.credentials.site || 'us1';
-    const traceUrl = generateTraceUrl(traceId, site);
+  const site = storageData?.credentials.site || 'us1';
+
+  const openTraceInDatadog = (trace) => {
+    const traceUrl = generateCapturedTraceUrl(trace, site);
     chrome.tabs.create({ url: traceUrl });
   };
 
+  const apmSettings = storageData?.plugins?.find(plugin => plugin.id === 'apm-tracing')?.settings;
+  const showRequestDetails = apmSettings?.showRequestDetails ?? true;
+
   const openSessionReplay = () => {
     if (rumSessionData.sessionReplayLink) {
       chrome.tabs.create({ url: rumSessionData.sessionReplayLink });
@@ -233,6 +249,17 @@ export function PopupApp() {
                     </Card>
                   )}
 
+                  {rumSessionData.sessionId && (
+                    <Button
+                      variant="light"
+                      leftSection={<IconExternalLink size={16} />}
+                      onClick={() => chrome.tabs.create({ url: getRumSessionUrl(rumSessionData.sessionId, { site }) })}
+                      fullWidth
+                    >
+                      Open Session in RUM Explorer
+                    </Button>
+                  )}
+
                   {rumSessionData.sessionReplayLink && (
                     <Button
                       leftSection={<IconPlayerPlay size={16} />}
@@ -271,7 +298,7 @@ export function PopupApp() {
 
               {apmTraces.length === 0 ? (
                 <Alert color="gray" icon={<IconAlertCircle />}>
-                  No APM traces found. Network requests with Datadog trace headers will appear here.
+                  No APM traces found. Network requests with Datadog, W3C or B3 trace headers will appear here.
                 </Alert>
               ) : (
                 <Stack gap="xs">
@@ -288,6 +315,31 @@ export function PopupApp() {
                               >
                                 {trace.method} {trace.status}
                               </Badge>
+                              {trace.propagationStyle && (
+                                <Tooltip
+                                  label={`Headers: ${(trace.propagationStyles || [trace.propagationStyle])
+                                    .map(style => PROPAGATION_STYLE_LABELS[style] || style)
+                                    .join(', ')}`}
+                                >
+                                  <Badge color="violet" size="xs" variant="outline">
+                                    {PROPAGATION_STYLE_LABELS[trace.propagationStyle] || trace.propagationStyle}
+                                  </Badge>
+                                </Tooltip>
+                              )}
+                              {trace.injected && (
+                                <Tooltip label="Trace headers were added by the toolkit">
+                                  <Badge color="orange" size="xs" variant="outline">
+                                    Injected
+                                  </Badge>
+                                </Tooltip>
+                              )}
+                              {trace.sharedIds && (
+                                <Tooltip label="Other requests were sent with the same injected IDs">
+                                  <Badge color="orange" size="xs" variant="light">
+                                    Shared IDs
+                                  </Badge>
+                                </Tooltip>
+                              )}
                               <Text size="xs" fw={500}>
                                 {truncateUrl(trace.url, 30)}
                               </Text>
@@ -301,13 +353,26 @@ export function PopupApp() {
                             </Group>
                           </Stack>
                           
-                          <ActionIcon
-                            variant="subtle"
-                            size="sm"
-                            onClick={() => openTraceInDatadog(trace.traceId)}
-                          >
-                            <IconExternalLink size={12} />
-                          </ActionIcon>
+                          <Group gap={2}>
+                            {showRequestDetails && (
+                              <Tooltip label="Request details">
+                                <ActionIcon
+                                  variant="subtle"
+                                  size="sm"
+                                  onClick={() => setSelectedTrace(trace)}
+                                >
+                                  <IconEye size={12} />
+                                </ActionIcon>
+                              </Tooltip>
+                            )}
+                            <ActionIcon
+                              variant="subtle"
+                              size="sm"
+                              onClick={() => openTraceInDatadog(trace)}
+                            >
+                              <IconExternalLink size={12} />
+                            </ActionIcon>
+                          </Group>
                         </Group>
                       </Stack>
                     </Card>
@@ -401,11 +466,7 @@ export function PopupApp() {
                 <Button
                   variant="light"
                   leftSection={<IconExternalLink size={16} />}
-                  onClick={() => {
-                    const site = storageData?.credentials.site || 'us1';
-                    const url = site === 'us1' ? 'https://app.datadoghq.com' : `https://app.datadoghq.${site}`;
-                    chrome.tabs.create({ url });
-                  }}
+                  onClick={() => chrome.tabs.create({ url: getHomeUrl(site) })}
                   size="sm"
                   fullWidth
                 >
@@ -416,6 +477,15 @@ export function PopupApp() {
           </ScrollArea>
         </Tabs.Panel>
       </Tabs>
+
+      <TraceDetailDrawer
+        trace={selectedTrace}
+        opened={selectedTrace !== null}
+        onClose={() => setSelectedTrace(null)}
+        onOpenTrace={(trace) => openTraceInDatadog(trace)}
+        position="bottom"
+        size="90%"
+      />
     </Box>
   );
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Plugin Sandbox
+ * Runs imported plugins' background modules. This page is listed under
+ * `sandbox` in manifest.json, so it may evaluate code but has no chrome.*
+ * APIs and a unique origin. It only talks to the offscreen document that
+ * embeds it.
+ *
+ * Modules are CommonJS-style scripts that assign the plugin object to
+ * `module.exports`.
+ */
+
+import {
+  EXECUTOR_ACTIONS,
+  SANDBOX_MESSAGES,
+  CAPABILITY_METHODS
+} from '@/shared/external-plugin-protocol';
+
+const modules = new Map();
+const pendingCapabilityCalls = new Map();
+let nextCapabilityCallId = 0;
+
+/**
+ * Ask the background to run a PluginContext method for a plugin
+ */
+function callCapability(pluginId, capability, method, args) {
+  const id = nextCapabilityCallId++;
+
+  return new Promise((resolve, reject) => {
+    pendingCapabilityCalls.set(id, { resolve, reject });
+    window.parent.postMessage({
+      type: SANDBOX_MESSAGES.CAPABILITY,
+      id,
+      pluginId,
+      capability,
+      method,
+      args
+    }, '*');
+  });
+}
+
+/**
+ * Build the PluginContext a sandboxed module receives in initialize
+ */
+function createContextProxy(pluginId) {
+  const context = { pluginId };
+
+  for (const [capability, methods] of Object.entries(CAPABILITY_METHODS)) {
+    context[capability] = Object.fromEntries(methods.map(method => [
+      method,
+      (...args) => callCapability(pluginId, capability, method, args)
+    ]));
+  }
+
+  return context;
+}
+
+/**
+ * Evaluate a module's source and return its exported plugin object
+ */
+function evaluateModule(source) {
+  const module = { exports: {} };
+  new Function('module', 'exports', source)(module, module.exports);
+
+  const exported = module.exports?.default || module.exports;
+  if (!exported || typeof exported !== 'object') {
+    throw new Error('Module must assign the plugin object to module.exports');
+  }
+  return exported;
+}
+
+async function handleRequest({ action, pluginId, method, args = [], source }) {
+  switch (action) {
+    case EXECUTOR_ACTIONS.LOAD: {
+      // A reload replaces the previous instance, e.g. after the service worker restarted
+      const previous = modules.get(pluginId);
+      if (typeof previous?.cleanup === 'function') {
+        await previous.cleanup();
+      }
+
+      const exported = evaluateModule(source);
+      modules.set(pluginId, exported);
+
+      return Object.keys(exported).filter(name => typeof exported[name] === 'function');
+    }
+
+    case EXECUTOR_ACTIONS.CALL: {
+      const exported = modules.get(pluginId);
+      if (typeof exported?.[method] !== 'function') {
+        throw new Error(`Plugin ${pluginId} has no ${method} method`);
+      }
+
+      const callArgs = method === 'initialize'
+        ? [args[0], createContextProxy(pluginId)]
+        : args;
+      return exported[method](...callArgs);
+    }
+
+    case EXECUTOR_ACTIONS.UNLOAD:
+      modules.delete(pluginId);
+      return true;
+
+    default:
+      throw new Error(`Unknown executor action: ${action}`);
+  }
+}
+
+window.addEventListener('message', async (event) => {
+  if (event.source !== window.parent) return;
+
+  const message = event.data || {};
+
+  if (message.type === SANDBOX_MESSAGES.CAPABILITY_RESULT) {
+    const call = pendingCapabilityCalls.get(message.id);
+    if (!call) return;
+
+    pendingCapabilityCalls.delete(message.id);
+    if (message.success) {
+      call.resolve(message.result);
+    } else {
+      call.reject(new Error(message.error));
+    }
+    return;
+  }
+
+  if (message.type !== SANDBOX_MESSAGES.REQUEST) return;
+
+  let response;
+  try {
+    const result = await handleRequest(message.request);
+    // Results cross two message channels, so drop anything that isn't JSON
+    response = { success: true, result: result === undefined ? undefined : JSON.parse(JSON.stringify(result)) };
+  } catch (error) {
+    response = { success: false, error: error?.message || String(error), stack: error?.stack || null };
+  }
+
+  window.parent.postMessage({ type: SANDBOX_MESSAGES.RESPONSE, id: message.id, ...response }, '*');
+});
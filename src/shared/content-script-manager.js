@@ -3,14 +3,27 @@
  * Manages plugin injection and lifecycle in content script contexts
  */
 
-import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+import { pluginLoaderV2, PLUGIN_CONTEXTS, CONTENT_INJECTION_MODES } from '@/shared/plugin-loader-v2';
+import {
+  getTabInjections,
+  isPluginInjected,
+  markPluginInjected,
+  clearPluginInjection,
+  clearTabInjections,
+  getTabsForPlugin
+} from '@/shared/tab-injection-state';
+import { recordPluginCall, TELEMETRY_OPERATIONS } from '@/shared/plugin-telemetry';
+import { externalContentHost } from '@/shared/external-content-host';
 import { createLogger } from '@/shared/logger';
 
 const logger = createLogger('ContentScriptManager');
 
+// Prefix for IDs of content scripts registered with chrome.scripting
+const REGISTERED_SCRIPT_PREFIX = 'plugin-';
+
 class ContentScriptManager {
   constructor() {
-    this.injectedTabs = new Set();
+    this.pendingInjections = new Map();
     this.initialized = false;
   }
 
@@ -28,6 +41,15 @@ class ContentScriptManager {
       
       // Set up tab listeners for automatic injection
       this.setupTabListeners();
+
+      // Imported plugins' modules reconnect when the service worker restarts
+      externalContentHost.onModuleConnected((tabId, pluginId) => this.adoptExternalModule(tabId, pluginId));
+      for (const [tabId, pluginId] of externalContentHost.getConnectedModules()) {
+        this.adoptExternalModule(tabId, pluginId);
+      }
+
+      // Bring registered content scripts in line with enabled plugins
+      await this.syncRegisteredContentScripts();
       
       this.initialized = true;
       logger.info('Content script manager initialized');
@@ -43,11 +65,18 @@ class ContentScriptManager {
   setupTabListeners() {
     // Listen for tab updates to inject plugins
     chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-      if (changeInfo.status === 'complete' && tab.url) {
+      if (changeInfo.status === 'loading') {
+        // A new document replaces any content modules injected into the old one
+        await clearTabInjections(tabId);
+      } else if (changeInfo.status === 'complete' && tab.url) {
         await this.injectPluginsIntoTab(tabId, tab.url);
       }
     });
 
+    chrome.tabs.onRemoved.addListener(async (tabId) => {
+      await clearTabInjections(tabId);
+    });
+
     logger.debug('Tab listeners set up for content script injection');
   }
 
@@ -59,7 +88,12 @@ class ContentScriptManager {
       const plugins = pluginLoaderV2.getPluginsForContext(PLUGIN_CONTEXTS.CONTENT);
       
       for (const plugin of plugins) {
-        if (plugin.isEnabled() && plugin.shouldInjectForUrl(url)) {
+        if (!plugin.isEnabled() || !plugin.shouldInjectForUrl(url)) continue;
+
+        if (this.isRegisteredPlugin(plugin.id)) {
+          // Chrome already injected it while the page loaded
+          await this.adoptRegisteredInjection(tabId, plugin.id, url);
+        } else {
           await this.injectPluginIntoTab(tabId, plugin.id, url);
         }
       }
@@ -69,30 +103,89 @@ class ContentScriptManager {
   }
 
   /**
-   * Inject a specific plugin into a tab
+   * Inject a specific plugin into a tab. Concurrent calls for the same tab
+   * and plugin share one injection.
    */
   async injectPluginIntoTab(tabId, pluginId, url) {
+    const key = `${tabId}:${pluginId}`;
+    if (this.pendingInjections.has(key)) {
+      return this.pendingInjections.get(key);
+    }
+
+    const injection = this.performInjection(tabId, pluginId, url)
+      .finally(() => this.pendingInjections.delete(key));
+
+    this.pendingInjections.set(key, injection);
+    return injection;
+  }
+
+  async performInjection(tabId, pluginId, url) {
+    let startedAt = null;
+
     try {
+      if (pluginLoaderV2.isExternalPlugin(pluginId)) {
+        await this.injectExternalContentModule(tabId, pluginId, url);
+        return;
+      }
+
+      // Skip injection if the content module is already running in the tab
+      if (await this.pingContentPlugin(tabId, pluginId)) {
+        if (!(await isPluginInjected(tabId, pluginId))) {
+          await markPluginInjected(tabId, pluginId, url);
+        }
+        logger.debug(`Plugin ${pluginId} already running in tab ${tabId}`);
+        return;
+      }
+
       // Check permissions first
-      const hasPermissions = await pluginLoaderV2.requestPluginPermissions(pluginId);
+      const hasPermissions = await pluginLoaderV2.hasPluginPermissions(pluginId);
       if (!hasPermissions) {
-        logger.warn(`Permission denied for plugin injection: ${pluginId}`);
+        logger.warn(`Plugin ${pluginId} is waiting for permission consent, skipping injection`);
         return;
       }
 
       // Inject the plugin's content script file directly
       const scriptPath = `plugins/${pluginId}/content.js`;
+      const manifest = pluginLoaderV2.getManifest(pluginId);
+      startedAt = performance.now();
+
+      // The MAIN-world module goes first so it can answer the content module
+      if (manifest?.mainWorldModule) {
+        await chrome.scripting.executeScript({
+          target: { tabId },
+          files: [`plugins/${pluginId}/${manifest.mainWorldModule}`],
+          world: 'MAIN'
+        });
+      }
       
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: [scriptPath]
+        files: [scriptPath],
+        world: manifest?.world || 'ISOLATED'
       });
 
-      // Track injection
-      this.injectedTabs.add(`${tabId}:${pluginId}`);
+      // Only track the injection once the content module answers
+      const responded = await this.pingContentPlugin(tabId, pluginId);
+      recordPluginCall(pluginId, TELEMETRY_OPERATIONS.INJECTION, performance.now() - startedAt, !responded);
+      startedAt = null;
+      if (!responded) {
+        logger.warn(`Plugin ${pluginId} did not respond after injection into tab ${tabId}`);
+        return;
+      }
+
+      await markPluginInjected(tabId, pluginId, url);
+      
+      // Deliver stored settings to the freshly injected module
+      const settings = await pluginLoaderV2.getPluginSettings(pluginId);
+      await this.sendMessageToContentPlugin(tabId, pluginId, 'UPDATE_SETTINGS', settings)
+        .catch(() => {});
       
       logger.debug(`Injected plugin ${pluginId} into tab ${tabId}`);
     } catch (error) {
+      if (startedAt !== null) {
+        recordPluginCall(pluginId, TELEMETRY_OPERATIONS.INJECTION, performance.now() - startedAt, true);
+      }
+
       if (error.message.includes('Cannot resolve module')) {
         logger.debug(`No content script for plugin: ${pluginId}`);
       } else {
@@ -101,11 +194,320 @@ class ContentScriptManager {
     }
   }
 
+  /**
+   * Inject an imported plugin's content module. Its source can't be
+   * packaged as a file, so it runs in a user script world of its own
+   * (see external-content-host.js) and is only recorded once it has
+   * initialized and connected back.
+   */
+  async injectExternalContentModule(tabId, pluginId, url) {
+    if (externalContentHost.isConnected(tabId, pluginId)) {
+      if (!(await isPluginInjected(tabId, pluginId))) {
+        await markPluginInjected(tabId, pluginId, url);
+      }
+      logger.debug(`Plugin ${pluginId} already running in tab ${tabId}`);
+      return;
+    }
+
+    if (!(await pluginLoaderV2.hasPluginPermissions(pluginId))) {
+      logger.warn(`Plugin ${pluginId} is waiting for permission consent, skipping injection`);
+      return;
+    }
+
+    const source = pluginLoaderV2.getExternalModuleSource(pluginId, PLUGIN_CONTEXTS.CONTENT);
+    const settings = await pluginLoaderV2.getPluginSettings(pluginId);
+
+    const startedAt = performance.now();
+    let started = false;
+    try {
+      started = await externalContentHost.inject(tabId, pluginId, source, settings);
+    } finally {
+      recordPluginCall(pluginId, TELEMETRY_OPERATIONS.INJECTION, performance.now() - startedAt, !started);
+    }
+
+    if (!started) {
+      logger.warn(`Plugin ${pluginId} did not start after injection into tab ${tabId}`);
+      return;
+    }
+
+    await markPluginInjected(tabId, pluginId, url);
+    logger.debug(`Injected imported plugin ${pluginId} into tab ${tabId}`);
+  }
+
+  /**
+   * Track an imported plugin's module that connected, e.g. after the
+   * service worker restarted, or stop it if the plugin no longer runs
+   */
+  async adoptExternalModule(tabId, pluginId) {
+    try {
+      if (!pluginLoaderV2.isExternalPlugin(pluginId) || !pluginLoaderV2.isPluginEnabled(pluginId)) {
+        await externalContentHost.send(tabId, pluginId, 'CLEANUP');
+        logger.debug(`Stopped imported plugin ${pluginId} left running in tab ${tabId}`);
+        return;
+      }
+
+      if (!(await isPluginInjected(tabId, pluginId))) {
+        const tab = await chrome.tabs.get(tabId);
+        await markPluginInjected(tabId, pluginId, tab.url);
+      }
+    } catch (error) {
+      logger.debug(`Could not track imported plugin ${pluginId} in tab ${tabId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a plugin's content module is loaded and listening in a tab
+   */
+  async pingContentPlugin(tabId, pluginId) {
+    if (externalContentHost.isConnected(tabId, pluginId)) return true;
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'PLUGIN_MESSAGE',
+        pluginId,
+        context: PLUGIN_CONTEXTS.CONTENT,
+        action: 'PING'
+      });
+      return response?.success === true;
+    } catch {
+      // No receiver in the tab
+      return false;
+    }
+  }
+
+  /**
+   * Record a content module that Chrome injected from a registered content
+   * script and hand it the plugin's settings
+   */
+  async adoptRegisteredInjection(tabId, pluginId, url) {
+    try {
+      if (await isPluginInjected(tabId, pluginId)) return;
+      if (!(await this.pingContentPlugin(tabId, pluginId))) return;
+
+      await markPluginInjected(tabId, pluginId, url);
+
+      const settings = await pluginLoaderV2.getPluginSettings(pluginId);
+      await this.sendMessageToContentPlugin(tabId, pluginId, 'UPDATE_SETTINGS', settings)
+        .catch(() => {});
+
+      logger.debug(`Registered content script for ${pluginId} running in tab ${tabId}`);
+    } catch (error) {
+      logger.error(`Failed to track registered content script ${pluginId} in tab ${tabId}:`, error);
+    }
+  }
+
+  /**
+   * Check whether a plugin's content module is delivered through a
+   * registered content script
+   */
+  isRegisteredPlugin(pluginId) {
+    const manifest = pluginLoaderV2.getManifest(pluginId);
+    return !!manifest?.contexts?.[PLUGIN_CONTEXTS.CONTENT]
+      && pluginLoaderV2.getContentInjectionMode(pluginId) === CONTENT_INJECTION_MODES.REGISTERED;
+  }
+
+  /**
+   * Get the IDs a plugin's content scripts are registered under
+   */
+  getRegisteredScriptIds(pluginId) {
+    return [`${REGISTERED_SCRIPT_PREFIX}${pluginId}`, `${REGISTERED_SCRIPT_PREFIX}${pluginId}@main`];
+  }
+
+  /**
+   * Build the chrome.scripting registrations for a plugin's content module
+   * and, if it declares one, its MAIN-world module
+   */
+  getContentScriptRegistrations(manifest) {
+    const [contentId, mainWorldId] = this.getRegisteredScriptIds(manifest.id);
+    const shared = {
+      matches: manifest.matches || [],
+      excludeMatches: manifest.excludeMatches || [],
+      runAt: manifest.runAt || 'document_idle',
+      persistAcrossSessions: true
+    };
+
+    const registrations = [{
+      id: contentId,
+      js: [`plugins/${manifest.id}/content.js`],
+      world: manifest.world || 'ISOLATED',
+      ...shared
+    }];
+
+    if (manifest.mainWorldModule) {
+      registrations.unshift({
+        id: mainWorldId,
+        js: [`plugins/${manifest.id}/${manifest.mainWorldModule}`],
+        world: 'MAIN',
+        ...shared
+      });
+    }
+
+    return registrations;
+  }
+
+  /**
+   * Compare the fields of two registrations that affect injection
+   */
+  isSameRegistration(a, b) {
+    const fields = (script) => JSON.stringify([
+      script.js,
+      script.matches,
+      script.excludeMatches || [],
+      script.runAt || 'document_idle',
+      script.world || 'ISOLATED'
+    ]);
+    return fields(a) === fields(b);
+  }
+
+  /**
+   * Move from the existing registrations to the desired ones, registering,
+   * updating and unregistering as needed. Returns the IDs of each change.
+   */
+  async applyRegistrations(existing, desired) {
+    const stale = existing.filter(script => !desired.some(d => d.id === script.id));
+    const added = desired.filter(d => !existing.some(script => script.id === d.id));
+    const changed = desired.filter(d => {
+      const current = existing.find(script => script.id === d.id);
+      return current && !this.isSameRegistration(current, d);
+    });
+
+    if (stale.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: stale.map(script => script.id) });
+    }
+    if (added.length > 0) {
+      await chrome.scripting.registerContentScripts(added);
+    }
+    if (changed.length > 0) {
+      await chrome.scripting.updateContentScripts(changed);
+    }
+
+    return {
+      registered: added.map(script => script.id),
+      updated: changed.map(script => script.id),
+      unregistered: stale.map(script => script.id)
+    };
+  }
+
+  /**
+   * Register, update or unregister plugin content scripts so that exactly
+   * the enabled plugins in registered mode have one
+   */
+  async syncRegisteredContentScripts() {
+    try {
+      const existing = (await chrome.scripting.getRegisteredContentScripts())
+        .filter(script => script.id.startsWith(REGISTERED_SCRIPT_PREFIX));
+
+      const desired = pluginLoaderV2.getPluginsForContext(PLUGIN_CONTEXTS.CONTENT)
+        .filter(plugin => plugin.isEnabled() && this.isRegisteredPlugin(plugin.id))
+        .filter(plugin => plugin.manifest.matches?.length > 0)
+        .flatMap(plugin => this.getContentScriptRegistrations(plugin.manifest));
+
+      const changes = await this.applyRegistrations(existing, desired);
+      logger.debug('REGISTERED_SCRIPTS', 'SYNCED', changes);
+    } catch (error) {
+      logger.error('Failed to sync registered content scripts:', error);
+    }
+  }
+
+  /**
+   * Register a plugin's content module so Chrome injects it into matching
+   * pages as they load. No-op for plugins using dynamic injection.
+   */
+  async registerPluginContentScript(pluginId) {
+    if (!this.isRegisteredPlugin(pluginId)) return;
+
+    const manifest = pluginLoaderV2.getManifest(pluginId);
+    if (!manifest.matches?.length) {
+      logger.warn(`Plugin ${pluginId} has no matches to register a content script for`);
+      return;
+    }
+
+    const existing = await chrome.scripting.getRegisteredContentScripts({
+      ids: this.getRegisteredScriptIds(pluginId)
+    });
+    await this.applyRegistrations(existing, this.getContentScriptRegistrations(manifest));
+
+    logger.debug(`Registered content script for plugin: ${pluginId}`);
+  }
+
+  /**
+   * Remove a plugin's registered content script, if it has one
+   */
+  async unregisterPluginContentScript(pluginId) {
+    const existing = await chrome.scripting.getRegisteredContentScripts({
+      ids: this.getRegisteredScriptIds(pluginId)
+    });
+
+    if (existing.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+      logger.debug(`Unregistered content script for plugin: ${pluginId}`);
+    }
+  }
+
+  /**
+   * Inject a plugin into every open tab whose URL it matches
+   */
+  async injectPluginIntoMatchingTabs(pluginId) {
+    const manifest = pluginLoaderV2.getManifest(pluginId);
+    if (!manifest?.contexts?.[PLUGIN_CONTEXTS.CONTENT]) return;
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      if (tab.url && pluginLoaderV2.shouldInjectForUrl(manifest, tab.url)) {
+        await this.injectPluginIntoTab(tab.id, pluginId, tab.url);
+      }
+    }
+  }
+
+  /**
+   * Push updated settings to a plugin's content module in every tracked tab
+   */
+  async sendSettingsToTabs(pluginId, settings) {
+    for (const tabId of await getTabsForPlugin(pluginId)) {
+      try {
+        await this.sendMessageToContentPlugin(tabId, pluginId, 'UPDATE_SETTINGS', settings);
+      } catch (error) {
+        logger.debug(`Could not update settings for ${pluginId} in tab ${tabId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tear down a plugin's content module in a tab by calling its cleanup
+   */
+  async removePluginFromTab(tabId, pluginId) {
+    try {
+      if (await this.pingContentPlugin(tabId, pluginId)) {
+        await this.sendMessageToContentPlugin(tabId, pluginId, 'CLEANUP');
+        logger.debug(`Removed plugin ${pluginId} from tab ${tabId}`);
+      }
+    } catch (error) {
+      // Tab may have navigated or closed since injection
+      logger.debug(`Could not clean up plugin ${pluginId} in tab ${tabId}: ${error.message}`);
+    } finally {
+      await clearPluginInjection(tabId, pluginId);
+    }
+  }
+
+  /**
+   * Tear down a plugin's content module in every tab it is injected into
+   */
+  async removePluginFromAllTabs(pluginId) {
+    for (const tabId of await getTabsForPlugin(pluginId)) {
+      await this.removePluginFromTab(tabId, pluginId);
+    }
+  }
+
   /**
    * Send message to content plugin in specific tab
    */
   async sendMessageToContentPlugin(tabId, pluginId, action, payload) {
     try {
+      // Imported plugins' modules answer over their port
+      if (externalContentHost.isConnected(tabId, pluginId)) {
+        return await externalContentHost.send(tabId, pluginId, action, payload);
+      }
+
       const response = await chrome.tabs.sendMessage(tabId, {
         type: 'PLUGIN_MESSAGE',
         pluginId,
@@ -152,10 +554,17 @@ class ContentScriptManager {
   }
 
   /**
-   * Get all tabs with injected plugins
+   * Get injection state for all tabs, keyed by tab ID
+   */
+  async getInjectedTabs() {
+    return getTabInjections();
+  }
+
+  /**
+   * Get IDs of tabs a plugin has been injected into
    */
-  getInjectedTabs() {
-    return Array.from(this.injectedTabs);
+  async getTabsForPlugin(pluginId) {
+    return getTabsForPlugin(pluginId);
   }
 }
 
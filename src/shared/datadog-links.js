@@ -0,0 +1,146 @@
+/**
+ * Datadog Deep Links
+ * Builds links into the Datadog app for any site. Sites can be given as a
+ * region from DATADOG_SITES ("us1", "eu1"...) or as an SDK site domain
+ * ("datadoghq.eu", "us3.datadoghq.com"...).
+ *
+ * Most builders accept a time window: { from, to } in epoch milliseconds,
+ * sent as from_ts/to_ts with live=false so the page opens on that window.
+ */
+
+import { DATADOG_SITES } from '@/shared/values';
+
+export const DEFAULT_SITE = 'us1';
+
+// Regions as older settings spelled them
+const REGION_ALIASES = {
+  us: 'us1',
+  eu: 'eu1',
+  'us1-fed': 'gov'
+};
+
+// Padding on each side of an event's timestamp for timeWindowAround
+const DEFAULT_WINDOW_PADDING_MS = 15 * 60 * 1000;
+
+/**
+ * Find the DATADOG_SITES entry for a region or site domain. Unknown or empty
+ * sites resolve to US1.
+ */
+export function resolveSite(site) {
+  const value = String(site || '').trim().toLowerCase();
+  const region = REGION_ALIASES[value] || value;
+
+  const byRegion = DATADOG_SITES.find(entry => entry.region === region);
+  if (byRegion) return byRegion;
+
+  const domain = value.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  const byDomain = DATADOG_SITES.find((entry) => {
+    const host = new URL(entry.url).hostname;
+    return host === domain || host === `app.${domain}`;
+  });
+
+  return byDomain || DATADOG_SITES.find(entry => entry.region === DEFAULT_SITE);
+}
+
+/**
+ * A time window of `paddingMs` either side of a timestamp
+ */
+export function timeWindowAround(timestamp, paddingMs = DEFAULT_WINDOW_PADDING_MS) {
+  return { from: timestamp - paddingMs, to: timestamp + paddingMs };
+}
+
+function buildUrl(site, path, params = {}) {
+  const url = new URL(path, resolveSite(site).url);
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  return url.toString();
+}
+
+function timeParams({ from, to } = {}) {
+  if (!from && !to) return {};
+
+  return {
+    from_ts: from ? Math.round(from) : undefined,
+    to_ts: to ? Math.round(to) : Date.now(),
+    live: false
+  };
+}
+
+/**
+ * Datadog app home page
+ */
+export function getHomeUrl(site = DEFAULT_SITE) {
+  return buildUrl(site, '/');
+}
+
+/**
+ * APM trace view. Trace IDs should be in Datadog's decimal form.
+ */
+export function getTraceUrl(traceId, { site = DEFAULT_SITE, spanId = null, from, to } = {}) {
+  return buildUrl(site, `/apm/trace/${encodeURIComponent(traceId)}`, {
+    spanID: spanId,
+    ...timeParams({ from, to })
+  });
+}
+
+/**
+ * RUM sessions explorer filtered to one session
+ */
+export function getRumSessionUrl(sessionId, { site = DEFAULT_SITE, applicationId = null, from, to } = {}) {
+  const query = [`@session.id:${sessionId}`, applicationId && `@application.id:${applicationId}`]
+    .filter(Boolean)
+    .join(' ');
+
+  return buildUrl(site, '/rum/sessions', { query, ...timeParams({ from, to }) });
+}
+
+/**
+ * Session replay player, optionally starting at a view. Mirrors the RUM
+ * SDK's getSessionReplayLink, which takes the start time as `from`.
+ */
+export function getSessionReplayUrl(sessionId, { site = DEFAULT_SITE, viewId = null, from } = {}) {
+  return buildUrl(site, `/rum/replay/sessions/${encodeURIComponent(sessionId)}`, {
+    seed: viewId,
+    from: from ? Math.round(from) : undefined
+  });
+}
+
+/**
+ * Log explorer for a search query
+ */
+export function getLogsUrl(query = '', { site = DEFAULT_SITE, from, to } = {}) {
+  return buildUrl(site, '/logs', { query, ...timeParams({ from, to }) });
+}
+
+/**
+ * Monitor status page
+ */
+export function getMonitorUrl(monitorId, { site = DEFAULT_SITE, from, to } = {}) {
+  return buildUrl(site, `/monitors/${encodeURIComponent(monitorId)}`, timeParams({ from, to }));
+}
+
+/**
+ * Dashboard, with optional template variable values ({ env: 'prod' })
+ */
+export function getDashboardUrl(dashboardId, { site = DEFAULT_SITE, templateVariables = {}, from, to } = {}) {
+  const variables = Object.fromEntries(
+    Object.entries(templateVariables).map(([name, value]) => [`tpl_var_${name}`, value])
+  );
+
+  return buildUrl(site, `/dashboard/${encodeURIComponent(dashboardId)}`, {
+    ...variables,
+    ...timeParams({ from, to })
+  });
+}
+
+/**
+ * Event explorer for a search query
+ */
+export function getEventsUrl(query = '', { site = DEFAULT_SITE, from, to } = {}) {
+  return buildUrl(site, '/event/explorer', { query, ...timeParams({ from, to }) });
+}
@@ -0,0 +1,279 @@
+/**
+ * External Content Host
+ * Runs the content modules of plugins imported from bundles. Their source
+ * can't be packaged as a file, and MV3 forbids evaluating it in a content
+ * script, so it runs through chrome.userScripts in a user script world of
+ * its own (one per plugin). The world is isolated from the page and has no
+ * extension APIs beyond a messaging port back to the background.
+ *
+ * background  <--port "external-content:<pluginId>"-->  user script world
+ *
+ * A module connects once it has initialized, which is what confirms the
+ * injection. The background then sends it plugin messages over the port
+ * (UPDATE_SETTINGS, CLEANUP and any other action) and gets the answers back.
+ * If the service worker stops, the port drops and the module reconnects.
+ *
+ * chrome.userScripts is only available once the user allows user scripts
+ * for the extension (chrome://extensions, "Allow User Scripts").
+ */
+
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('ExternalContentHost');
+
+const PORT_PREFIX = 'external-content:';
+const START_TIMEOUT = 5000;
+const MESSAGE_TIMEOUT = 5000;
+
+// The module reconnects after this delay if the service worker dropped its port
+const RECONNECT_DELAY_MS = 1000;
+
+function portKey(tabId, pluginId) {
+  return `${tabId}:${pluginId}`;
+}
+
+function worldId(pluginId) {
+  return `plugin-${pluginId}`;
+}
+
+/**
+ * Wrap a module's source so it runs once per document, initializes with
+ * `settings`, and answers plugin messages over a port
+ */
+function buildUserScript(pluginId, source, settings) {
+  const portName = JSON.stringify(`${PORT_PREFIX}${pluginId}`);
+
+  return `(function () {
+  var state = globalThis.__datadogToolkitPlugin;
+  if (state) {
+    state.connect();
+    return;
+  }
+
+  var module = { exports: {} };
+  (function (module, exports) {
+${source}
+  })(module, module.exports);
+  var plugin = module.exports.default || module.exports;
+
+  state = globalThis.__datadogToolkitPlugin = { port: null, stopped: false };
+
+  function call(method, args) {
+    return typeof plugin[method] === 'function' ? plugin[method].apply(plugin, args) : undefined;
+  }
+
+  function handle(action, payload) {
+    if (action === 'PING') return { success: true };
+    if (action === 'UPDATE_SETTINGS') return call('onSettingsChange', [payload]);
+    if (action === 'CLEANUP') {
+      state.stopped = true;
+      delete globalThis.__datadogToolkitPlugin;
+      return call('cleanup', []);
+    }
+    return call('handleMessage', [action, payload]);
+  }
+
+  state.connect = function () {
+    if (state.port || state.stopped) return;
+
+    var port = chrome.runtime.connect({ name: ${portName} });
+    state.port = port;
+
+    port.onMessage.addListener(function (message) {
+      Promise.resolve()
+        .then(function () { return handle(message.action, message.payload); })
+        .then(function (response) {
+          port.postMessage({ id: message.id, response: response || { success: true } });
+        }, function (error) {
+          port.postMessage({ id: message.id, response: { success: false, error: String(error && error.message || error) } });
+        })
+        .then(function () {
+          if (state.stopped) port.disconnect();
+        });
+    });
+
+    port.onDisconnect.addListener(function () {
+      state.port = null;
+      if (!state.stopped) setTimeout(state.connect, ${RECONNECT_DELAY_MS});
+    });
+  };
+
+  Promise.resolve()
+    .then(function () { return call('initialize', [${JSON.stringify(settings)}]); })
+    .then(state.connect, function (error) {
+      delete globalThis.__datadogToolkitPlugin;
+      console.error('[Datadog Toolkit] Plugin failed to initialize:', ${portName}, error);
+    });
+})();`;
+}
+
+class ExternalContentHost {
+  constructor() {
+    this.ports = new Map();
+    this.waiters = new Map();
+    this.pending = new Map();
+    this.connectListeners = new Set();
+    this.nextId = 0;
+  }
+
+  /**
+   * Accept connections from injected modules. Must run synchronously at
+   * service worker startup, so a module reconnecting can wake the worker.
+   */
+  registerListeners() {
+    chrome.runtime.onUserScriptConnect?.addListener((port) => {
+      if (!port.name.startsWith(PORT_PREFIX)) return;
+
+      const tabId = port.sender?.tab?.id;
+      if (tabId === undefined || port.sender.frameId !== 0) {
+        port.disconnect();
+        return;
+      }
+
+      this.adopt(tabId, port.name.slice(PORT_PREFIX.length), port);
+    });
+  }
+
+  adopt(tabId, pluginId, port) {
+    const key = portKey(tabId, pluginId);
+    this.ports.set(key, port);
+
+    port.onMessage.addListener(({ id, response } = {}) => {
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      this.pending.delete(id);
+      clearTimeout(request.timer);
+      request.resolve(response);
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (this.ports.get(key) === port) {
+        this.ports.delete(key);
+      }
+
+      for (const [id, request] of this.pending) {
+        if (request.port === port) {
+          clearTimeout(request.timer);
+          request.reject(new Error(`Plugin ${pluginId} disconnected from tab ${tabId}`));
+          this.pending.delete(id);
+        }
+      }
+    });
+
+    this.waiters.get(key)?.(true);
+    logger.debug('CONNECTED', pluginId, { tabId });
+
+    for (const listener of this.connectListeners) {
+      try {
+        listener(tabId, pluginId);
+      } catch (error) {
+        logger.error('Connect listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Listen for modules connecting, including ones reconnecting after the
+   * service worker restarted. Returns a function that removes the listener.
+   */
+  onModuleConnected(listener) {
+    this.connectListeners.add(listener);
+    return () => this.connectListeners.delete(listener);
+  }
+
+  /**
+   * Get the [tabId, pluginId] pairs of connected modules
+   */
+  getConnectedModules() {
+    return Array.from(this.ports.keys(), (key) => {
+      const separator = key.indexOf(':');
+      return [Number(key.slice(0, separator)), key.slice(separator + 1)];
+    });
+  }
+
+  /**
+   * Check whether the user has allowed user scripts for the extension
+   */
+  isAvailable() {
+    try {
+      // Throws while user scripts aren't allowed
+      chrome.userScripts.getScripts().catch(() => {});
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a plugin's module is running and connected in a tab
+   */
+  isConnected(tabId, pluginId) {
+    return this.ports.has(portKey(tabId, pluginId));
+  }
+
+  /**
+   * Run a plugin's content module in a tab. Resolves with whether the
+   * module initialized and connected within the start timeout. A module
+   * already running in the tab only reconnects.
+   */
+  async inject(tabId, pluginId, source, settings) {
+    if (!this.isAvailable()) {
+      throw new Error('User scripts are not allowed for the extension; enable "Allow User Scripts" on chrome://extensions');
+    }
+    if (!source) {
+      throw new Error(`Imported plugin ${pluginId} has no content module`);
+    }
+    if (this.isConnected(tabId, pluginId)) return true;
+
+    const key = portKey(tabId, pluginId);
+    const started = new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), START_TIMEOUT);
+      this.waiters.set(key, (connected) => {
+        clearTimeout(timer);
+        resolve(connected);
+      });
+    }).finally(() => this.waiters.delete(key));
+
+    try {
+      await chrome.userScripts.configureWorld({ worldId: worldId(pluginId), messaging: true });
+      await chrome.userScripts.execute({
+        target: { tabId },
+        js: [{ code: buildUserScript(pluginId, source, settings) }],
+        world: 'USER_SCRIPT',
+        worldId: worldId(pluginId)
+      });
+    } catch (error) {
+      this.waiters.get(key)?.(false);
+      throw error;
+    }
+
+    return started;
+  }
+
+  /**
+   * Send a plugin message to a module running in a tab and resolve with
+   * its answer
+   */
+  send(tabId, pluginId, action, payload) {
+    const port = this.ports.get(portKey(tabId, pluginId));
+    if (!port) {
+      return Promise.reject(new Error(`Plugin ${pluginId} is not running in tab ${tabId}`));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Plugin ${pluginId} did not answer ${action} in tab ${tabId}`));
+      }, MESSAGE_TIMEOUT);
+
+      this.pending.set(id, { port, resolve, reject, timer });
+      port.postMessage({ id, action, payload });
+    });
+  }
+}
+
+// Export singleton instance
+export const externalContentHost = new ExternalContentHost();
+export default externalContentHost;
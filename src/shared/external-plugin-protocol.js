@@ -0,0 +1,46 @@
+/**
+ * External Plugin Protocol
+ * Messages exchanged between the background, the offscreen document and the
+ * sandboxed iframe that runs imported plugins' background modules.
+ *
+ * background  --chrome.runtime-->  offscreen  --postMessage-->  sandbox
+ *
+ * The sandbox has no chrome.* APIs; plugins reach them through a
+ * PluginContext proxy whose calls travel back to the background.
+ */
+
+// chrome.runtime messages from the background to the offscreen document
+export const EXECUTOR_TARGET = 'external-plugin-executor';
+
+// chrome.runtime message from the offscreen document to the background
+export const CAPABILITY_REQUEST_MESSAGE = 'EXTERNAL_PLUGIN_CAPABILITY';
+
+/**
+ * Requests the background sends to the sandbox
+ */
+export const EXECUTOR_ACTIONS = {
+  LOAD: 'load',
+  CALL: 'call',
+  UNLOAD: 'unload'
+};
+
+/**
+ * postMessage types between the offscreen document and the sandbox
+ */
+export const SANDBOX_MESSAGES = {
+  REQUEST: 'executor-request',
+  RESPONSE: 'executor-response',
+  CAPABILITY: 'capability-request',
+  CAPABILITY_RESULT: 'capability-result'
+};
+
+/**
+ * PluginContext methods a sandboxed plugin can call, by capability
+ */
+export const CAPABILITY_METHODS = {
+  storage: ['get', 'set', 'remove', 'clear', 'keys'],
+  messaging: ['send', 'sendToTab'],
+  notifications: ['create', 'clear'],
+  tabs: ['query', 'get'],
+  alarms: ['create', 'get', 'getAll', 'clear', 'clearAll']
+};
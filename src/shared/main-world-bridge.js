@@ -0,0 +1,188 @@
+/**
+ * Main World Bridge
+ * Request/response calls from a plugin's isolated-world content module to its
+ * MAIN-world module, which can read page globals such as window.DD_RUM.
+ *
+ * Both worlds share the DOM, so messages travel as CustomEvents on `document`.
+ * Event details are JSON strings because objects don't cross worlds.
+ * The MAIN world is reachable by page scripts, so handlers must not expose
+ * anything the page shouldn't be able to call.
+ */
+
+const EVENT_PREFIX = 'datadog-toolkit:main-world';
+const DEFAULT_TIMEOUT = 5000;
+
+// Each injection re-runs the MAIN-world bundle, so the handlers exposed per
+// plugin are tracked on the page's window rather than in module state
+const EXPOSED_KEY = Symbol.for(`${EVENT_PREFIX}:exposed`);
+
+/**
+ * @typedef {Object} BridgeRequest
+ * @property {string} id - Correlates the response with the request
+ * @property {string} method - Name of the MAIN-world handler to call
+ * @property {Array<any>} args - JSON-serializable arguments
+ */
+
+/**
+ * @typedef {Object} BridgeResponse
+ * @property {string} id - ID of the request being answered
+ * @property {boolean} success - Whether the handler returned without throwing
+ * @property {any} [result] - JSON-serializable handler result
+ * @property {string} [error] - Error message when the handler threw
+ */
+
+function eventName(pluginId, type) {
+  return `${EVENT_PREFIX}:${pluginId}:${type}`;
+}
+
+function dispatch(pluginId, type, detail) {
+  document.dispatchEvent(new CustomEvent(eventName(pluginId, type), {
+    detail: detail === undefined ? undefined : JSON.stringify(detail)
+  }));
+}
+
+function readDetail(event) {
+  try {
+    return typeof event.detail === 'string' ? JSON.parse(event.detail) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * MAIN world: expose handlers to the plugin's isolated-world content module.
+ * Handlers may be async; their arguments and results must be JSON-serializable.
+ * Exposing again, e.g. when the plugin is re-injected, replaces the handlers
+ * exposed before. Returns a function that stops answering requests.
+ */
+export function exposeToIsolatedWorld(pluginId, handlers) {
+  if (!window[EXPOSED_KEY]) {
+    Object.defineProperty(window, EXPOSED_KEY, { value: new Map() });
+  }
+  const exposed = window[EXPOSED_KEY];
+  exposed.get(pluginId)?.();
+
+  const onRequest = async (event) => {
+    const request = readDetail(event);
+    if (!request?.id) return;
+
+    /** @type {BridgeResponse} */
+    let response;
+    try {
+      if (!Object.prototype.hasOwnProperty.call(handlers, request.method)) {
+        throw new Error(`Unknown main world method: ${request.method}`);
+      }
+      const result = await handlers[request.method](...(request.args || []));
+      response = { id: request.id, success: true, result };
+    } catch (error) {
+      response = { id: request.id, success: false, error: error?.message || String(error) };
+    }
+
+    dispatch(pluginId, 'response', response);
+  };
+
+  const onPing = () => dispatch(pluginId, 'ready');
+
+  document.addEventListener(eventName(pluginId, 'request'), onRequest);
+  document.addEventListener(eventName(pluginId, 'ping'), onPing);
+
+  // Announce readiness to a content module that loaded first
+  dispatch(pluginId, 'ready');
+
+  const dispose = () => {
+    document.removeEventListener(eventName(pluginId, 'request'), onRequest);
+    document.removeEventListener(eventName(pluginId, 'ping'), onPing);
+    if (exposed.get(pluginId) === dispose) {
+      exposed.delete(pluginId);
+    }
+  };
+
+  exposed.set(pluginId, dispose);
+  return dispose;
+}
+
+/**
+ * Isolated world: create a client for calling the plugin's MAIN-world module.
+ * Calls wait for the MAIN-world module to announce itself, and reject if it
+ * hasn't answered within `timeout` milliseconds.
+ */
+export function createMainWorldClient(pluginId, { timeout = DEFAULT_TIMEOUT } = {}) {
+  const pending = new Map();
+  let nextId = 0;
+  let markReady;
+  const ready = new Promise(resolve => {
+    markReady = resolve;
+  });
+
+  const onResponse = (event) => {
+    /** @type {BridgeResponse} */
+    const response = readDetail(event);
+    const request = response && pending.get(response.id);
+    if (!request) return;
+
+    pending.delete(response.id);
+    clearTimeout(request.timer);
+
+    if (response.success) {
+      request.resolve(response.result);
+    } else {
+      request.reject(new Error(response.error));
+    }
+  };
+
+  const onReady = () => markReady();
+
+  document.addEventListener(eventName(pluginId, 'response'), onResponse);
+  document.addEventListener(eventName(pluginId, 'ready'), onReady);
+
+  // Ask a MAIN-world module that loaded first to announce itself
+  dispatch(pluginId, 'ping');
+
+  const withTimeout = (promise, message) => {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  };
+
+  return {
+    /**
+     * Call a MAIN-world handler and resolve with its result
+     */
+    async call(method, ...args) {
+      await withTimeout(ready, `Main world module for ${pluginId} is not loaded`);
+
+      const id = `${pluginId}-${Date.now()}-${nextId++}`;
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Main world call ${method} timed out after ${timeout}ms`));
+        }, timeout);
+
+        pending.set(id, { resolve, reject, timer });
+
+        /** @type {BridgeRequest} */
+        const request = { id, method, args };
+        dispatch(pluginId, 'request', request);
+      });
+    },
+
+    /**
+     * Stop listening and reject calls still waiting for a response
+     */
+    dispose() {
+      document.removeEventListener(eventName(pluginId, 'response'), onResponse);
+      document.removeEventListener(eventName(pluginId, 'ready'), onReady);
+
+      for (const [id, request] of pending) {
+        clearTimeout(request.timer);
+        request.reject(new Error('Main world client disposed'));
+        pending.delete(id);
+      }
+    }
+  };
+}
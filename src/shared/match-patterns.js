@@ -0,0 +1,253 @@
+/**
+ * Match Patterns
+ * Chrome extension match-pattern and glob matching for plugin `matches`,
+ * `excludeMatches`, `includeGlobs` and `excludeGlobs`.
+ * See https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns
+ */
+
+const ALL_URLS = '<all_urls>';
+const VALID_SCHEMES = ['http', 'https', 'file', 'ftp', 'urn', 'ws', 'wss'];
+const WILDCARD_SCHEMES = ['http', 'https'];
+const ALL_URLS_SCHEMES = ['http', 'https', 'file', 'ftp', 'ws', 'wss'];
+
+const DEFAULT_PORTS = { http: '80', https: '443', ws: '80', wss: '443', ftp: '21' };
+
+const PATTERN_SHAPE = /^([^:]+):\/\/([^/]*)(\/.*)$/;
+const URN_SHAPE = /^urn:(.+)$/;
+
+const compiledPatterns = new Map();
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob where `*` matches any run of characters (and optionally `?`
+ * matches a single character) to an anchored regex
+ */
+function globToRegExp(glob, { singleCharWildcard = false } = {}) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?' && singleCharWildcard) {
+      source += '.';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse a match pattern into its scheme, host and path parts.
+ * Throws an Error describing the problem if the pattern is invalid.
+ */
+export function parseMatchPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new Error('Match pattern must be a non-empty string');
+  }
+
+  if (pattern === ALL_URLS) {
+    return { schemes: ALL_URLS_SCHEMES, host: '*', port: null, path: '/*', allUrls: true };
+  }
+
+  const urn = URN_SHAPE.exec(pattern);
+  if (urn) {
+    return { schemes: ['urn'], host: null, port: null, path: urn[1], allUrls: false };
+  }
+
+  const match = PATTERN_SHAPE.exec(pattern);
+  if (!match) {
+    throw new Error(`Invalid match pattern "${pattern}": expected <scheme>://<host><path>`);
+  }
+
+  const [, scheme, hostPart, path] = match;
+
+  if (scheme !== '*' && !VALID_SCHEMES.includes(scheme)) {
+    throw new Error(`Invalid match pattern "${pattern}": unsupported scheme "${scheme}"`);
+  }
+
+  if (scheme === 'file') {
+    if (hostPart !== '') {
+      throw new Error(`Invalid match pattern "${pattern}": file patterns cannot have a host`);
+    }
+    return { schemes: ['file'], host: '', port: null, path, allUrls: false };
+  }
+
+  if (hostPart === '') {
+    throw new Error(`Invalid match pattern "${pattern}": missing host`);
+  }
+
+  const portMatch = /^(.*?)(?::(\d+|\*))?$/.exec(hostPart);
+  const host = portMatch[1];
+  const port = portMatch[2] ?? null;
+
+  if (host !== '*' && (host.slice(host.startsWith('*.') ? 2 : 0).includes('*'))) {
+    throw new Error(`Invalid match pattern "${pattern}": "*" in the host must be "*" or a leading "*."`);
+  }
+
+  return {
+    schemes: scheme === '*' ? WILDCARD_SCHEMES : [scheme],
+    host: host.toLowerCase(),
+    port,
+    path,
+    allUrls: false
+  };
+}
+
+/**
+ * Check whether a match pattern is valid. Returns an error message or null.
+ */
+export function getMatchPatternError(pattern) {
+  try {
+    parseMatchPattern(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function matchesHost(hostPattern, hostname) {
+  if (hostPattern === '*') return true;
+  if (hostPattern.startsWith('*.')) {
+    const domain = hostPattern.slice(2);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === hostPattern;
+}
+
+function compileMatchPattern(pattern) {
+  if (compiledPatterns.has(pattern)) {
+    return compiledPatterns.get(pattern);
+  }
+
+  const parsed = parseMatchPattern(pattern);
+  const pathRegExp = globToRegExp(parsed.path);
+
+  const matcher = (url) => {
+    const scheme = url.protocol.slice(0, -1);
+    if (!parsed.schemes.includes(scheme)) return false;
+
+    if (scheme === 'urn') {
+      return pathRegExp.test(url.pathname);
+    }
+
+    if (scheme !== 'file') {
+      if (!matchesHost(parsed.host, url.hostname.toLowerCase())) return false;
+      if (parsed.port !== null && parsed.port !== '*' && (url.port || DEFAULT_PORTS[scheme]) !== parsed.port) {
+        return false;
+      }
+    }
+
+    // Match patterns apply to the path and query string, never the fragment
+    return pathRegExp.test(`${url.pathname}${url.search}`);
+  };
+
+  compiledPatterns.set(pattern, matcher);
+  return matcher;
+}
+
+function toURL(url) {
+  if (url instanceof URL) return url;
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a URL matches a match pattern. Invalid patterns never match.
+ */
+export function matchesPattern(pattern, url) {
+  const parsedUrl = toURL(url);
+  if (!parsedUrl) return false;
+
+  try {
+    return compileMatchPattern(pattern)(parsedUrl);
+  } catch {
+    return false;
+  }
+}
+
+function hostsOverlap(a, b) {
+  if (a === '*' || b === '*') return true;
+
+  const baseA = a.startsWith('*.') ? a.slice(2) : a;
+  const baseB = b.startsWith('*.') ? b.slice(2) : b;
+  return matchesHost(a, baseB) || matchesHost(b, baseA);
+}
+
+/**
+ * Check whether two match patterns can match the same URL, such as a
+ * wildcard-scheme pattern and an https one for the same host. Paths are
+ * assumed to overlap, as they do for host permissions. Invalid patterns
+ * never overlap.
+ */
+export function patternsOverlap(a, b) {
+  let first;
+  let second;
+  try {
+    first = parseMatchPattern(a);
+    second = parseMatchPattern(b);
+  } catch {
+    return false;
+  }
+
+  if (!first.schemes.some(scheme => second.schemes.includes(scheme))) return false;
+  if (first.host === null || second.host === null) return true;
+
+  const portsOverlap = [first.port, second.port].some(port => port === null || port === '*') ||
+    first.port === second.port;
+  return portsOverlap && hostsOverlap(first.host, second.host);
+}
+
+/**
+ * Check whether a URL matches a glob (`*` any characters, `?` one character)
+ */
+export function matchesGlob(glob, url) {
+  return globToRegExp(glob, { singleCharWildcard: true }).test(String(url));
+}
+
+/**
+ * Decide whether content should be injected into a URL, following Chrome's
+ * content_scripts rules: the URL must match one of `matches` and none of
+ * `excludeMatches`, match one of `includeGlobs` when any are given, and
+ * match none of `excludeGlobs`.
+ * Returns { matches, reason, pattern } describing the decision.
+ */
+export function evaluateUrlRules(rules, url) {
+  const {
+    matches = [],
+    excludeMatches = [],
+    includeGlobs = [],
+    excludeGlobs = []
+  } = rules;
+
+  const parsedUrl = toURL(url);
+  if (!parsedUrl) {
+    return { matches: false, reason: 'invalid-url', pattern: null };
+  }
+
+  const matched = matches.find(pattern => matchesPattern(pattern, parsedUrl));
+  if (!matched) {
+    return { matches: false, reason: 'no-match', pattern: null };
+  }
+
+  const excluded = excludeMatches.find(pattern => matchesPattern(pattern, parsedUrl));
+  if (excluded) {
+    return { matches: false, reason: 'excluded', pattern: excluded };
+  }
+
+  if (includeGlobs.length > 0 && !includeGlobs.some(glob => matchesGlob(glob, parsedUrl.href))) {
+    return { matches: false, reason: 'not-included', pattern: null };
+  }
+
+  const excludedGlob = excludeGlobs.find(glob => matchesGlob(glob, parsedUrl.href));
+  if (excludedGlob) {
+    return { matches: false, reason: 'excluded', pattern: excludedGlob };
+  }
+
+  return { matches: true, reason: 'matched', pattern: matched };
+}
@@ -5,18 +5,46 @@
 
 import { getMessage } from '@extend-chrome/messages';
 
-// Core extension messages
-export const [sendGetActiveTab, getActiveTabStream, waitForGetActiveTab] = getMessage('GET_ACTIVE_TAB');
-export const [sendGetRumSessionData, getRumSessionDataStream, waitForGetRumSessionData] = getMessage('GET_RUM_SESSION_DATA');
-export const [sendGetApmTraces, getApmTracesStream, waitForGetApmTraces] = getMessage('GET_APM_TRACES');
-export const [sendClearApmTraces, clearApmTracesStream, waitForClearApmTraces] = getMessage('CLEAR_APM_TRACES');
+// Core extension messages. Messages the sender awaits a response for are async.
+export const [sendGetActiveTab, getActiveTabStream, waitForGetActiveTab] = getMessage('GET_ACTIVE_TAB', { async: true });
+export const [sendGetRumSessionData, getRumSessionDataStream, waitForGetRumSessionData] = getMessage('GET_RUM_SESSION_DATA', { async: true });
+export const [sendGetApmTraces, getApmTracesStream, waitForGetApmTraces] = getMessage('GET_APM_TRACES', { async: true });
+export const [sendClearApmTraces, clearApmTracesStream, waitForClearApmTraces] = getMessage('CLEAR_APM_TRACES', { async: true });
 
 // Content script messages
-export const [sendInjectScript, injectScriptStream, waitForInjectScript] = getMessage('INJECT_SCRIPT');
+export const [sendInjectScript, injectScriptStream, waitForInjectScript] = getMessage('INJECT_SCRIPT', { async: true });
 
 // Notification messages
 export const [sendNotificationButtonClicked, notificationButtonClickedStream, waitForNotificationButtonClicked] = getMessage('NOTIFICATION_BUTTON_CLICKED');
 
+/**
+ * Wrap a message stream for the background. subscribe(handler) calls the
+ * handler with [payload, sender] and, for async messages, responds with
+ * what it returns, or { success: false, error } if it throws.
+ */
+function handledStream(stream) {
+  return {
+    subscribe: (handler) => stream.subscribe(([payload, sender, respond]) => {
+      Promise.resolve()
+        .then(() => handler([payload, sender]))
+        .then(response => respond?.(response))
+        .catch(error => respond?.({ success: false, error: error.message }));
+    })
+  };
+}
+
+/**
+ * Message streams handled by the background service worker
+ */
+export const messageStreams = {
+  getActiveTab: handledStream(getActiveTabStream),
+  getRumSessionData: handledStream(getRumSessionDataStream),
+  getApmTraces: handledStream(getApmTracesStream),
+  clearApmTraces: handledStream(clearApmTracesStream),
+  injectScript: handledStream(injectScriptStream),
+  notificationButtonClicked: handledStream(notificationButtonClickedStream)
+};
+
 /**
  * Generic sendMessage function for backward compatibility
  * Maps message types to their corresponding @extend-chrome/messages functions
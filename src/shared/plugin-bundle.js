@@ -0,0 +1,157 @@
+/**
+ * Plugin Bundle Reader
+ * Reads a plugin shared as a local file so it can be imported on the Plugins
+ * page. Two formats are accepted:
+ * - .json: { manifest, modules: { background, content } } with module sources as strings
+ * - .zip:  manifest.json plus background.js / content.js, optionally inside one top-level folder
+ */
+
+import { PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+
+// Bundles live in chrome.storage.local, so keep them small
+export const MAX_BUNDLE_SIZE = 1024 * 1024;
+
+const BUNDLE_MODULE_FILES = {
+  [PLUGIN_CONTEXTS.BACKGROUND]: 'background.js',
+  [PLUGIN_CONTEXTS.CONTENT]: 'content.js'
+};
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * @typedef {Object} PluginBundle
+ * @property {Object} manifest - Plugin manifest, same format as plugins/<id>/manifest.json
+ * @property {Object<string, string>} modules - Module source by context (background, content)
+ */
+
+/**
+ * Read a bundle from a File chosen by the user
+ * @returns {Promise<PluginBundle>}
+ */
+export async function readPluginBundle(file) {
+  if (file.size > MAX_BUNDLE_SIZE) {
+    throw new Error(`Bundle is ${Math.round(file.size / 1024)} KB, the limit is ${MAX_BUNDLE_SIZE / 1024} KB`);
+  }
+
+  const buffer = await file.arrayBuffer();
+  const isZip = buffer.byteLength >= 4 &&
+    new DataView(buffer).getUint32(0, true) === ZIP_LOCAL_FILE_HEADER;
+
+  return isZip ? readZipBundle(buffer) : readJsonBundle(buffer);
+}
+
+function readJsonBundle(buffer) {
+  let bundle;
+  try {
+    bundle = JSON.parse(new TextDecoder().decode(buffer));
+  } catch (error) {
+    throw new Error(`Bundle is neither a zip file nor valid JSON: ${error.message}`);
+  }
+
+  if (!bundle?.manifest || typeof bundle.manifest !== 'object') {
+    throw new Error('JSON bundle must have a "manifest" object');
+  }
+
+  const modules = {};
+  for (const context of Object.keys(BUNDLE_MODULE_FILES)) {
+    const source = bundle.modules?.[context];
+    if (source === undefined) continue;
+    if (typeof source !== 'string') {
+      throw new Error(`modules.${context} must be the module source as a string`);
+    }
+    modules[context] = source;
+  }
+
+  return { manifest: bundle.manifest, modules };
+}
+
+async function readZipBundle(buffer) {
+  const files = await readZipEntries(buffer);
+
+  // Allow the plugin folder itself to be zipped, e.g. my-plugin/manifest.json
+  const manifestPath = Object.keys(files).find(path => /^([^/]+\/)?manifest\.json$/.test(path));
+  if (!manifestPath) {
+    throw new Error('Zip bundle has no manifest.json');
+  }
+  const prefix = manifestPath.slice(0, -'manifest.json'.length);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files[manifestPath]);
+  } catch (error) {
+    throw new Error(`manifest.json is not valid JSON: ${error.message}`);
+  }
+
+  const modules = {};
+  for (const [context, file] of Object.entries(BUNDLE_MODULE_FILES)) {
+    if (files[prefix + file] !== undefined) {
+      modules[context] = files[prefix + file];
+    }
+  }
+
+  return { manifest, modules };
+}
+
+/**
+ * Extract the text files in a zip archive, keyed by path. Only stored and
+ * deflated entries are supported, which covers archives made by common tools.
+ */
+async function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+
+  // The end of central directory record sits in the last 64 KB (+22 bytes)
+  let endOffset = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset--) {
+    if (view.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Zip bundle is corrupt: no central directory');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let index = 0; index < entryCount; index++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Zip bundle is corrupt: bad central directory entry');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    // Skip folders and files the bundle format doesn't use
+    if (path.endsWith('/') || !/\.(json|js)$/.test(path)) continue;
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+    if (method === ZIP_STORED) {
+      files[path] = decoder.decode(data);
+    } else if (method === ZIP_DEFLATED) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[path] = await new Response(stream).text();
+    } else {
+      throw new Error(`Zip entry ${path} uses unsupported compression method ${method}`);
+    }
+  }
+
+  return files;
+}
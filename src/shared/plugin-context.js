@@ -0,0 +1,201 @@
+/**
+ * Plugin Context
+ * Capability-scoped API handed to a plugin's initialize(settings, context).
+ * Only the Chrome APIs backed by a permission the manifest declares (and the
+ * context allows, see CONTEXT_PERMISSIONS) are exposed; using any other
+ * capability throws. Every call is logged and counted for auditing.
+ */
+
+import { pluginLoaderV2, PLUGIN_CONTEXTS } from '@/shared/plugin-loader-v2';
+import { getPluginStorage } from '@/shared/storage';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginContext');
+
+/**
+ * Manifest permissions that unlock each capability. Messaging needs none.
+ */
+export const PLUGIN_CAPABILITIES = {
+  storage: ['storage'],
+  messaging: [],
+  notifications: ['notifications'],
+  tabs: ['tabs', 'activeTab'],
+  alarms: ['alarms']
+};
+
+export class PluginContext {
+  constructor(pluginId, context) {
+    this.pluginId = pluginId;
+    this.context = context;
+    this.permissions = pluginLoaderV2.getContextPermissions(pluginId, context);
+    this.usage = new Map();
+    this.capabilities = {};
+  }
+
+  /**
+   * Check whether the plugin may use a capability in this context
+   */
+  hasCapability(capability) {
+    const required = PLUGIN_CAPABILITIES[capability];
+    if (!required) return false;
+    return required.length === 0 || required.some(permission => this.permissions.includes(permission));
+  }
+
+  /**
+   * Get a capability's API, building it on first use. Throws when the
+   * manifest doesn't declare a permission that unlocks it.
+   */
+  requireCapability(capability) {
+    if (!this.hasCapability(capability)) {
+      this.recordUsage(capability, null, true);
+      logger.warn(`Plugin ${this.pluginId} used undeclared capability "${capability}" in ${this.context}`);
+      throw new Error(
+        `Plugin ${this.pluginId} cannot use ${capability}: declare one of ` +
+        `[${PLUGIN_CAPABILITIES[capability]?.join(', ') || 'unknown capability'}] ` +
+        `in manifest.json permissions for the ${this.context} context`
+      );
+    }
+
+    if (!this.capabilities[capability]) {
+      this.capabilities[capability] = this.audited(capability, this.createCapability(capability));
+    }
+    return this.capabilities[capability];
+  }
+
+  get storage() {
+    return this.requireCapability('storage');
+  }
+
+  get messaging() {
+    return this.requireCapability('messaging');
+  }
+
+  get notifications() {
+    return this.requireCapability('notifications');
+  }
+
+  get tabs() {
+    return this.requireCapability('tabs');
+  }
+
+  get alarms() {
+    return this.requireCapability('alarms');
+  }
+
+  /**
+   * Build the raw API object for a capability
+   */
+  createCapability(capability) {
+    const { pluginId } = this;
+    const namespaced = (name) => `${pluginId}:${name}`;
+    const isOwnName = (name) => name.startsWith(`${pluginId}:`);
+    const localName = (name) => name.slice(pluginId.length + 1);
+
+    switch (capability) {
+      case 'storage': {
+        const bucket = getPluginStorage(pluginId);
+        return {
+          get: (getter) => bucket.get(getter),
+          set: (setter) => bucket.set(setter),
+          remove: (keys) => bucket.remove(keys),
+          clear: () => bucket.clear(),
+          keys: () => bucket.keys()
+        };
+      }
+
+      case 'messaging':
+        return {
+          // Message this plugin's module in another extension context
+          send: (context, action, payload) => chrome.runtime.sendMessage({
+            type: 'PLUGIN_MESSAGE',
+            pluginId,
+            context,
+            action,
+            payload
+          }),
+          // Message this plugin's content module in a tab
+          sendToTab: (tabId, action, payload) => chrome.tabs.sendMessage(tabId, {
+            type: 'PLUGIN_MESSAGE',
+            pluginId,
+            context: PLUGIN_CONTEXTS.CONTENT,
+            action,
+            payload
+          })
+        };
+
+      case 'notifications':
+        return {
+          create: (name, options) => chrome.notifications.create(namespaced(name), {
+            type: 'basic',
+            iconUrl: '/icons/icon48.png',
+            ...options
+          }),
+          clear: (name) => chrome.notifications.clear(namespaced(name))
+        };
+
+      case 'tabs':
+        return {
+          query: (queryInfo = {}) => chrome.tabs.query(queryInfo),
+          get: (tabId) => chrome.tabs.get(tabId)
+        };
+
+      case 'alarms':
+        // Alarm names are namespaced so plugins only see and clear their own
+        return {
+          create: (name, alarmInfo) => chrome.alarms.create(namespaced(name), alarmInfo),
+          get: async (name) => chrome.alarms.get(namespaced(name)),
+          getAll: async () => {
+            const alarms = await chrome.alarms.getAll();
+            return alarms
+              .filter(alarm => isOwnName(alarm.name))
+              .map(alarm => ({ ...alarm, name: localName(alarm.name) }));
+          },
+          clear: (name) => chrome.alarms.clear(namespaced(name)),
+          clearAll: async () => {
+            const alarms = await chrome.alarms.getAll();
+            const own = alarms.filter(alarm => isOwnName(alarm.name));
+            await Promise.all(own.map(alarm => chrome.alarms.clear(alarm.name)));
+            return own.length > 0;
+          }
+        };
+
+      default:
+        throw new Error(`Unknown capability: ${capability}`);
+    }
+  }
+
+  /**
+   * Wrap each method of a capability so calls are recorded
+   */
+  audited(capability, api) {
+    return Object.fromEntries(
+      Object.entries(api).map(([method, fn]) => [method, (...args) => {
+        this.recordUsage(capability, method, false);
+        logger.debug('CAPABILITY', 'USED', { pluginId: this.pluginId, capability, method });
+        return fn(...args);
+      }])
+    );
+  }
+
+  recordUsage(capability, method, denied) {
+    const key = method ? `${capability}.${method}` : capability;
+    const entry = this.usage.get(key) || { capability, method, denied, count: 0, lastUsedAt: null };
+    entry.count++;
+    entry.lastUsedAt = Date.now();
+    this.usage.set(key, entry);
+  }
+
+  /**
+   * Get recorded capability usage, including denied attempts
+   */
+  getUsage() {
+    return Array.from(this.usage.values());
+  }
+}
+
+/**
+ * Create the capability-scoped API for a plugin in a context
+ */
+export function createPluginContext(pluginId, context) {
+  return new PluginContext(pluginId, context);
+}
@@ -0,0 +1,91 @@
+/**
+ * Plugin Lifecycle State
+ * Shared view of the runtime state of each plugin, written by the background
+ * lifecycle controller and read by the options UI
+ */
+
+import { getSessionValue, updateSessionValue, onSessionValueChanged } from '@/shared/session-storage';
+
+const LIFECYCLE_STATE_KEY = 'pluginLifecycleStates';
+
+/**
+ * Message the options page sends to restart a failed or crashed plugin
+ */
+export const RESTART_PLUGIN_MESSAGE = 'RESTART_PLUGIN';
+
+/**
+ * Runtime lifecycle states
+ */
+export const PLUGIN_LIFECYCLE_STATES = {
+  LOADING: 'loading',
+  ACTIVE: 'active',
+  FAILED: 'failed',
+  DISABLED: 'disabled',
+  AWAITING_CONSENT: 'awaiting-consent',
+  CRASHED: 'crashed'
+};
+
+/**
+ * Get lifecycle state for all plugins, keyed by plugin ID
+ */
+export async function getPluginLifecycleStates() {
+  return getSessionValue(LIFECYCLE_STATE_KEY, {});
+}
+
+/**
+ * Record the lifecycle state of a plugin, with the error and stack trace
+ * that stopped it
+ */
+export async function setPluginLifecycleState(pluginId, state, error = null, stack = null) {
+  await updateSessionValue(LIFECYCLE_STATE_KEY, (states) => ({
+    ...states,
+    [pluginId]: {
+      state,
+      error,
+      stack,
+      updatedAt: Date.now()
+    }
+  }), {});
+}
+
+/**
+ * Ask the background to restart a failed or crashed plugin
+ */
+export async function requestPluginRestart(pluginId) {
+  return chrome.runtime.sendMessage({ type: RESTART_PLUGIN_MESSAGE, pluginId });
+}
+
+/**
+ * Subscribe to lifecycle state changes. Returns an unsubscribe function.
+ */
+export function onPluginLifecycleStatesChange(callback) {
+  return onSessionValueChanged(LIFECYCLE_STATE_KEY, (states) => callback(states || {}));
+}
+
+/**
+ * Wait until the background records `state` for a plugin at or after
+ * `since`. Resolves with whether it did within `timeout` milliseconds.
+ */
+export function waitForPluginLifecycleState(pluginId, state, { since = Date.now(), timeout = 10000 } = {}) {
+  const reached = (states) => states[pluginId]?.state === state && states[pluginId].updatedAt >= since;
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => finish(false), timeout);
+    const unsubscribe = onPluginLifecycleStatesChange((states) => {
+      if (reached(states)) finish(true);
+    });
+
+    // The state may have been recorded before the listener was added
+    getPluginLifecycleStates()
+      .then((states) => {
+        if (reached(states)) finish(true);
+      })
+      .catch(() => {});
+  });
+}
@@ -4,6 +4,17 @@
  */
 
 import { createLogger } from '@/shared/logger';
+import {
+  getPlugins,
+  getPluginSettings,
+  onPluginsChanged,
+  getExternalPlugins,
+  onExternalPluginsChanged
+} from '@/shared/storage';
+import { resolvePluginSettings, validateSettingValue } from '@/shared/plugin-settings';
+import { isValidRange, satisfiesRange } from '@/shared/semver';
+import { evaluateUrlRules, getMatchPatternError, patternsOverlap } from '@/shared/match-patterns';
+import { getMigrationErrors } from '@/shared/plugin-migrations';
 
 const logger = createLogger('PluginLoaderV2');
 
@@ -16,6 +27,20 @@ export const PLUGIN_CONTEXTS = {
   CONTENT: 'content'
 };
 
+/**
+ * How a plugin's content module gets into pages
+ * - dynamic: injected with scripting.executeScript once a matching tab finishes loading
+ * - registered: registered with scripting.registerContentScripts so Chrome
+ *   injects it as the page loads, at the manifest's runAt
+ */
+export const CONTENT_INJECTION_MODES = {
+  DYNAMIC: 'dynamic',
+  REGISTERED: 'registered'
+};
+
+const CONTENT_RUN_AT = ['document_start', 'document_end', 'document_idle'];
+const CONTENT_WORLDS = ['ISOLATED', 'MAIN'];
+
 /**
  * Context-specific permission mappings
  */
@@ -32,104 +57,943 @@ const CONTEXT_PERMISSIONS = {
   ]
 };
 
-class PluginLoaderV2 {
-  constructor() {
-    this.plugins = new Map();
-    this.manifests = new Map();
-    this.contextManagers = new Map();
-    this.initialized = false;
+/**
+ * Background module event handlers a manifest can declare in `events`, with
+ * the permission each one needs
+ */
+export const PLUGIN_EVENT_PERMISSIONS = {
+  onTabUpdated: 'tabs',
+  onTabCreated: 'tabs',
+  onBeforeRequest: 'webRequest',
+  onCompleted: 'webRequest',
+  onAlarm: 'alarms'
+};
+
+/**
+ * Reasons a discovered plugin can be rejected
+ */
+export const PLUGIN_REJECTION_REASONS = {
+  INVALID_MANIFEST: 'invalid-manifest',
+  INVALID_PERMISSIONS: 'invalid-permissions',
+  DUPLICATE_ID: 'duplicate-id',
+  MISSING_MODULE: 'missing-module',
+  MISSING_DEPENDENCY: 'missing-dependency',
+  DEPENDENCY_CYCLE: 'dependency-cycle'
+};
+
+/**
+ * Module file each context loads from the plugin directory
+ */
+const CONTEXT_MODULE_FILES = {
+  [PLUGIN_CONTEXTS.BACKGROUND]: 'background.js',
+  [PLUGIN_CONTEXTS.CONTENT]: 'content.js',
+  [PLUGIN_CONTEXTS.OPTIONS]: 'index.js'
+};
+
+/**
+ * Contexts an imported plugin bundle can provide modules for. Imported
+ * plugins have no options module; their settings UI comes from configSchema.
+ */
+export const EXTERNAL_PLUGIN_CONTEXTS = [PLUGIN_CONTEXTS.BACKGROUND, PLUGIN_CONTEXTS.CONTENT];
+
+/**
+ * JSON-Schema property types supported in configSchema
+ */
+const SUPPORTED_SETTING_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/**
+ * Legacy `settings` field types and their JSON-Schema equivalents
+ */
+const LEGACY_SETTING_TYPES = {
+  string: 'string',
+  number: 'number',
+  integer: 'integer',
+  boolean: 'boolean',
+  select: 'string',
+  array: 'array'
+};
+
+/**
+ * Convert a legacy flat `settings` map (label/min/max/options) into a
+ * JSON-Schema configSchema. Returns the schema and any conversion errors.
+ */
+export function convertLegacySettings(settings) {
+  const configSchema = { type: 'object', properties: {}, required: [] };
+  const errors = [];
+
+  for (const [key, setting] of Object.entries(settings || {})) {
+    const type = LEGACY_SETTING_TYPES[setting?.type];
+    if (!type) {
+      errors.push(`Setting "${key}" has unsupported type: ${setting?.type}`);
+      continue;
+    }
+
+    const property = {
+      type,
+      title: setting.title ?? setting.label ?? key,
+      description: setting.description,
+      default: setting.default,
+      placeholder: setting.placeholder,
+      minimum: setting.minimum ?? setting.min,
+      maximum: setting.maximum ?? setting.max,
+      minLength: setting.minLength,
+      maxLength: setting.maxLength,
+      pattern: setting.pattern,
+      items: setting.items,
+      enum: setting.enum,
+      enumNames: setting.enumNames
+    };
+
+    if (Array.isArray(setting.options)) {
+      property.enum = setting.options.map(option => (
+        typeof option === 'object' ? option.value : option
+      ));
+      property.enumNames = setting.options.map(option => (
+        typeof option === 'object' ? option.label ?? option.value : option
+      ));
+    }
+
+    // Drop fields the legacy setting didn't define
+    Object.keys(property).forEach(field => {
+      if (property[field] === undefined) delete property[field];
+    });
+
+    configSchema.properties[key] = property;
+
+    if (setting.required === true) {
+      configSchema.required.push(key);
+    }
+  }
+
+  return { configSchema, errors };
+}
+
+class PluginLoaderV2 {
+  constructor() {
+    this.plugins = new Map();
+    this.manifests = new Map();
+    this.rejectedPlugins = new Map();
+    this.loadOrder = [];
+    this.moduleFiles = null;
+    this.contextManagers = new Map();
+    this.enabledState = new Map();
+    this.enabledListeners = new Set();
+    this.bundleListeners = new Set();
+    this.unwatchEnabledState = null;
+    this.externalBundles = new Map();
+    this.externalModuleHost = null;
+    this.externalReload = Promise.resolve();
+    this.unwatchExternalPlugins = null;
+    this.initialized = false;
+    this.initializing = null;
+  }
+
+  /**
+   * Initialize the plugin loader
+   */
+  async initialize() {
+    if (this.initialized) return;
+    if (!this.initializing) {
+      this.initializing = this.performInitialize().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  async performInitialize() {
+    try {
+      logger.info('Initializing Plugin Loader V2');
+      await this.discoverPlugins();
+      await this.registerExternalPlugins();
+      await this.validatePlugins();
+      this.resolveDependencies();
+      await this.loadEnabledState();
+      this.watchEnabledState();
+      this.watchExternalPlugins();
+      this.initialized = true;
+      logger.info(`Loaded ${this.manifests.size} plugins`);
+    } catch (error) {
+      logger.error('Failed to initialize plugin loader:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discover all plugins by scanning directories and loading manifests
+   */
+  async discoverPlugins() {
+    try {
+      // Use webpack's require.context to discover plugins
+      const requireContext = require.context('../plugins', true, /manifest\.json$/);
+      this.moduleFiles = this.discoverModuleFiles();
+
+      const candidates = [];
+      for (const manifestPath of requireContext.keys()) {
+        try {
+          candidates.push({
+            pluginId: this.extractPluginIdFromPath(manifestPath),
+            manifest: requireContext(manifestPath),
+            manifestPath
+          });
+        } catch (error) {
+          logger.error(`Failed to load manifest: ${manifestPath}`, error);
+        }
+      }
+
+      for (const candidate of this.reconcilePluginIds(candidates)) {
+        if (this.registerManifest(candidate.manifest, candidate.pluginId, candidate.manifestPath)) {
+          logger.debug(`Discovered plugin: ${candidate.pluginId}`);
+        }
+      }
+    } catch (error) {
+      logger.error('Plugin discovery failed:', error);
+      // Fallback to manual plugin imports if require.context fails
+      await this.fallbackPluginDiscovery();
+    }
+  }
+
+  /**
+   * Read the bundled plugin manifests as they are, without validating them.
+   * Unlike discovery this is synchronous, for listeners the service worker
+   * has to add at startup.
+   */
+  readBundledManifests() {
+    try {
+      const requireContext = require.context('../plugins', true, /manifest\.json$/);
+      return requireContext.keys().map(manifestPath => requireContext(manifestPath));
+    } catch (error) {
+      logger.warn('Could not read bundled plugin manifests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * List the context module files present in each plugin directory, without
+   * bundling them. Returns null if the listing isn't available.
+   */
+  discoverModuleFiles() {
+    try {
+      const moduleContext = require.context('../plugins', true, /^\.\/[^/]+\/[^/]+\.js$/, 'weak');
+      return new Set(moduleContext.keys());
+    } catch (error) {
+      logger.warn('Could not list plugin modules:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reconcile each manifest's declared `id` with its directory name. The
+   * directory name is the plugin ID; a declared ID that differs is ignored
+   * unless another plugin already owns it, in which case the claimant is
+   * quarantined. Returns the candidates that are safe to register.
+   */
+  reconcilePluginIds(candidates) {
+    const claims = new Map();
+
+    for (const candidate of candidates) {
+      const ids = new Set([candidate.pluginId, candidate.manifest.id || candidate.pluginId]);
+      for (const id of ids) {
+        claims.set(id, [...(claims.get(id) || []), candidate]);
+      }
+    }
+
+    return candidates.filter(candidate => {
+      const { pluginId, manifest, manifestPath } = candidate;
+      const declaredId = manifest.id || pluginId;
+
+      if (declaredId === pluginId) return true;
+
+      const owners = (claims.get(declaredId) || []).filter(other => other !== candidate);
+      if (owners.length > 0) {
+        this.rejectPlugin(
+          pluginId,
+          PLUGIN_REJECTION_REASONS.DUPLICATE_ID,
+          [`Declares id "${declaredId}", which is already used by: ${owners.map(other => `plugins/${other.pluginId}`).join(', ')}`],
+          manifestPath
+        );
+        return false;
+      }
+
+      logger.warn(`Plugin in plugins/${pluginId} declares id "${declaredId}", using directory name instead`);
+      return true;
+    });
+  }
+
+  /**
+   * Extract plugin ID from manifest path
+   */
+  extractPluginIdFromPath(manifestPath) {
+    // Path format: "./plugin-id/manifest.json"
+    const matches = manifestPath.match(/\.\/(.+?)\/manifest\.json$/);
+    return matches ? matches[1] : null;
+  }
+
+  /**
+   * Normalize, validate and register a discovered manifest.
+   * Invalid manifests are recorded in rejectedPlugins instead.
+   */
+  registerManifest(rawManifest, pluginId, manifestPath) {
+    const { manifest, errors } = this.normalizeManifest(rawManifest, pluginId);
+    const validationErrors = [...errors, ...this.getManifestErrors(manifest, pluginId)];
+
+    if (validationErrors.length > 0) {
+      this.rejectPlugin(pluginId, PLUGIN_REJECTION_REASONS.INVALID_MANIFEST, validationErrors, manifestPath);
+      return false;
+    }
+
+    const missingModules = this.getMissingModules(manifest, pluginId);
+    if (missingModules.length > 0) {
+      this.rejectPlugin(
+        pluginId,
+        PLUGIN_REJECTION_REASONS.MISSING_MODULE,
+        missingModules.map(({ context, file }) => `Declares ${context} context but plugins/${pluginId}/${file} does not exist`),
+        manifestPath
+      );
+      return false;
+    }
+
+    this.manifests.set(pluginId, {
+      ...manifest,
+      id: pluginId,
+      _manifestPath: manifestPath
+    });
+
+    return true;
+  }
+
+  /**
+   * Register the plugin bundles imported on the Plugins page. Invalid
+   * bundles are recorded in rejectedPlugins like built-in plugins.
+   */
+  async registerExternalPlugins() {
+    let bundles = {};
+    try {
+      bundles = await getExternalPlugins();
+    } catch (error) {
+      logger.error('Failed to load imported plugins:', error);
+      return;
+    }
+
+    for (const [pluginId, bundle] of Object.entries(bundles)) {
+      const { manifest, errors } = this.checkExternalBundle(bundle, pluginId);
+      this.externalBundles.set(pluginId, bundle.modules || {});
+
+      if (errors.length > 0) {
+        this.rejectPlugin(pluginId, PLUGIN_REJECTION_REASONS.INVALID_MANIFEST, errors);
+        continue;
+      }
+
+      this.manifests.set(pluginId, {
+        ...manifest,
+        id: pluginId,
+        external: true,
+        importedAt: bundle.importedAt,
+        _manifestPath: null
+      });
+      logger.debug(`Registered imported plugin: ${pluginId}`);
+    }
+  }
+
+  /**
+   * Normalize a bundle's manifest and collect everything that keeps it from
+   * being registered, except context permissions (see validatePluginPermissions)
+   */
+  checkExternalBundle(bundle, pluginId = bundle?.manifest?.id) {
+    if (!bundle?.manifest || typeof bundle.manifest !== 'object') {
+      return { manifest: null, errors: ['Bundle has no manifest'] };
+    }
+
+    const { manifest, errors } = this.normalizeManifest(bundle.manifest, pluginId);
+
+    if (typeof pluginId !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pluginId)) {
+      errors.push('Manifest must declare an id made of lowercase letters, digits and dashes');
+    } else {
+      // Re-importing a bundle replaces it, but built-in plugins can't be shadowed
+      const builtIn = !this.externalBundles.has(pluginId) &&
+        (this.manifests.has(pluginId) || this.rejectedPlugins.has(pluginId));
+      if (builtIn) {
+        errors.push(`A built-in plugin already uses the id "${pluginId}"`);
+      }
+    }
+
+    errors.push(...this.getManifestErrors(manifest, pluginId));
+
+    if (manifest.core) {
+      errors.push('Imported plugins cannot be core plugins');
+    }
+    if (manifest.mainWorldModule !== undefined) {
+      errors.push('mainWorldModule is not supported for imported plugins');
+    }
+    if (manifest.injectionMode === CONTENT_INJECTION_MODES.REGISTERED) {
+      errors.push('injectionMode "registered" is not supported for imported plugins');
+    }
+
+    for (const [context, enabled] of Object.entries(manifest.contexts || {})) {
+      if (!enabled) continue;
+
+      if (!EXTERNAL_PLUGIN_CONTEXTS.includes(context)) {
+        errors.push(`Imported plugins cannot declare the ${context} context`);
+      } else if (typeof bundle.modules?.[context] !== 'string' || !bundle.modules[context].trim()) {
+        errors.push(`Declares ${context} context but the bundle has no ${CONTEXT_MODULE_FILES[context]}`);
+      }
+    }
+
+    return { manifest, errors };
+  }
+
+  /**
+   * Validate a bundle before it is imported, with the same rules applied to
+   * built-in plugins. Returns a list of errors, empty when the bundle is valid.
+   */
+  async validateExternalBundle(bundle) {
+    const { manifest, errors } = this.checkExternalBundle(bundle);
+    if (!manifest) return errors;
+
+    try {
+      await this.validatePluginPermissions(manifest);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    errors.push(...this.getDependencyErrors(manifest));
+    return errors;
+  }
+
+  /**
+   * Re-register imported plugins after bundles were added or removed.
+   * Reloads run one at a time.
+   */
+  reloadExternalPlugins() {
+    this.externalReload = this.externalReload
+      .then(() => this.performExternalReload())
+      .catch(error => logger.error('Failed to reload imported plugins:', error));
+    return this.externalReload;
+  }
+
+  async performExternalReload() {
+    const previousBundles = new Map(this.externalBundles);
+    for (const pluginId of this.externalBundles.keys()) {
+      this.manifests.delete(pluginId);
+      this.rejectedPlugins.delete(pluginId);
+    }
+    this.externalBundles.clear();
+
+    await this.registerExternalPlugins();
+
+    for (const pluginId of this.externalBundles.keys()) {
+      const manifest = this.manifests.get(pluginId);
+      if (!manifest) continue;
+
+      try {
+        await this.validatePluginPermissions(manifest);
+      } catch (error) {
+        this.rejectPlugin(pluginId, PLUGIN_REJECTION_REASONS.INVALID_PERMISSIONS, [error.message]);
+      }
+    }
+
+    this.resolveDependencies();
+    await this.loadEnabledState();
+    logger.info(`Reloaded ${this.externalBundles.size} imported plugins`);
+
+    // Re-imported bundles replace the code of plugins that may be running
+    for (const [pluginId, bundle] of this.externalBundles) {
+      const previous = previousBundles.get(pluginId);
+      if (!previous || JSON.stringify(previous) === JSON.stringify(bundle)) continue;
+
+      logger.debug('BUNDLE_UPDATED', pluginId, {});
+      for (const listener of this.bundleListeners) {
+        try {
+          listener(pluginId);
+        } catch (error) {
+          logger.error(`Bundle update listener failed for ${pluginId}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Subscribe to imported plugins whose bundle was replaced. The listener is
+   * called with the plugin ID and the returned function unsubscribes it.
+   */
+  onExternalPluginUpdated(listener) {
+    this.bundleListeners.add(listener);
+    return () => this.bundleListeners.delete(listener);
+  }
+
+  /**
+   * Follow bundles imported or removed in any extension context
+   */
+  watchExternalPlugins() {
+    if (this.unwatchExternalPlugins) return;
+
+    this.unwatchExternalPlugins = onExternalPluginsChanged(() => {
+      this.reloadExternalPlugins();
+    });
+  }
+
+  /**
+   * Check whether a plugin was imported from a bundle
+   */
+  isExternalPlugin(pluginId) {
+    return Boolean(this.manifests.get(pluginId)?.external);
+  }
+
+  /**
+   * Get the module source an imported plugin provides for a context
+   */
+  getExternalModuleSource(pluginId, context) {
+    return this.externalBundles.get(pluginId)?.[context] || null;
+  }
+
+  /**
+   * Set the executor that runs imported plugins' background modules. The
+   * host's load(pluginId, context, source) resolves to a plugin module.
+   */
+  registerExternalModuleHost(host) {
+    this.externalModuleHost = host;
+  }
+
+  /**
+   * Get the context modules a manifest declares that are missing on disk
+   */
+  getMissingModules(manifest, pluginId) {
+    if (!this.moduleFiles) return [];
+
+    const modules = Object.entries(manifest.contexts || {})
+      .filter(([context, enabled]) => enabled && CONTEXT_MODULE_FILES[context])
+      .map(([context]) => ({ context, file: CONTEXT_MODULE_FILES[context] }));
+
+    if (manifest.mainWorldModule) {
+      modules.push({ context: 'MAIN world', file: manifest.mainWorldModule });
+    }
+
+    return modules.filter(({ file }) => !this.moduleFiles.has(`./${pluginId}/${file}`));
+  }
+
+  /**
+   * Upgrade older manifest formats to the normalized schema:
+   * legacy `settings` blocks become `configSchema`, `isCore` becomes `core`
+   */
+  normalizeManifest(rawManifest, pluginId) {
+    const { settings, isCore, ...manifest } = rawManifest;
+    const errors = [];
+
+    if (manifest.core === undefined && isCore !== undefined) {
+      manifest.core = isCore;
+    }
+
+    if (settings) {
+      if (manifest.configSchema) {
+        logger.warn(`Plugin ${pluginId} declares both settings and configSchema, ignoring settings`);
+      } else {
+        const converted = convertLegacySettings(settings);
+        manifest.configSchema = converted.configSchema;
+        errors.push(...converted.errors);
+        logger.debug('MANIFEST', `Converted legacy settings for ${pluginId}`);
+      }
+    }
+
+    return { manifest, errors };
+  }
+
+  /**
+   * Collect validation errors for a normalized manifest
+   */
+  getManifestErrors(manifest, pluginId) {
+    const errors = [];
+
+    const required = ['name', 'description', 'version'];
+    const missing = required.filter(field => !manifest[field]);
+    if (missing.length > 0) {
+      errors.push(`Missing required fields: ${missing.join(', ')}`);
+    }
+
+    // Validate contexts
+    if (manifest.contexts) {
+      const validContexts = Object.values(PLUGIN_CONTEXTS);
+      const invalidContexts = Object.keys(manifest.contexts).filter(
+        ctx => !validContexts.includes(ctx)
+      );
+
+      if (invalidContexts.length > 0) {
+        errors.push(`Invalid contexts: ${invalidContexts.join(', ')}`);
+      }
+    }
+
+    if (manifest.configSchema) {
+      errors.push(...this.getConfigSchemaErrors(manifest.configSchema));
+    }
+
+    errors.push(...this.getDependencyDeclarationErrors(manifest, pluginId));
+    errors.push(...this.getEventErrors(manifest));
+    errors.push(...this.getUrlRuleErrors(manifest));
+    errors.push(...this.getContentInjectionErrors(manifest));
+    errors.push(...this.getPermissionRationaleErrors(manifest));
+    errors.push(...getMigrationErrors(manifest));
+
+    if (errors.length > 0) {
+      logger.error(`Plugin ${pluginId} has an invalid manifest:`, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect validation errors for a configSchema
+   */
+  getConfigSchemaErrors(configSchema) {
+    const errors = [];
+
+    if (configSchema.type !== 'object' || typeof configSchema.properties !== 'object') {
+      return ['configSchema must be an object schema with properties'];
+    }
+
+    for (const [key, property] of Object.entries(configSchema.properties)) {
+      if (!SUPPORTED_SETTING_TYPES.includes(property.type)) {
+        errors.push(`Setting "${key}" has unsupported type: ${property.type}`);
+        continue;
+      }
+
+      if (property.default !== undefined) {
+        const error = validateSettingValue(property, property.default, { label: `Default for "${key}"` });
+        if (error) {
+          errors.push(`Setting "${key}": ${error}`);
+        }
+      }
+    }
+
+    const unknownRequired = (configSchema.required || [])
+      .filter(key => !configSchema.properties[key]);
+    if (unknownRequired.length > 0) {
+      errors.push(`Required settings not defined in configSchema: ${unknownRequired.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect errors in a manifest's dependencies/optionalDependencies maps
+   */
+  getDependencyDeclarationErrors(manifest, pluginId) {
+    const errors = [];
+
+    for (const field of ['dependencies', 'optionalDependencies']) {
+      const declared = manifest[field];
+      if (declared === undefined) continue;
+
+      if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+        errors.push(`${field} must map plugin IDs to version ranges`);
+        continue;
+      }
+
+      for (const [dependencyId, range] of Object.entries(declared)) {
+        if (dependencyId === pluginId) {
+          errors.push('Plugin cannot depend on itself');
+        } else if (!isValidRange(range)) {
+          errors.push(`Invalid version range for ${dependencyId}: ${range}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect errors in a manifest's events list and requestBody flag
+   */
+  getEventErrors(manifest) {
+    const { events, requestBody } = manifest;
+    const errors = [];
+
+    if (events !== undefined) {
+      if (!Array.isArray(events)) {
+        return ['events must be a list of event handler names'];
+      }
+
+      for (const event of events) {
+        const permission = PLUGIN_EVENT_PERMISSIONS[event];
+        if (!permission) {
+          errors.push(`Unknown event: ${event}`);
+        } else if (!manifest.permissions?.includes(permission)) {
+          errors.push(`Event ${event} requires the ${permission} permission`);
+        }
+      }
+    }
+
+    if (requestBody !== undefined && typeof requestBody !== 'boolean') {
+      errors.push('requestBody must be true or false');
+    } else if (requestBody && !events?.includes('onBeforeRequest')) {
+      errors.push('requestBody requires the onBeforeRequest event');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect errors in a manifest's permissionRationale map
+   */
+  getPermissionRationaleErrors(manifest) {
+    const { permissionRationale } = manifest;
+    if (permissionRationale === undefined) return [];
+
+    if (!permissionRationale || typeof permissionRationale !== 'object' || Array.isArray(permissionRationale)) {
+      return ['permissionRationale must map permissions and origins to explanations'];
+    }
+
+    const requested = [...(manifest.permissions || []), ...(manifest.matches || [])];
+    const errors = [];
+
+    for (const [key, rationale] of Object.entries(permissionRationale)) {
+      if (!requested.includes(key)) {
+        errors.push(`permissionRationale explains ${key}, which the plugin doesn't request`);
+      } else if (typeof rationale !== 'string' || !rationale.trim()) {
+        errors.push(`permissionRationale for ${key} must be a non-empty string`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect errors in a manifest's URL match patterns and globs
+   */
+  getUrlRuleErrors(manifest) {
+    const errors = [];
+
+    for (const field of ['matches', 'excludeMatches', 'includeGlobs', 'excludeGlobs']) {
+      const values = manifest[field];
+      if (values === undefined) continue;
+
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        errors.push(`${field} must be an array of strings`);
+        continue;
+      }
+
+      if (field === 'matches' || field === 'excludeMatches') {
+        values.forEach(pattern => {
+          const error = getMatchPatternError(pattern);
+          if (error) errors.push(error);
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collect errors in a manifest's content injection fields
+   */
+  getContentInjectionErrors(manifest) {
+    const errors = [];
+    const { injectionMode, runAt, world } = manifest;
+
+    if (injectionMode !== undefined && !Object.values(CONTENT_INJECTION_MODES).includes(injectionMode)) {
+      errors.push(`Invalid injectionMode: ${injectionMode}`);
+    }
+    if (runAt !== undefined && !CONTENT_RUN_AT.includes(runAt)) {
+      errors.push(`Invalid runAt: ${runAt}`);
+    }
+    if (world !== undefined && !CONTENT_WORLDS.includes(world)) {
+      errors.push(`Invalid world: ${world}`);
+    }
+
+    if (manifest.mainWorldModule !== undefined) {
+      if (typeof manifest.mainWorldModule !== 'string' || !/^[\w-]+(\.[\w-]+)*\.js$/.test(manifest.mainWorldModule)) {
+        errors.push('mainWorldModule must be a .js file name in the plugin directory');
+      } else if (!manifest.contexts?.[PLUGIN_CONTEXTS.CONTENT]) {
+        errors.push('mainWorldModule requires the content context');
+      }
+    }
+
+    // registerContentScripts has no equivalent of include/exclude globs
+    if (injectionMode === CONTENT_INJECTION_MODES.REGISTERED && (manifest.includeGlobs || manifest.excludeGlobs)) {
+      errors.push('includeGlobs and excludeGlobs are not supported with injectionMode "registered"');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate manifest structure
+   */
+  isValidManifest(manifest, pluginId) {
+    return this.getManifestErrors(manifest, pluginId).length === 0;
   }
 
   /**
-   * Initialize the plugin loader
+   * Record a plugin that failed discovery or validation
    */
-  async initialize() {
-    if (this.initialized) return;
+  rejectPlugin(pluginId, reason, errors, manifestPath = null) {
+    this.manifests.delete(pluginId);
+    this.rejectedPlugins.set(pluginId, {
+      pluginId,
+      reason,
+      errors,
+      manifestPath
+    });
+    logger.warn(`Rejected plugin ${pluginId} (${reason})`);
+  }
 
-    try {
-      logger.info('Initializing Plugin Loader V2');
-      await this.discoverPlugins();
-      await this.validatePlugins();
-      this.initialized = true;
-      logger.info(`Loaded ${this.manifests.size} plugins`);
-    } catch (error) {
-      logger.error('Failed to initialize plugin loader:', error);
-      throw error;
-    }
+  /**
+   * Get plugins that were rejected during discovery or validation
+   */
+  getRejectedPlugins() {
+    return Array.from(this.rejectedPlugins.values());
   }
 
   /**
-   * Discover all plugins by scanning directories and loading manifests
+   * Reject plugins whose required dependencies are missing or incompatible,
+   * then compute the initialization order. Rejections cascade to dependents.
    */
-  async discoverPlugins() {
-    try {
-      // Use webpack's require.context to discover plugins
-      const requireContext = require.context('../plugins', true, /manifest\.json$/);
-      
-      for (const manifestPath of requireContext.keys()) {
-        try {
-          const manifest = requireContext(manifestPath);
-          const pluginId = this.extractPluginIdFromPath(manifestPath);
-          
-          // Validate basic manifest structure
-          if (!this.isValidManifest(manifest, pluginId)) {
-            logger.warn(`Invalid manifest for plugin: ${pluginId}`);
-            continue;
-          }
-
-          this.manifests.set(pluginId, {
-            ...manifest,
-            id: pluginId,
-            _manifestPath: manifestPath
-          });
+  resolveDependencies() {
+    let rejected = true;
 
-          logger.debug(`Discovered plugin: ${pluginId}`);
-        } catch (error) {
-          logger.error(`Failed to load manifest: ${manifestPath}`, error);
+    while (rejected) {
+      rejected = false;
+
+      for (const [pluginId, manifest] of this.manifests) {
+        const errors = this.getDependencyErrors(manifest);
+        if (errors.length > 0) {
+          this.rejectPlugin(pluginId, PLUGIN_REJECTION_REASONS.MISSING_DEPENDENCY, errors, manifest._manifestPath);
+          rejected = true;
         }
       }
-    } catch (error) {
-      logger.error('Plugin discovery failed:', error);
-      // Fallback to manual plugin imports if require.context fails
-      await this.fallbackPluginDiscovery();
     }
+
+    const { order, unresolved } = this.sortByDependencies(Array.from(this.manifests.keys()));
+
+    for (const pluginId of unresolved) {
+      const manifest = this.manifests.get(pluginId);
+      this.rejectPlugin(
+        pluginId,
+        PLUGIN_REJECTION_REASONS.DEPENDENCY_CYCLE,
+        [`Circular dependency between: ${unresolved.join(', ')}`],
+        manifest._manifestPath
+      );
+    }
+
+    this.loadOrder = order;
+    logger.debug('LOAD_ORDER', 'RESOLVED', { order });
   }
 
   /**
-   * Extract plugin ID from manifest path
+   * Check a plugin's required dependencies against the discovered plugins
    */
-  extractPluginIdFromPath(manifestPath) {
-    // Path format: "./plugin-id/manifest.json"
-    const matches = manifestPath.match(/\.\/(.+?)\/manifest\.json$/);
-    return matches ? matches[1] : null;
+  getDependencyErrors(manifest) {
+    const errors = [];
+
+    for (const [dependencyId, range] of Object.entries(manifest.dependencies || {})) {
+      const dependency = this.manifests.get(dependencyId);
+
+      if (!dependency) {
+        errors.push(`Missing dependency: ${dependencyId} ${range}`);
+      } else if (!satisfiesRange(dependency.version, range)) {
+        errors.push(`Requires ${dependencyId} ${range}, found ${dependency.version}`);
+      } else if (manifest.core && !dependency.core) {
+        errors.push(`Core plugins can only depend on core plugins, ${dependencyId} is not core`);
+      }
+    }
+
+    return errors;
   }
 
   /**
-   * Validate manifest structure
+   * Get IDs of a plugin's optional dependencies that are installed at a
+   * compatible version
    */
-  isValidManifest(manifest, pluginId) {
-    const required = ['name', 'description', 'version'];
-    const hasRequired = required.every(field => manifest[field]);
-    
-    if (!hasRequired) {
-      logger.error(`Plugin ${pluginId} missing required fields:`, required);
-      return false;
+  getAvailableOptionalDependencies(pluginId) {
+    const manifest = this.manifests.get(pluginId);
+
+    return Object.entries(manifest?.optionalDependencies || {})
+      .filter(([dependencyId, range]) => {
+        const dependency = this.manifests.get(dependencyId);
+        return dependency && satisfiesRange(dependency.version, range);
+      })
+      .map(([dependencyId]) => dependencyId);
+  }
+
+  /**
+   * Topologically sort plugin IDs so dependencies come before their
+   * dependents. Discovery order is kept where there is no dependency.
+   * Plugins that are part of (or depend on) a cycle are returned as unresolved.
+   */
+  sortByDependencies(pluginIds) {
+    const remaining = new Map(pluginIds.map(pluginId => [
+      pluginId,
+      [
+        ...this.getPluginDependencies(pluginId),
+        ...this.getAvailableOptionalDependencies(pluginId)
+      ].filter(dependencyId => pluginIds.includes(dependencyId))
+    ]));
+    const order = [];
+
+    let progressed = true;
+    while (remaining.size > 0 && progressed) {
+      progressed = false;
+
+      for (const [pluginId, dependencies] of remaining) {
+        if (dependencies.every(dependencyId => order.includes(dependencyId))) {
+          order.push(pluginId);
+          remaining.delete(pluginId);
+          progressed = true;
+        }
+      }
     }
 
-    // Validate contexts
-    if (manifest.contexts) {
-      const validContexts = Object.values(PLUGIN_CONTEXTS);
-      const invalidContexts = Object.keys(manifest.contexts).filter(
-        ctx => !validContexts.includes(ctx)
-      );
-      
-      if (invalidContexts.length > 0) {
-        logger.error(`Plugin ${pluginId} has invalid contexts:`, invalidContexts);
-        return false;
+    return { order, unresolved: Array.from(remaining.keys()) };
+  }
+
+  /**
+   * Get IDs of a plugin's required dependencies
+   */
+  getPluginDependencies(pluginId) {
+    return Object.keys(this.manifests.get(pluginId)?.dependencies || {});
+  }
+
+  /**
+   * Get IDs of plugins that require this plugin, directly or through another
+   * dependent, in load order
+   */
+  getDependents(pluginId) {
+    const dependents = new Set();
+    const queue = [pluginId];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const candidateId of this.manifests.keys()) {
+        if (!dependents.has(candidateId) && this.getPluginDependencies(candidateId).includes(current)) {
+          dependents.add(candidateId);
+          queue.push(candidateId);
+        }
       }
     }
 
-    return true;
+    return this.getLoadOrder().filter(candidateId => dependents.has(candidateId));
+  }
+
+  /**
+   * Get required dependencies of a plugin that are currently disabled
+   */
+  getDisabledDependencies(pluginId, storedPlugins) {
+    return this.getPluginDependencies(pluginId)
+      .filter(dependencyId => !this.resolveEnabledState(dependencyId, storedPlugins));
+  }
+
+  /**
+   * Get plugin IDs in initialization order (dependencies first)
+   */
+  getLoadOrder() {
+    const ordered = this.loadOrder.filter(pluginId => this.manifests.has(pluginId));
+    const unordered = Array.from(this.manifests.keys()).filter(pluginId => !ordered.includes(pluginId));
+    return [...ordered, ...unordered];
+  }
+
+  /**
+   * Get all plugin manifests in initialization order
+   */
+  getPluginsInLoadOrder() {
+    return this.getLoadOrder().map(pluginId => this.manifests.get(pluginId));
   }
 
   /**
@@ -143,7 +1007,12 @@ class PluginLoaderV2 {
       } catch (error) {
         logger.error(`Permission validation failed for ${pluginId}:`, error);
         // Remove invalid plugin
-        this.manifests.delete(pluginId);
+        this.rejectPlugin(
+          pluginId,
+          PLUGIN_REJECTION_REASONS.INVALID_PERMISSIONS,
+          [error.message],
+          manifest._manifestPath
+        );
       }
     }
   }
@@ -179,13 +1048,26 @@ class PluginLoaderV2 {
     }
   }
 
+  /**
+   * Get the declared permissions a plugin may use in a context
+   */
+  getContextPermissions(pluginId, context) {
+    const manifest = this.manifests.get(pluginId);
+    const allowedPermissions = CONTEXT_PERMISSIONS[context] || [];
+
+    return (manifest?.permissions || [])
+      .filter(permission => allowedPermissions.includes(permission));
+  }
+
   /**
    * Get all plugins that support a specific context
    */
   getPluginsForContext(context) {
     const plugins = [];
-    
-    for (const [pluginId, manifest] of this.manifests) {
+
+    // Return plugins in load order so callers initialize dependencies first
+    for (const pluginId of this.getLoadOrder()) {
+      const manifest = this.manifests.get(pluginId);
       if (manifest.contexts && manifest.contexts[context]) {
         plugins.push({
           id: pluginId,
@@ -214,23 +1096,18 @@ class PluginLoaderV2 {
       return null;
     }
 
+    if (manifest.external) {
+      return this.loadExternalPluginForContext(manifest, context);
+    }
+
     try {
-      let modulePath;
-      
-      switch (context) {
-        case PLUGIN_CONTEXTS.BACKGROUND:
-          modulePath = `../plugins/${pluginId}/background.js`;
-          break;
-        case PLUGIN_CONTEXTS.CONTENT:
-          modulePath = `../plugins/${pluginId}/content.js`;
-          break;
-        case PLUGIN_CONTEXTS.OPTIONS:
-        default:
-          modulePath = `../plugins/${pluginId}/index.js`;
-          break;
-      }
-
-      const module = await import(modulePath);
+      const moduleFile = CONTEXT_MODULE_FILES[context] || CONTEXT_MODULE_FILES[PLUGIN_CONTEXTS.OPTIONS];
+
+      // The path must stay a template literal so webpack bundles the modules
+      const module = await import(
+        /* webpackInclude: /plugins\/[^/]+\/(background|index)\.js$/ */
+        `../plugins/${pluginId}/${moduleFile}`
+      );
       
       // Validate module interface
       this.validateModuleInterface(module.default, context, pluginId);
@@ -251,6 +1128,36 @@ class PluginLoaderV2 {
     }
   }
 
+  /**
+   * Load an imported plugin's module through the registered executor.
+   * MV3 forbids evaluating code in extension pages, so the module runs in
+   * the sandbox and the returned object proxies calls to it.
+   */
+  async loadExternalPluginForContext(manifest, context) {
+    const pluginId = manifest.id;
+
+    if (context !== PLUGIN_CONTEXTS.BACKGROUND) {
+      throw new Error(`Imported plugin ${pluginId} cannot be loaded in the ${context} context`);
+    }
+    if (!this.externalModuleHost) {
+      throw new Error(`No executor is registered to run imported plugin ${pluginId}`);
+    }
+
+    const module = await this.externalModuleHost.load(
+      pluginId,
+      context,
+      this.getExternalModuleSource(pluginId, context)
+    );
+    this.validateModuleInterface(module, context, pluginId);
+
+    return {
+      ...module,
+      manifest,
+      pluginId,
+      context
+    };
+  }
+
   /**
    * Validate that module implements required interface for context
    */
@@ -275,40 +1182,160 @@ class PluginLoaderV2 {
     }
   }
 
+  /**
+   * Get how a plugin's content module is injected
+   */
+  getContentInjectionMode(pluginId) {
+    return this.manifests.get(pluginId)?.injectionMode || CONTENT_INJECTION_MODES.DYNAMIC;
+  }
+
   /**
    * Check if plugin should inject into given URL
    */
   shouldInjectForUrl(manifest, url) {
-    const { matches = [] } = manifest;
-    
-    if (matches.length === 0) return false;
-    
-    // Simple pattern matching
-    return matches.some(pattern => {
-      if (pattern === '*://*/*') return true;
-      
-      // Convert simple glob patterns to regex
-      const regexPattern = pattern
-        .replace(/\*/g, '.*')
-        .replace(/\./g, '\\.');
-      
-      try {
-        return new RegExp(regexPattern).test(url);
-      } catch {
-        return false;
-      }
+    return this.explainUrlMatch(manifest, url).matches;
+  }
+
+  /**
+   * Evaluate a manifest's matches, excludeMatches, includeGlobs and
+   * excludeGlobs against a URL. Returns { matches, reason, pattern }.
+   */
+  explainUrlMatch(manifest, url) {
+    return evaluateUrlRules(manifest, url);
+  }
+
+  /**
+   * Resolve enabled state for a plugin from its stored entry, falling back
+   * to manifest defaults when the user has never toggled it
+   */
+  resolveEnabledState(pluginId, storedPlugins) {
+    const manifest = this.manifests.get(pluginId);
+    if (!manifest) return false;
+    if (manifest.core) return true;
+
+    const stored = storedPlugins.find(p => p.id === pluginId);
+    const enabled = stored?.enabled ?? manifest.defaultEnabled ?? false;
+
+    // A plugin only runs while all of its required dependencies are enabled
+    return enabled && this.getPluginDependencies(pluginId)
+      .every(dependencyId => this.resolveEnabledState(dependencyId, storedPlugins));
+  }
+
+  /**
+   * Load enabled state for all discovered plugins from storage
+   */
+  async loadEnabledState() {
+    try {
+      const storedPlugins = await getPlugins();
+      this.applyEnabledState(storedPlugins);
+    } catch (error) {
+      logger.error('Failed to load plugin enabled state:', error);
+    }
+  }
+
+  /**
+   * Keep the enabled state cache in sync with storage changes from any context
+   */
+  watchEnabledState() {
+    if (this.unwatchEnabledState) return;
+
+    this.unwatchEnabledState = onPluginsChanged((storedPlugins) => {
+      this.applyEnabledState(storedPlugins);
     });
   }
 
   /**
-   * Check if plugin is enabled (placeholder - integrate with storage)
+   * Update the cache and notify subscribers of plugins whose state changed
+   */
+  applyEnabledState(storedPlugins) {
+    const changed = [];
+
+    for (const pluginId of this.getLoadOrder()) {
+      const enabled = this.resolveEnabledState(pluginId, storedPlugins);
+      const previous = this.enabledState.get(pluginId);
+
+      this.enabledState.set(pluginId, enabled);
+      if (previous !== undefined && previous !== enabled) {
+        changed.push({ pluginId, enabled });
+      }
+    }
+
+    // Start dependencies before dependents, stop dependents before dependencies
+    const notifications = [
+      ...changed.filter(change => change.enabled),
+      ...changed.filter(change => !change.enabled).reverse()
+    ];
+
+    for (const { pluginId, enabled } of notifications) {
+      logger.debug('ENABLED_STATE', pluginId, { enabled });
+      for (const listener of this.enabledListeners) {
+        try {
+          listener(pluginId, enabled);
+        } catch (error) {
+          logger.error(`Enabled state listener failed for ${pluginId}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if plugin is enabled using the cached storage state
    */
   isPluginEnabled(pluginId) {
-    // TODO: Integrate with storage system
+    if (this.enabledState.has(pluginId)) {
+      return this.enabledState.get(pluginId);
+    }
+
     const manifest = this.manifests.get(pluginId);
     return manifest?.core || manifest?.defaultEnabled || false;
   }
 
+  /**
+   * Check if plugin is enabled, making sure the loader has read storage first
+   */
+  async getPluginEnabledState(pluginId) {
+    await this.initialize();
+    return this.isPluginEnabled(pluginId);
+  }
+
+  /**
+   * Get IDs of all currently enabled plugins
+   */
+  getEnabledPluginIds() {
+    return Array.from(this.manifests.keys())
+      .filter(pluginId => this.isPluginEnabled(pluginId));
+  }
+
+  /**
+   * Subscribe to enabled state changes. The listener is called with
+   * (pluginId, enabled) and the returned function unsubscribes it.
+   */
+  onEnabledStateChange(listener) {
+    this.enabledListeners.add(listener);
+    return () => this.enabledListeners.delete(listener);
+  }
+
+  /**
+   * Get a plugin's settings from storage, merged over its configSchema
+   * defaults. Invalid stored values fall back to their defaults.
+   */
+  async getPluginSettings(pluginId) {
+    try {
+      const manifest = this.manifests.get(pluginId);
+      const storedSettings = await getPluginSettings(pluginId);
+      const { settings, errors } = resolvePluginSettings(manifest?.configSchema, storedSettings);
+
+      if (Object.keys(errors).length > 0) {
+        logger.warn(`Invalid stored settings for ${pluginId}, using defaults:`, errors);
+      }
+
+      return settings;
+    } catch (error) {
+      logger.error(`Failed to get settings for ${pluginId}:`, error);
+      return {};
+    }
+  }
+
   /**
    * Get plugin manifest
    */
@@ -332,37 +1359,78 @@ class PluginLoaderV2 {
   }
 
   /**
-   * Request Chrome permissions for plugin
+   * Get the Chrome permissions and origins a plugin asks for
    */
-  async requestPluginPermissions(pluginId) {
+  getPermissionRequest(pluginId) {
     const manifest = this.manifests.get(pluginId);
     if (!manifest) {
       throw new Error(`Plugin not found: ${pluginId}`);
     }
 
     const { permissions = [], matches = [] } = manifest;
-    
-    if (permissions.length === 0 && matches.length === 0) {
-      return true; // No permissions needed
-    }
 
-    try {
-      // Check if permissions are already granted
-      const hasPermissions = await chrome.permissions.contains({
-        permissions: permissions.filter(p => !p.includes('://')),
-        origins: matches
-      });
+    return {
+      permissions: permissions.filter(p => !p.includes('://')),
+      origins: Array.from(new Set([...permissions.filter(p => p.includes('://')), ...matches]))
+    };
+  }
+
+  /**
+   * Get the requested permissions and origins the user hasn't granted yet
+   */
+  async getMissingPermissions(pluginId) {
+    const { permissions, origins } = this.getPermissionRequest(pluginId);
 
-      if (hasPermissions) {
-        return true;
+    const isGranted = async (request) => {
+      try {
+        return await chrome.permissions.contains(request);
+      } catch (error) {
+        // Permissions the extension can't request are never granted
+        logger.debug(`Permission check failed for ${pluginId}:`, error);
+        return false;
+      }
+    };
+
+    const missingPermissions = [];
+    for (const permission of permissions) {
+      if (!(await isGranted({ permissions: [permission] }))) {
+        missingPermissions.push(permission);
       }
+    }
 
-      // Request permissions
-      const granted = await chrome.permissions.request({
-        permissions: permissions.filter(p => !p.includes('://')),
-        origins: matches
-      });
+    const missingOrigins = [];
+    for (const origin of origins) {
+      if (!(await isGranted({ origins: [origin] }))) {
+        missingOrigins.push(origin);
+      }
+    }
+
+    return { permissions: missingPermissions, origins: missingOrigins };
+  }
+
+  /**
+   * Check whether the user has granted everything a plugin asks for
+   */
+  async hasPluginPermissions(pluginId) {
+    const { permissions, origins } = await this.getMissingPermissions(pluginId);
+    return permissions.length === 0 && origins.length === 0;
+  }
 
+  /**
+   * Ask the user to grant a plugin's permissions. Chrome only shows the
+   * prompt in response to a user gesture, so call this from a click handler
+   * in an extension page, never from the background.
+   */
+  async requestPluginPermissions(pluginId) {
+    // Nothing may be awaited before the request or the user gesture is lost
+    const request = this.getPermissionRequest(pluginId);
+
+    if (request.permissions.length === 0 && request.origins.length === 0) {
+      return true; // No permissions needed
+    }
+
+    try {
+      const granted = await chrome.permissions.request(request);
       logger.info(`Permissions ${granted ? 'granted' : 'denied'} for plugin: ${pluginId}`);
       return granted;
     } catch (error) {
@@ -371,6 +1439,46 @@ class PluginLoaderV2 {
     }
   }
 
+  /**
+   * Give back the optional permissions and origins a disabled plugin was
+   * granted, except those still used by another enabled plugin. Pass the
+   * plugin's permission request if its manifest may already be gone.
+   */
+  async revokePluginPermissions(pluginId, request = this.getPermissionRequest(pluginId)) {
+    const {
+      optional_permissions: optionalPermissions = [],
+      host_permissions: requiredOrigins = []
+    } = chrome.runtime.getManifest();
+
+    const stillNeeded = this.getEnabledPluginIds()
+      .filter(otherId => otherId !== pluginId)
+      .map(otherId => this.getPermissionRequest(otherId));
+
+    // Required permissions can't be removed, so only optional ones are revoked
+    const permissions = request.permissions.filter(permission => (
+      optionalPermissions.includes(permission) &&
+      !stillNeeded.some(other => other.permissions.includes(permission))
+    ));
+    // Chrome refuses to remove an origin that overlaps a required one
+    const origins = request.origins.filter(origin => (
+      !requiredOrigins.some(required => patternsOverlap(origin, required)) &&
+      !stillNeeded.some(other => other.origins.includes(origin))
+    ));
+
+    if (permissions.length === 0 && origins.length === 0) {
+      return false;
+    }
+
+    try {
+      const removed = await chrome.permissions.remove({ permissions, origins });
+      logger.info(`Revoked permissions for plugin ${pluginId}:`, { permissions, origins });
+      return removed;
+    } catch (error) {
+      logger.error(`Failed to revoke permissions for ${pluginId}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Fallback plugin discovery for development
    */
@@ -389,12 +1497,7 @@ class PluginLoaderV2 {
       try {
         const manifest = await import(`../plugins/${pluginId}/manifest.json`);
         
-        if (this.isValidManifest(manifest, pluginId)) {
-          this.manifests.set(pluginId, {
-            ...manifest,
-            id: pluginId
-          });
-        }
+        this.registerManifest(manifest.default || manifest, pluginId, null);
       } catch (error) {
         logger.debug(`Fallback discovery failed for ${pluginId}:`, error.message);
       }
@@ -0,0 +1,248 @@
+/**
+ * Plugin Migrations
+ * Upgrades stored plugin settings when a plugin's version changes. Plugins
+ * declare `migrations` in their manifest, keyed by the version that needs
+ * them, as a list of declarative steps:
+ *
+ *   "migrations": {
+ *     "1.1.0": [
+ *       { "op": "rename", "from": "interval", "to": "checkInterval" },
+ *       { "op": "map", "key": "level", "values": { "low": "info" } }
+ *     ]
+ *   },
+ *   "changelog": { "1.1.0": "Interval is now called Check interval" }
+ *
+ * The version settings were last migrated to is recorded on the stored
+ * plugin entry, so each migration runs once.
+ */
+
+import { getPlugins, updatePlugin } from '@/shared/storage';
+import { parseVersion, compareVersions } from '@/shared/semver';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginMigrations');
+
+/**
+ * Migration steps and the fields each one requires
+ * - rename:  move settings[from] to settings[to]
+ * - remove:  delete settings[key]
+ * - default: set settings[key] to value when it isn't set
+ * - set:     set settings[key] to value
+ * - map:     replace settings[key] using a { old: new } values map
+ */
+export const MIGRATION_OPERATIONS = {
+  rename: ['from', 'to'],
+  remove: ['key'],
+  default: ['key', 'value'],
+  set: ['key', 'value'],
+  map: ['key', 'values']
+};
+
+/**
+ * Collect errors in a manifest's migrations and changelog maps
+ */
+export function getMigrationErrors(manifest) {
+  const errors = [];
+  const current = parseVersion(manifest.version);
+
+  for (const field of ['migrations', 'changelog']) {
+    const declared = manifest[field];
+    if (declared === undefined) continue;
+
+    if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+      errors.push(`${field} must map versions to entries`);
+      continue;
+    }
+
+    for (const version of Object.keys(declared)) {
+      if (!parseVersion(version)) {
+        errors.push(`${field} has an invalid version: ${version}`);
+      } else if (current && compareVersions(version, manifest.version) > 0) {
+        errors.push(`${field} has version ${version}, newer than the plugin's ${manifest.version}`);
+      }
+    }
+  }
+
+  for (const [version, steps] of Object.entries(manifest.migrations || {})) {
+    if (!Array.isArray(steps)) {
+      errors.push(`Migration ${version} must be a list of steps`);
+      continue;
+    }
+
+    steps.forEach((step, index) => {
+      const required = MIGRATION_OPERATIONS[step?.op];
+      if (!required) {
+        errors.push(`Migration ${version} step ${index + 1} has unknown op: ${step?.op}`);
+        return;
+      }
+
+      const missing = required.filter(field => step[field] === undefined);
+      if (missing.length > 0) {
+        errors.push(`Migration ${version} step ${index + 1} (${step.op}) is missing: ${missing.join(', ')}`);
+      }
+    });
+  }
+
+  for (const [version, notes] of Object.entries(manifest.changelog || {})) {
+    if (typeof notes !== 'string' || !notes.trim()) {
+      errors.push(`changelog for ${version} must be a non-empty string`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the versions in a manifest map that fall after `fromVersion` and up
+ * to `toVersion`, oldest first
+ */
+function getVersionsBetween(entries = {}, fromVersion, toVersion) {
+  return Object.keys(entries)
+    .filter(version => parseVersion(version))
+    .filter(version => compareVersions(version, fromVersion) > 0 && compareVersions(version, toVersion) <= 0)
+    .sort(compareVersions);
+}
+
+/**
+ * Apply one version's migration steps to a settings object
+ */
+export function applyMigrationSteps(settings, steps) {
+  const migrated = { ...settings };
+
+  for (const step of steps) {
+    switch (step.op) {
+      case 'rename':
+        if (step.from in migrated) {
+          if (!(step.to in migrated)) {
+            migrated[step.to] = migrated[step.from];
+          }
+          delete migrated[step.from];
+        }
+        break;
+
+      case 'remove':
+        delete migrated[step.key];
+        break;
+
+      case 'default':
+        if (migrated[step.key] === undefined) {
+          migrated[step.key] = step.value;
+        }
+        break;
+
+      case 'set':
+        migrated[step.key] = step.value;
+        break;
+
+      case 'map': {
+        const value = migrated[step.key];
+        const key = typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+        if (key !== null && Object.prototype.hasOwnProperty.call(step.values, key)) {
+          migrated[step.key] = step.values[key];
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown migration op: ${step.op}`);
+    }
+  }
+
+  return migrated;
+}
+
+/**
+ * Run every migration after `fromVersion` up to the manifest's version.
+ * Returns the migrated settings and the versions whose migrations ran.
+ */
+export function migrateSettings(manifest, settings, fromVersion) {
+  const versions = getVersionsBetween(manifest.migrations, fromVersion, manifest.version);
+
+  const migrated = versions.reduce(
+    (current, version) => applyMigrationSteps(current, manifest.migrations[version]),
+    settings || {}
+  );
+
+  return { settings: migrated, applied: versions };
+}
+
+/**
+ * Get changelog entries after `fromVersion` up to `toVersion`, newest first
+ */
+export function getChangelog(manifest, fromVersion, toVersion = manifest.version) {
+  if (!parseVersion(fromVersion) || !parseVersion(toVersion)) return [];
+
+  return getVersionsBetween(manifest.changelog, fromVersion, toVersion)
+    .reverse()
+    .map(version => ({ version, notes: manifest.changelog[version] }));
+}
+
+/**
+ * Bring a stored plugin entry up to its manifest's version. Entries that
+ * predate version tracking are recorded at the current version without
+ * migrating, since the shape of their settings is unknown. Returns the
+ * upgrade that was applied, or null.
+ */
+export async function migrateStoredPlugin(manifest, stored) {
+  if (!stored || !parseVersion(manifest.version)) return null;
+
+  if (!parseVersion(stored.version)) {
+    await updatePlugin(manifest.id, { version: manifest.version });
+    return null;
+  }
+
+  if (compareVersions(stored.version, manifest.version) >= 0) return null;
+
+  const { settings, applied } = migrateSettings(manifest, stored.settings, stored.version);
+
+  await updatePlugin(manifest.id, {
+    settings,
+    version: manifest.version,
+    upgradedFrom: stored.version,
+    upgradedAt: Date.now(),
+    changelogDismissed: false
+  });
+
+  logger.info(`Upgraded plugin ${manifest.id} from ${stored.version} to ${manifest.version}`, { applied });
+  return { pluginId: manifest.id, from: stored.version, to: manifest.version, applied };
+}
+
+/**
+ * Upgrade every stored plugin whose manifest version changed, e.g. after
+ * the extension was updated. A plugin whose migration fails keeps its old
+ * version so the migration runs again next time.
+ */
+export async function migrateStoredPlugins(manifests) {
+  const storedPlugins = await getPlugins();
+  const upgrades = [];
+
+  for (const manifest of manifests) {
+    try {
+      const upgrade = await migrateStoredPlugin(manifest, storedPlugins.find(p => p.id === manifest.id));
+      if (upgrade) upgrades.push(upgrade);
+    } catch (error) {
+      logger.error(`Failed to migrate settings for ${manifest.id}:`, error);
+    }
+  }
+
+  return upgrades;
+}
+
+/**
+ * Record the current manifest version on stored entries that have none,
+ * so a later upgrade knows which migrations to run
+ */
+export async function recordPluginVersions(manifests, storedPlugins) {
+  for (const stored of storedPlugins) {
+    if (stored.version) continue;
+
+    const manifest = manifests.find(m => m.id === stored.id);
+    if (!parseVersion(manifest?.version)) continue;
+
+    try {
+      await updatePlugin(stored.id, { version: manifest.version });
+    } catch (error) {
+      logger.error(`Failed to record version for ${stored.id}:`, error);
+    }
+  }
+}
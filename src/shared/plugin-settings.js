@@ -0,0 +1,146 @@
+/**
+ * Plugin Settings
+ * Resolves stored plugin settings against a manifest's JSON-Schema configSchema
+ */
+
+/**
+ * Get default values declared in a config schema
+ */
+export function getSchemaDefaults(configSchema) {
+  const defaults = {};
+
+  if (configSchema?.properties) {
+    Object.entries(configSchema.properties).forEach(([key, property]) => {
+      if (property.default !== undefined) {
+        defaults[key] = property.default;
+      }
+    });
+  }
+
+  return defaults;
+}
+
+/**
+ * Check whether a value matches the JSON-Schema type of a property
+ */
+function matchesType(property, value) {
+  switch (property.type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a single setting value. Returns an error message or null.
+ */
+export function validateSettingValue(property, value, { required = false, label } = {}) {
+  const name = label || property.title || 'Value';
+  const isEmpty = value === undefined || value === null || value === '';
+
+  if (isEmpty) {
+    return required ? `${name} is required` : null;
+  }
+
+  if (!matchesType(property, value)) {
+    return `${name} must be of type ${property.type}`;
+  }
+
+  if (property.enum && !property.enum.includes(value)) {
+    return `${name} must be one of: ${property.enum.join(', ')}`;
+  }
+
+  switch (property.type) {
+    case 'string':
+      if (property.minLength && value.length < property.minLength) {
+        return `Minimum length is ${property.minLength}`;
+      }
+      if (property.maxLength && value.length > property.maxLength) {
+        return `Maximum length is ${property.maxLength}`;
+      }
+      if (property.pattern && !new RegExp(property.pattern).test(value)) {
+        return 'Invalid format';
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (property.minimum !== undefined && value < property.minimum) {
+        return `Minimum value is ${property.minimum}`;
+      }
+      if (property.maximum !== undefined && value > property.maximum) {
+        return `Maximum value is ${property.maximum}`;
+      }
+      break;
+    case 'array':
+      if (property.items?.enum) {
+        const invalid = value.filter(item => !property.items.enum.includes(item));
+        if (invalid.length > 0) {
+          return `Unsupported values: ${invalid.join(', ')}`;
+        }
+      }
+      break;
+  }
+
+  return null;
+}
+
+/**
+ * Validate settings against a config schema.
+ * Returns a map of setting key to error message.
+ */
+export function validatePluginSettings(configSchema, settings = {}) {
+  const errors = {};
+
+  if (!configSchema?.properties) return errors;
+
+  Object.entries(configSchema.properties).forEach(([key, property]) => {
+    const error = validateSettingValue(property, settings[key], {
+      required: configSchema.required?.includes(key),
+      label: property.title || key
+    });
+
+    if (error) {
+      errors[key] = error;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Merge stored settings over schema defaults. Stored values that fail
+ * validation fall back to the schema default and are reported in `errors`.
+ */
+export function resolvePluginSettings(configSchema, storedSettings = {}) {
+  if (!configSchema?.properties) {
+    return { settings: { ...storedSettings }, errors: {} };
+  }
+
+  const settings = getSchemaDefaults(configSchema);
+  const errors = {};
+
+  Object.entries(configSchema.properties).forEach(([key, property]) => {
+    const value = storedSettings[key];
+    if (value === undefined) return;
+
+    const error = validateSettingValue(property, value, { label: property.title || key });
+    if (error) {
+      errors[key] = error;
+    } else {
+      settings[key] = value;
+    }
+  });
+
+  return { settings, errors };
+}
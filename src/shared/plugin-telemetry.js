@@ -0,0 +1,202 @@
+/**
+ * Plugin Telemetry
+ * Call counts, latency and errors for each plugin's message handler, event
+ * hooks and content injection. Samples are kept in per-minute buckets in
+ * chrome.storage.session, so the last WINDOW_MINUTES survive service worker
+ * restarts and can be read by the options page.
+ */
+
+import { getSessionValue, setSessionValue, updateSessionValue, onSessionValueChanged } from '@/shared/session-storage';
+import { createLogger } from '@/shared/logger';
+
+const logger = createLogger('PluginTelemetry');
+
+const TELEMETRY_KEY = 'pluginTelemetry';
+const BUCKET_MS = 60 * 1000;
+const FLUSH_DELAY_MS = 2000;
+
+// Rolling window kept in storage
+export const WINDOW_MINUTES = 15;
+
+// Latency samples kept per bucket, so a busy hook can't grow storage unbounded
+const MAX_SAMPLES_PER_BUCKET = 200;
+
+/**
+ * Operations recorded for each plugin
+ */
+export const TELEMETRY_OPERATIONS = {
+  MESSAGE: 'message',
+  INJECTION: 'injection',
+  event: (handlerName) => `event:${handlerName}`
+};
+
+/**
+ * @typedef {Object} TelemetryBucket
+ * @property {number} start - Start of the minute the bucket covers
+ * @property {number} count - Calls in the minute
+ * @property {number} errors - Calls that threw or failed
+ * @property {number[]} durations - Latency samples in milliseconds
+ */
+
+/**
+ * @typedef {Object} OperationSummary
+ * @property {string} operation - Operation name (message, injection, event:<handler>)
+ * @property {number} count - Calls in the window
+ * @property {number} errors - Failed calls in the window
+ * @property {number} errorRate - errors / count, between 0 and 1
+ * @property {number|null} p50 - Median latency in milliseconds
+ * @property {number|null} p95 - 95th percentile latency
+ * @property {number|null} p99 - 99th percentile latency
+ * @property {number|null} max - Slowest call
+ */
+
+// Calls recorded since the last flush, keyed by plugin ID then operation
+let pending = {};
+let flushTimer = null;
+
+/**
+ * Record one call. Writes are batched and flushed to session storage shortly after.
+ */
+export function recordPluginCall(pluginId, operation, duration, failed = false) {
+  const start = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+  const operations = pending[pluginId] || (pending[pluginId] = {});
+  const buckets = operations[operation] || (operations[operation] = []);
+
+  let bucket = buckets.find(candidate => candidate.start === start);
+  if (!bucket) {
+    bucket = { start, count: 0, errors: 0, durations: [] };
+    buckets.push(bucket);
+  }
+
+  bucket.count++;
+  if (failed) bucket.errors++;
+  if (bucket.durations.length < MAX_SAMPLES_PER_BUCKET) {
+    bucket.durations.push(Math.round(duration * 100) / 100);
+  }
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushPluginTelemetry().catch(error => logger.error('Failed to store plugin telemetry:', error));
+    }, FLUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Time an async call and record it. Errors are recorded and rethrown.
+ */
+export async function measurePluginCall(pluginId, operation, fn) {
+  const startedAt = performance.now();
+  try {
+    const result = await fn();
+    recordPluginCall(pluginId, operation, performance.now() - startedAt);
+    return result;
+  } catch (error) {
+    recordPluginCall(pluginId, operation, performance.now() - startedAt, true);
+    throw error;
+  }
+}
+
+/**
+ * Merge pending calls into session storage and drop buckets older than the window
+ */
+export async function flushPluginTelemetry() {
+  const batch = pending;
+  pending = {};
+
+  const oldest = Date.now() - WINDOW_MINUTES * BUCKET_MS;
+
+  await updateSessionValue(TELEMETRY_KEY, (telemetry) => {
+    const merged = {};
+
+    const pluginIds = new Set([...Object.keys(telemetry), ...Object.keys(batch)]);
+    for (const pluginId of pluginIds) {
+      const operations = new Set([
+        ...Object.keys(telemetry[pluginId] || {}),
+        ...Object.keys(batch[pluginId] || {})
+      ]);
+
+      for (const operation of operations) {
+        const buckets = [...(telemetry[pluginId]?.[operation] || [])]
+          .filter(bucket => bucket.start >= oldest);
+
+        for (const added of batch[pluginId]?.[operation] || []) {
+          const index = buckets.findIndex(bucket => bucket.start === added.start);
+          if (index === -1) {
+            buckets.push(added);
+          } else {
+            const bucket = buckets[index];
+            buckets[index] = {
+              start: bucket.start,
+              count: bucket.count + added.count,
+              errors: bucket.errors + added.errors,
+              durations: [...bucket.durations, ...added.durations].slice(0, MAX_SAMPLES_PER_BUCKET)
+            };
+          }
+        }
+
+        if (buckets.length > 0) {
+          merged[pluginId] = { ...merged[pluginId], [operation]: buckets };
+        }
+      }
+    }
+
+    return merged;
+  }, {});
+}
+
+/**
+ * Get stored telemetry buckets, keyed by plugin ID then operation
+ */
+export async function getPluginTelemetry() {
+  return getSessionValue(TELEMETRY_KEY, {});
+}
+
+/**
+ * Forget all recorded telemetry
+ */
+export async function clearPluginTelemetry() {
+  pending = {};
+  await setSessionValue(TELEMETRY_KEY, {});
+}
+
+/**
+ * Subscribe to telemetry updates. Returns an unsubscribe function.
+ */
+export function onPluginTelemetryChange(callback) {
+  return onSessionValueChanged(TELEMETRY_KEY, (telemetry) => callback(telemetry || {}));
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil(fraction * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+}
+
+/**
+ * Summarize a plugin's buckets within the window, one entry per operation
+ * @returns {OperationSummary[]}
+ */
+export function summarizePluginTelemetry(operations = {}, now = Date.now()) {
+  const oldest = now - WINDOW_MINUTES * BUCKET_MS;
+
+  return Object.entries(operations).map(([operation, buckets]) => {
+    const inWindow = buckets.filter(bucket => bucket.start >= oldest);
+    const count = inWindow.reduce((total, bucket) => total + bucket.count, 0);
+    const errors = inWindow.reduce((total, bucket) => total + bucket.errors, 0);
+    const durations = inWindow.flatMap(bucket => bucket.durations).sort((a, b) => a - b);
+
+    return {
+      operation,
+      count,
+      errors,
+      errorRate: count > 0 ? errors / count : 0,
+      p50: percentile(durations, 0.5),
+      p95: percentile(durations, 0.95),
+      p99: percentile(durations, 0.99),
+      max: durations.length > 0 ? durations[durations.length - 1] : null
+    };
+  })
+    .filter(summary => summary.count > 0)
+    .sort((a, b) => a.operation.localeCompare(b.operation));
+}
@@ -0,0 +1,183 @@
+/**
+ * Semver
+ * Minimal semantic version parsing and range matching for plugin dependencies.
+ * Supports exact and partial versions, x-ranges, ^, ~, comparison operators,
+ * space-separated (AND) and || (OR) ranges.
+ */
+
+const VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/;
+
+/**
+ * Parse a possibly partial version. Missing or wildcard parts are null.
+ */
+function parsePartial(value) {
+  const match = VERSION_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const part = (raw) => (raw === undefined || /^[xX*]$/.test(raw) ? null : Number(raw));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Parse a full version string into its numeric parts
+ */
+export function parseVersion(value) {
+  const parsed = parsePartial(value);
+  if (!parsed || parsed.major === null || parsed.minor === null || parsed.patch === null) {
+    return null;
+  }
+  return parsed;
+}
+
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) return Number(a[i]) - Number(b[i]);
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two parsed versions. Returns a negative number, zero or a positive number.
+ */
+function compareParsed(a, b) {
+  return (a.major - b.major)
+    || (a.minor - b.minor)
+    || (a.patch - b.patch)
+    || comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Compare two version strings. Throws if either is not a valid version.
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`);
+  }
+  return compareParsed(left, right);
+}
+
+function version(major, minor = 0, patch = 0, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+/**
+ * Expand a single comparator (e.g. "^1.2", ">=2.0.0", "1.x") into a list of
+ * [operator, version] tests that must all pass
+ */
+function expandComparator(comparator) {
+  const [, operator = '', rest] = COMPARATOR_PATTERN.exec(comparator);
+  const parsed = parsePartial(rest || '*');
+  if (!parsed) return null;
+
+  const { major, minor, patch, prerelease } = parsed;
+  const lower = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [['<', version(0)]] : [];
+  }
+
+  switch (operator) {
+    case '^':
+      if (major > 0 || minor === null) return [['>=', lower], ['<', version(major + 1)]];
+      if (minor > 0 || patch === null) return [['>=', lower], ['<', version(0, minor + 1)]];
+      return [['>=', lower], ['<', version(0, 0, patch + 1)]];
+    case '~':
+      if (minor === null) return [['>=', lower], ['<', version(major + 1)]];
+      return [['>=', lower], ['<', version(major, minor + 1)]];
+    case '>':
+      if (minor === null) return [['>=', version(major + 1)]];
+      if (patch === null) return [['>=', version(major, minor + 1)]];
+      return [['>', lower]];
+    case '<=':
+      if (minor === null) return [['<', version(major + 1)]];
+      if (patch === null) return [['<', version(major, minor + 1)]];
+      return [['<=', lower]];
+    case '>=':
+    case '<':
+      return [[operator, lower]];
+    default:
+      if (minor === null) return [['>=', lower], ['<', version(major + 1)]];
+      if (patch === null) return [['>=', lower], ['<', version(major, minor + 1)]];
+      return [['=', lower]];
+  }
+}
+
+/**
+ * Parse a range into alternatives (||), each a list of tests (AND).
+ * Returns null if the range is malformed.
+ */
+function parseRange(range) {
+  if (typeof range !== 'string') return null;
+
+  const alternatives = [];
+  for (const set of range.split('||')) {
+    // Join operators to their version so ">= 1.0.0" is read as one comparator
+    const comparators = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    const tests = [];
+
+    for (const comparator of comparators.length > 0 ? comparators : ['*']) {
+      const expanded = expandComparator(comparator);
+      if (!expanded) return null;
+      tests.push(...expanded);
+    }
+
+    alternatives.push(tests);
+  }
+
+  return alternatives;
+}
+
+function passes(parsed, [operator, bound]) {
+  const result = compareParsed(parsed, bound);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * Check whether a range string is well formed
+ */
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Check whether a version satisfies a range
+ */
+export function satisfiesRange(value, range) {
+  const parsed = parseVersion(value);
+  const alternatives = parseRange(range);
+  if (!parsed || !alternatives) return false;
+
+  return alternatives.some(tests => tests.every(test => passes(parsed, test)));
+}
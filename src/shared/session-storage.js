@@ -0,0 +1,58 @@
+// src/shared/session-storage.js
+// Helpers for chrome.storage.session. Values survive service worker restarts
+// but are cleared when the browser closes.
+
+const pendingUpdates = new Map();
+
+export async function getSessionValue(key, fallback = null) {
+  const result = await chrome.storage.session.get(key);
+  return result[key] ?? fallback;
+}
+
+export async function setSessionValue(key, value) {
+  await chrome.storage.session.set({ [key]: value });
+}
+
+export async function removeSessionValue(key) {
+  await chrome.storage.session.remove(key);
+}
+
+/**
+ * Read-modify-write a session value. Updates to the same key made from this
+ * context are serialized so concurrent callers don't overwrite each other.
+ */
+export function updateSessionValue(key, updater, fallback = null) {
+  const previous = pendingUpdates.get(key) || Promise.resolve();
+
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const current = await getSessionValue(key, fallback);
+      const updated = await updater(current);
+      await setSessionValue(key, updated);
+      return updated;
+    });
+
+  pendingUpdates.set(key, next);
+  next.finally(() => {
+    if (pendingUpdates.get(key) === next) {
+      pendingUpdates.delete(key);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * Watch a session value for changes made from any extension context.
+ * Returns a function that removes the listener.
+ */
+export function onSessionValueChanged(key, callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'session' || !changes[key]) return;
+    callback(changes[key].newValue, changes[key].oldValue);
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
@@ -14,6 +14,7 @@ const DEFAULT_STORAGE = {
   },
   links: DEFAULT_DOCUMENTS,
   plugins: [],
+  externalPlugins: {},
   settings: {
     theme: 'light',
     defaultPage: 'dashboard',
@@ -23,7 +24,11 @@ const DEFAULT_STORAGE = {
 };
 
 // Core storage bucket
-const storage = getBucket('datadog-toolkit', 'local');
+const BUCKET_NAME = 'datadog-toolkit';
+const storage = getBucket(BUCKET_NAME, 'local');
+
+// Raw chrome.storage key used by @extend-chrome/storage for a bucket field
+const bucketKey = (field) => `extend-chrome/storage__${BUCKET_NAME}--${field}`;
 
 // Base helpers
 export async function getStorage() {
@@ -147,13 +152,18 @@ export async function addPlugin(plugin) {
     const now = Date.now();
 
     if (existing) {
+      // Settings and the recorded version only change through migrations
       return {
         ...prev,
         plugins: prev.plugins.map((p) =>
           p.id === plugin.id
             ? {
+                ...existing,
                 ...plugin,
+                settings: existing.settings ?? plugin.settings,
+                version: existing.version ?? plugin.version,
                 enabled: plugin.isCore ? true : existing.enabled,
+                createdAt: existing.createdAt ?? now,
                 updatedAt: now
               }
             : p
@@ -230,6 +240,25 @@ export async function setPluginSettings(pluginId, settings) {
   logger.info(`Settings updated for plugin: ${pluginId}`, settings);
 }
 
+/**
+ * Watch the stored plugin list for changes made from any extension context.
+ * The callback receives the new and previous plugin arrays.
+ * Returns a function that removes the listener.
+ */
+export function onPluginsChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    const change = changes[bucketKey('plugins')];
+    if (change) {
+      callback(change.newValue || [], change.oldValue || []);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
 export async function removePlugin(id) {
   const plugin = (await getPlugins()).find((p) => p.id === id);
   if (plugin?.isCore) throw new Error(`Cannot remove core plugin: ${id}`);
@@ -251,6 +280,51 @@ export async function ensureCorePluginsEnabled() {
   }));
 }
 
+// Imported plugin bundles, keyed by plugin ID
+export async function getExternalPlugins() {
+  return (await getStorage()).externalPlugins || {};
+}
+
+export async function saveExternalPlugin(bundle) {
+  const pluginId = bundle.manifest.id;
+  await storage.set((prev) => ({
+    ...prev,
+    externalPlugins: {
+      ...(prev.externalPlugins || {}),
+      [pluginId]: { ...bundle, importedAt: Date.now() }
+    }
+  }));
+  logger.info(`Imported plugin bundle: ${pluginId}`);
+}
+
+export async function removeExternalPlugin(pluginId) {
+  await storage.set((prev) => {
+    const externalPlugins = Object.fromEntries(
+      Object.entries(prev.externalPlugins || {}).filter(([id]) => id !== pluginId)
+    );
+    return { ...prev, externalPlugins };
+  });
+  await removePlugin(pluginId);
+}
+
+/**
+ * Watch imported plugin bundles for changes made from any extension context.
+ * Returns a function that removes the listener.
+ */
+export function onExternalPluginsChanged(callback) {
+  const listener = (changes, areaName) => {
+    if (areaName !== 'local') return;
+
+    const change = changes[bucketKey('externalPlugins')];
+    if (change) {
+      callback(change.newValue || {});
+    }
+  };
+
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
 // Plugin-scoped storage
 export function getPluginStorage(pluginId) {
   return getBucket(`datadog-toolkit-plugin-${pluginId}`, 'local');
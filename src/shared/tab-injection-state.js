@@ -0,0 +1,86 @@
+/**
+ * Tab Injection State
+ * Records which plugin content modules are injected into which tabs. Kept in
+ * chrome.storage.session so it survives service worker restarts.
+ */
+
+import { getSessionValue, updateSessionValue } from '@/shared/session-storage';
+
+const TAB_INJECTIONS_KEY = 'tabInjections';
+
+/**
+ * Get injection state for all tabs, keyed by tab ID
+ */
+export async function getTabInjections() {
+  return getSessionValue(TAB_INJECTIONS_KEY, {});
+}
+
+/**
+ * Check whether a plugin is recorded as injected into a tab
+ */
+export async function isPluginInjected(tabId, pluginId) {
+  const injections = await getTabInjections();
+  return !!injections[tabId]?.plugins?.[pluginId];
+}
+
+/**
+ * Record that a plugin's content module is running in a tab
+ */
+export async function markPluginInjected(tabId, pluginId, url) {
+  await updateSessionValue(TAB_INJECTIONS_KEY, (injections) => ({
+    ...injections,
+    [tabId]: {
+      url,
+      plugins: {
+        ...injections[tabId]?.plugins,
+        [pluginId]: { injectedAt: Date.now() }
+      }
+    }
+  }), {});
+}
+
+function withoutTab(injections, tabId) {
+  return Object.fromEntries(
+    Object.entries(injections).filter(([id]) => id !== String(tabId))
+  );
+}
+
+/**
+ * Forget a single plugin's injection in a tab
+ */
+export async function clearPluginInjection(tabId, pluginId) {
+  await updateSessionValue(TAB_INJECTIONS_KEY, (injections) => {
+    if (!injections[tabId]?.plugins?.[pluginId]) return injections;
+
+    const plugins = Object.fromEntries(
+      Object.entries(injections[tabId].plugins).filter(([id]) => id !== pluginId)
+    );
+    const rest = withoutTab(injections, tabId);
+
+    return Object.keys(plugins).length > 0
+      ? { ...rest, [tabId]: { ...injections[tabId], plugins } }
+      : rest;
+  }, {});
+}
+
+/**
+ * Forget every injection in a tab, e.g. when it closes or navigates
+ */
+export async function clearTabInjections(tabId) {
+  await updateSessionValue(TAB_INJECTIONS_KEY, (injections) => {
+    if (!injections[tabId]) return injections;
+
+    return withoutTab(injections, tabId);
+  }, {});
+}
+
+/**
+ * Get IDs of tabs a plugin is recorded as injected into
+ */
+export async function getTabsForPlugin(pluginId) {
+  const injections = await getTabInjections();
+
+  return Object.entries(injections)
+    .filter(([, tab]) => tab.plugins?.[pluginId])
+    .map(([tabId]) => Number(tabId));
+}
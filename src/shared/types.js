@@ -8,22 +8,70 @@
  * @property {'monitoring' | 'injection' | 'utility'} [category] - Plugin category
  * @property {string} [icon] - Icon name (PascalCase) from available icons
  * @property {string[]} [permissions] - List of Chrome permissions required
+ * @property {Object<string, string>} [permissionRationale] - Why the plugin needs each permission or origin, shown in the consent dialog
  * @property {Object.<string, boolean>} [contexts] - Execution contexts ({ background: true, content: true })
- * @property {string[]} [matches] - URL patterns for content script injection
+ * @property {string[]} [matches] - Match patterns for content script injection (e.g. "*://*.example.com/*", "<all_urls>")
+ * @property {string[]} [excludeMatches] - Match patterns to never inject into, even if they match `matches`
+ * @property {string[]} [includeGlobs] - If set, the URL must also match one of these globs (`*` and `?` wildcards)
+ * @property {string[]} [excludeGlobs] - Globs for URLs to never inject into
+ * @property {'dynamic' | 'registered'} [injectionMode] - Inject the content module after tabs load (default) or register it with chrome.scripting.registerContentScripts
+ * @property {'document_start' | 'document_end' | 'document_idle'} [runAt] - When a registered content module runs (default document_idle)
+ * @property {'ISOLATED' | 'MAIN'} [world] - JavaScript world the content module runs in (default ISOLATED)
+ * @property {string} [mainWorldModule] - File in the plugin directory injected into the page's MAIN world before the content module; reach it with createMainWorldClient
  * @property {boolean} [core] - Whether the plugin is essential and cannot be disabled
  * @property {boolean} [defaultEnabled] - Whether the plugin is enabled by default
- * @property {Object.<string, PluginSetting>} [settings] - Configuration schema
+ * @property {PluginConfigSchema} [configSchema] - JSON-Schema for plugin settings
+ * @property {Object.<string, string>} [dependencies] - Required plugins mapped to semver ranges ({ 'rum-injection': '^1.0.0' })
+ * @property {Object.<string, string>} [optionalDependencies] - Plugins loaded first when installed, but not required
+ * @property {Object.<string, PluginMigrationStep[]>} [migrations] - Settings migrations keyed by the version that introduced them
+ * @property {Object.<string, string>} [changelog] - Release notes keyed by version, shown on the Plugins page after an upgrade
+ * @property {Object.<string, LegacyPluginSetting>} [settings] - Deprecated; converted to configSchema on discovery
+ */
+
+/**
+ * @typedef {Object} PluginMigrationStep
+ * @property {'rename' | 'remove' | 'default' | 'set' | 'map'} op - What the step does to the stored settings
+ * @property {string} [from] - Setting renamed by a rename step
+ * @property {string} [to] - New name for a rename step
+ * @property {string} [key] - Setting changed by remove, default, set and map steps
+ * @property {any} [value] - Value written by default and set steps
+ * @property {Object.<string, any>} [values] - Old value to new value map for a map step
+ */
+
+/**
+ * @typedef {Object} PluginConfigSchema
+ * @property {'object'} type - Always 'object'
+ * @property {Object.<string, PluginSetting>} properties - Settings keyed by name
+ * @property {string[]} [required] - Names of required settings
  */
 
 /**
  * @typedef {Object} PluginSetting
- * @property {'boolean' | 'string' | 'number' | 'select'} type - Data type of the setting
+ * @property {'boolean' | 'string' | 'number' | 'integer' | 'array' | 'object'} type - Data type of the setting
  * @property {string} title - Display title
- * @property {string} description - Helper text
- * @property {any} default - Default value
+ * @property {string} [description] - Helper text
+ * @property {any} [default] - Default value
+ * @property {string} [placeholder] - Input placeholder
  * @property {number} [minimum] - Min value for numbers
  * @property {number} [maximum] - Max value for numbers
- * @property {string[]} [options] - Options for select type
+ * @property {number} [minLength] - Min length for strings
+ * @property {number} [maxLength] - Max length for strings
+ * @property {string} [pattern] - Regex a string value must match
+ * @property {Array<string|number>} [enum] - Allowed values (rendered as a select)
+ * @property {string[]} [enumNames] - Display labels for enum values
+ * @property {Object} [items] - Item schema for arrays
+ */
+
+/**
+ * @typedef {Object} LegacyPluginSetting
+ * @property {'boolean' | 'string' | 'number' | 'select'} type - Data type of the setting
+ * @property {string} label - Display title
+ * @property {string} [description] - Helper text
+ * @property {any} [default] - Default value
+ * @property {number} [min] - Min value for numbers
+ * @property {number} [max] - Max value for numbers
+ * @property {boolean} [required] - Whether a value is required
+ * @property {Array<{value: string, label: string}>} [options] - Options for select type
  */
 
 /**
@@ -31,11 +79,20 @@
  * @property {PluginManifest} manifest - The plugin's manifest
  * @property {Object} [settings] - Current runtime settings
  * @property {boolean} [initialized] - Initialization state
- * @property {Function} [initialize] - Called when the plugin is loaded
+ * @property {Function} [initialize] - Called when the plugin is loaded with (settings, context: PluginContext)
  * @property {Function} [cleanup] - Called when the plugin is disabled
  * @property {Function} [handleMessage] - Handler for inter-plugin/extension messages
  * @property {Function} [runContentScript] - Entry point for content script logic
  * @property {Function} [renderComponent] - React component for UI rendering
  */
 
+/**
+ * @typedef {Object} PluginCapabilityUsage
+ * @property {string} capability - Capability name (storage, messaging, notifications, tabs, alarms)
+ * @property {string|null} method - Method called, null for a denied access
+ * @property {boolean} denied - Whether the plugin hadn't declared the capability
+ * @property {number} count - Number of calls
+ * @property {number} lastUsedAt - Timestamp of the latest call
+ */
+
 export const Types = {};
@@ -35,6 +35,12 @@ export const DATADOG_SITES = [
     apiUrl: 'https://api.ap1.datadoghq.com',
     region: 'ap1'
   },
+  {
+    name: 'AP2',
+    url: 'https://ap2.datadoghq.com',
+    apiUrl: 'https://api.ap2.datadoghq.com',
+    region: 'ap2'
+  },
   {
     name: 'GOV',
     url: 'https://app.ddog-gov.com',
@@ -1,13 +1,43 @@
 const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
+const fs = require('fs');
+
+const PLUGINS_DIR = path.resolve(__dirname, 'src/plugins');
+
+// Plugin modules injected into pages (content.js and MAIN-world modules) are
+// built as entries so they can import modules. Entry names keep their paths,
+// e.g. plugins/rum-viewer/content.js
+const pluginPageEntries = {};
+for (const pluginId of fs.readdirSync(PLUGINS_DIR)) {
+  const manifestPath = path.join(PLUGINS_DIR, pluginId, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) continue;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  for (const file of ['content.js', manifest.mainWorldModule].filter(Boolean)) {
+    if (fs.existsSync(path.join(PLUGINS_DIR, pluginId, file))) {
+      pluginPageEntries[`plugins/${pluginId}/${file.replace(/\.js$/, '')}`] = `./src/plugins/${pluginId}/${file}`;
+    }
+  }
+}
+
+// The service worker and injected scripts are run by Chrome without an HTML
+// page to load chunks, so each is built as a single file
+const standaloneEntries = {
+  ...pluginPageEntries,
+  background: './src/background/background.js',
+  content: './src/content/content.js'
+};
 
 module.exports = {
   entry: {
+    ...Object.fromEntries(Object.entries(standaloneEntries).map(([name, file]) => (
+      [name, { import: file, asyncChunks: false }]
+    ))),
     popup: './src/popup/index.jsx',
     options: './src/options/index.jsx',
-    background: './src/background/background.js',
-    content: './src/content/content.js'
+    offscreen: './src/offscreen/offscreen.js',
+    sandbox: './src/sandbox/sandbox.js'
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -58,6 +88,16 @@ module.exports = {
       filename: 'options.html',
       chunks: ['options']
     }),
+    new HtmlWebpackPlugin({
+      template: './src/offscreen/offscreen.html',
+      filename: 'offscreen.html',
+      chunks: ['offscreen']
+    }),
+    new HtmlWebpackPlugin({
+      template: './src/sandbox/sandbox.html',
+      filename: 'sandbox.html',
+      chunks: ['sandbox']
+    }),
     new CopyWebpackPlugin({
       patterns: [
         {
@@ -73,7 +113,12 @@ module.exports = {
           from: 'src/plugins',
           to: 'plugins',
           globOptions: {
-            ignore: ['**/index.js', '**/component.jsx']
+            ignore: [
+              '**/index.js',
+              '**/component.jsx',
+              // Built from pluginPageEntries
+              ...Object.values(pluginPageEntries).map(file => `**/${path.relative('./src/plugins', file)}`)
+            ]
           }
         }
       ]
@@ -82,7 +127,7 @@ module.exports = {
   devtool: 'source-map',
   optimization: {
     splitChunks: {
-      chunks: 'all'
+      chunks: chunk => !(chunk.name in standaloneEntries)
     }
   }
 }; 
\ No newline at end of file